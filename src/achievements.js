@@ -0,0 +1,366 @@
+// ===================================
+// ACHIEVEMENTS
+// ===================================
+
+import { FOCUSABLE_SELECTOR, trapFocus, Lifecycle } from './utils.js';
+import { t } from './i18n.js';
+
+const ACHIEVEMENTS_STORAGE_KEY = 'portfolio-achievements';
+
+/**
+ * Built-in badges. Each one unlocks on an app event: `egg` matches the
+ * name of an easter-egg:unlocked event, or `on` names any other event;
+ * `when(detail)` narrows it down further. Text can be translated under
+ * achievements.items.<id>. Add more with achievements.register().
+ */
+export const ACHIEVEMENTS = [
+  {
+    id: 'konami',
+    icon: '🕹️',
+    title: 'Old school',
+    description: 'Entered the Konami code',
+    hint: 'Some codes never get old: ↑ ↑ ↓ ↓ …',
+    egg: 'konami'
+  },
+  {
+    id: 'mascot-poke',
+    icon: '👉',
+    title: 'Poke',
+    description: 'Poked the mascot five times',
+    hint: 'The mascot looks ticklish',
+    egg: 'mascot',
+    when: ({ clicks }) => clicks >= 5
+  },
+  {
+    id: 'mascot-lullaby',
+    icon: '😴',
+    title: 'Lullaby',
+    description: 'Poked the mascot until it got sleepy',
+    hint: 'Keep poking…',
+    egg: 'mascot',
+    when: ({ clicks }) => clicks >= 10
+  },
+  {
+    id: 'mascot-hide',
+    icon: '🙈',
+    title: 'Hide and seek',
+    description: 'Poked the mascot into hiding',
+    hint: 'How much poking can one mascot take?',
+    egg: 'mascot',
+    when: ({ clicks }) => clicks >= 15
+  },
+  {
+    id: 'section-title',
+    icon: '🎯',
+    title: 'Double trouble',
+    description: 'Double-clicked a section title',
+    hint: 'Headings like attention. Twice.',
+    egg: 'section-title'
+  },
+  {
+    id: 'console',
+    icon: '💻',
+    title: 'Console cowboy',
+    description: 'Asked the console for help()',
+    hint: 'Developers: the DevTools console says hi',
+    egg: 'help'
+  },
+  {
+    id: 'dance',
+    icon: '🕺',
+    title: 'Dance floor',
+    description: 'Made everything dance()',
+    hint: 'The console knows a few moves',
+    egg: 'dance'
+  },
+  {
+    id: 'party',
+    icon: '🎉',
+    title: 'Party animal',
+    description: 'Started party mode',
+    hint: 'There\'s a party() somewhere',
+    egg: 'party'
+  },
+  {
+    id: 'weather',
+    icon: '🌦️',
+    title: 'Weather maker',
+    description: 'Changed the weather',
+    hint: 'The footer has a forecast of its own',
+    on: 'weather:change',
+    when: ({ type }) => type !== null
+  }
+];
+
+export class Achievements {
+  /**
+   * @param {Object} options - { events } EventBus to listen on (and emit
+   *   achievement:unlocked / achievements:complete), { notifications } for
+   *   the unlock toasts, { particles } ParticleSystem for the celebration,
+   *   { achievements } extra definitions
+   */
+  constructor(options = {}) {
+    const { events = null, notifications = null, particles = null, achievements = [] } = options;
+    
+    this.lifecycle = new Lifecycle();
+    this.events = events;
+    this.notifications = notifications;
+    this.particles = particles;
+    this.definitions = new Map();
+    this.unlocked = this.readUnlocked();
+    this.drawer = document.getElementById('trophyDrawer');
+    this.list = this.drawer?.querySelector('.trophy-list');
+    this.lastTrigger = null;
+    
+    [...ACHIEVEMENTS, ...achievements].forEach(definition => this.register(definition));
+    this.init();
+  }
+  
+  init() {
+    if (this.events) {
+      this.lifecycle.onDestroy(this.events.on('*', (detail, type) => this.handleEvent(type, detail)));
+    }
+    
+    this.setupDrawer();
+    this.render();
+  }
+  
+  /**
+   * Saved unlocks as id -> timestamp. Anything else in storage (an array,
+   * or values that aren't times) is dropped rather than counted.
+   */
+  readUnlocked() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(ACHIEVEMENTS_STORAGE_KEY));
+      if (!saved || typeof saved !== 'object' || Array.isArray(saved)) return {};
+      
+      return Object.fromEntries(Object.entries(saved).filter(([, time]) => Number.isFinite(time)));
+    } catch (error) {
+      return {};
+    }
+  }
+  
+  saveUnlocked() {
+    try {
+      localStorage.setItem(ACHIEVEMENTS_STORAGE_KEY, JSON.stringify(this.unlocked));
+    } catch (error) {
+      console.warn('Could not save achievements:', error);
+    }
+  }
+  
+  /**
+   * Add a badge
+   * @param {Object} definition - { id, icon, title, description, hint,
+   *   egg or on, when(detail) } as in ACHIEVEMENTS
+   */
+  register(definition) {
+    if (!definition?.id) {
+      throw new TypeError('An achievement needs an id');
+    }
+    
+    this.definitions.set(definition.id, definition);
+    if (this.list) this.render();
+  }
+  
+  handleEvent(type, detail = {}) {
+    this.definitions.forEach(definition => {
+      if (this.isUnlocked(definition.id)) return;
+      
+      const matches = definition.egg
+        ? type === 'easter-egg:unlocked' && detail.name === definition.egg
+        : type === definition.on;
+      
+      if (matches && (!definition.when || definition.when(detail))) {
+        this.unlock(definition.id);
+      }
+    });
+  }
+  
+  isUnlocked(id) {
+    return Object.hasOwn(this.unlocked, id);
+  }
+  
+  /**
+   * @returns {Object} { unlocked, total } counting registered badges only
+   */
+  getProgress() {
+    const ids = [...this.definitions.keys()];
+    return { unlocked: ids.filter(id => this.isUnlocked(id)).length, total: ids.length };
+  }
+  
+  /**
+   * Record a badge (once) and announce it
+   * @param {string} id - A registered achievement id
+   */
+  unlock(id) {
+    const definition = this.definitions.get(id);
+    if (!definition || this.isUnlocked(id)) return;
+    
+    this.unlocked[id] = Date.now();
+    this.saveUnlocked();
+    this.render();
+    
+    const progress = this.getProgress();
+    const { icon, title } = this.describe(definition);
+    
+    this.notifications?.info(t('achievements.unlockedToast', { title }, 'Achievement unlocked: {title}'), {
+      icon,
+      className: 'toast-secret',
+      actions: [{ label: t('achievements.view', {}, 'View trophies'), onClick: () => this.open() }]
+    });
+    this.events?.emit('achievement:unlocked', { id, ...progress });
+    
+    if (progress.unlocked === progress.total) this.celebrate();
+  }
+  
+  celebrate() {
+    this.notifications?.success(t('achievements.complete', {}, 'You found every secret! Thanks for exploring.'), {
+      icon: '🏆',
+      duration: 8000
+    });
+    
+    // Fireworks across the top of the screen, where the canvas allows
+    if (this.particles) {
+      for (let i = 0; i < 6; i++) {
+        this.lifecycle.setTimeout(() => {
+          const x = window.innerWidth * (0.15 + Math.random() * 0.7);
+          const y = window.innerHeight * (0.2 + Math.random() * 0.3);
+          for (let j = 0; j < 12; j++) this.particles.spawn(x, y, 'burst');
+        }, i * 250);
+      }
+    }
+    
+    this.events?.emit('achievements:complete', this.getProgress());
+  }
+  
+  /**
+   * Forget every unlock (for testing, or a visitor who wants to hunt again)
+   */
+  clear() {
+    this.unlocked = {};
+    this.saveUnlocked();
+    this.render();
+  }
+  
+  describe(definition) {
+    const key = `achievements.items.${definition.id}`;
+    
+    return {
+      icon: definition.icon || '🏅',
+      title: t(`${key}.title`, {}, definition.title),
+      description: t(`${key}.description`, {}, definition.description),
+      hint: t(`${key}.hint`, {}, definition.hint || '')
+    };
+  }
+  
+  setupDrawer() {
+    const { signal } = this.lifecycle;
+    
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-trophy-action]');
+      if (!button) return;
+      
+      if (button.dataset.trophyAction === 'open') {
+        this.open();
+      } else {
+        this.close();
+      }
+    }, { signal });
+    
+    if (!this.drawer) return;
+    
+    // Click outside to close
+    this.drawer.addEventListener('click', (e) => {
+      if (e.target === this.drawer) this.close();
+    }, { signal });
+    
+    document.addEventListener('keydown', (e) => {
+      if (!this.isOpen()) return;
+      
+      if (e.key === 'Escape') this.close();
+      
+      // Trap focus within the drawer
+      if (e.key === 'Tab') trapFocus(this.drawer, e);
+    }, { signal });
+  }
+  
+  /**
+   * Rebuild the badge list and the progress counters; also called on
+   * locale change
+   */
+  render() {
+    const { unlocked, total } = this.getProgress();
+    
+    document.querySelectorAll('.trophy-count').forEach(element => {
+      element.textContent = `${unlocked}/${total}`;
+    });
+    
+    if (!this.list) return;
+    
+    this.drawer.classList.toggle('trophy-drawer-complete', unlocked === total);
+    
+    const progress = this.drawer.querySelector('.trophy-progress');
+    if (progress) {
+      progress.textContent = t('achievements.progress', { unlocked, total }, '{unlocked} of {total} found');
+    }
+    
+    this.list.replaceChildren(...[...this.definitions.values()].map(definition => {
+      const { icon, title, description, hint } = this.describe(definition);
+      const found = this.isUnlocked(definition.id);
+      
+      const item = document.createElement('li');
+      item.className = `trophy ${found ? 'trophy-unlocked' : 'trophy-locked'}`;
+      
+      const badge = document.createElement('span');
+      badge.className = 'trophy-badge';
+      badge.setAttribute('aria-hidden', 'true');
+      badge.textContent = found ? icon : '🔒';
+      
+      const name = document.createElement('strong');
+      name.textContent = found ? title : t('achievements.locked', {}, 'Locked');
+      
+      const text = document.createElement('small');
+      text.textContent = found ? description : hint;
+      
+      item.append(badge, name, text);
+      return item;
+    }));
+  }
+  
+  open() {
+    if (!this.drawer || this.isOpen()) return;
+    
+    this.lastTrigger = document.activeElement;
+    this.render();
+    
+    this.drawer.classList.add('active');
+    this.drawer.setAttribute('aria-hidden', 'false');
+    this.drawer.querySelector(FOCUSABLE_SELECTOR)?.focus();
+  }
+  
+  close() {
+    if (!this.isOpen()) return;
+    
+    this.drawer.classList.remove('active');
+    this.drawer.setAttribute('aria-hidden', 'true');
+    
+    // Return focus to trigger element
+    if (this.lastTrigger && document.contains(this.lastTrigger)) {
+      this.lastTrigger.focus();
+    }
+    this.lastTrigger = null;
+  }
+  
+  isOpen() {
+    return !!this.drawer?.classList.contains('active');
+  }
+  
+  /**
+   * Close the drawer and stop listening; unlocks stay saved
+   */
+  destroy() {
+    this.close();
+    this.lifecycle.destroy();
+    this.drawer?.classList.remove('trophy-drawer-complete');
+  }
+}
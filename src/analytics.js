@@ -0,0 +1,206 @@
+// ===================================
+// ANALYTICS
+// ===================================
+
+import { sendBeacon, Lifecycle } from './utils.js';
+import { isDoNotTrack } from './consent.js';
+
+/**
+ * First-party, cookie-free analytics. Events are batched and posted with
+ * navigator.sendBeacon to `endpoint` (tools/analytics-collector.mjs is a
+ * local collector). Nothing is recorded until the visitor opts in to the
+ * "analytics" consent category, and never with Do Not Track or Global
+ * Privacy Control on.
+ */
+export const ANALYTICS_DEFAULTS = {
+  endpoint: '/analytics',
+  batchSize: 20,
+  flushInterval: 15000,
+  requireConsent: true
+};
+
+// Bus events that make up the contact form funnel, as recorded steps
+const FORM_STEPS = {
+  'form:start': 'start',
+  'form:submit': 'submit',
+  'form:invalid': 'invalid',
+  'form:submit:success': 'success',
+  'form:submit:error': 'error',
+  'form:submit:queued': 'queued'
+};
+
+export class Analytics {
+  /**
+   * @param {Object} options - Overrides for ANALYTICS_DEFAULTS, plus { events }
+   *   EventBus the recorded events come from and { consent } ConsentManager
+   *   asked before recording (without one nothing is recorded unless
+   *   requireConsent is false)
+   */
+  constructor(options = {}) {
+    const { events = null, consent = null, ...settings } = options;
+    
+    this.lifecycle = new Lifecycle();
+    this.events = events;
+    this.consent = consent;
+    this.options = { ...ANALYTICS_DEFAULTS, ...settings };
+    this.queue = [];
+    // Per page load and never stored, so visits can't be linked
+    this.session = Math.random().toString(36).slice(2, 10);
+    this.seenSections = new Set();
+    this.pageViewed = false;
+    this.openProject = null;
+    
+    this.init();
+  }
+  
+  init() {
+    this.setupConsent();
+    this.setupListeners();
+    this.setupOutboundLinks();
+    this.setupFlushing();
+    this.trackPageView();
+  }
+  
+  isEnabled() {
+    if (!this.options.requireConsent) return !isDoNotTrack();
+    
+    return !!this.consent?.has('analytics');
+  }
+  
+  setupConsent() {
+    const unsubscribe = this.consent?.onChange(() => {
+      if (this.isEnabled()) {
+        this.trackPageView();
+      } else {
+        // Withdrawing consent drops anything not yet sent
+        this.queue = [];
+      }
+    });
+    
+    if (unsubscribe) this.lifecycle.onDestroy(unsubscribe);
+  }
+  
+  setupListeners() {
+    if (!this.events) return;
+    
+    const listen = (type, handler) => this.lifecycle.onDestroy(this.events.on(type, handler));
+    
+    // ScrollAnimations reports sections as they scroll into view; Navigation's
+    // section:enter covers pages where the scroll effects are switched off
+    const trackSection = ({ id }) => {
+      if (!id || this.seenSections.has(id)) return;
+      if (this.track('section_view', { section: id })) this.seenSections.add(id);
+    };
+    listen('section:visible', trackSection);
+    listen('section:enter', trackSection);
+    
+    listen('modal:open', ({ projectId }) => {
+      this.closeProject();
+      this.openProject = { id: projectId, openedAt: Date.now() };
+      this.track('project_open', { project: projectId });
+    });
+    listen('modal:close', () => this.closeProject());
+    
+    listen('carousel:slide', ({ index, total, type }) => {
+      this.track('slide_view', { project: this.openProject?.id ?? null, index, total, media: type || 'image' });
+    });
+    
+    Object.entries(FORM_STEPS).forEach(([type, step]) => {
+      listen(type, (detail) => {
+        // Field names and failure reasons only; values never leave the form
+        this.track('form_step', { step, fields: detail.fields, reason: detail.reason });
+      });
+    });
+  }
+  
+  closeProject() {
+    if (!this.openProject) return;
+    
+    const { id, openedAt } = this.openProject;
+    this.openProject = null;
+    this.track('project_close', { project: id, duration: Date.now() - openedAt });
+  }
+  
+  setupOutboundLinks() {
+    document.addEventListener('click', (e) => {
+      const link = e.target.closest?.('a[href]');
+      if (!link) return;
+      
+      const url = new URL(link.href, window.location.href);
+      if (url.origin === window.location.origin || !url.protocol.startsWith('http')) return;
+      
+      this.track('outbound_click', {
+        // Query strings and fragments can carry personal data
+        url: url.origin + url.pathname,
+        link: link.dataset.analytics || null,
+        project: link.closest('#projectModal') ? this.openProject?.id ?? null : null
+      });
+    }, { capture: true, signal: this.lifecycle.signal });
+  }
+  
+  setupFlushing() {
+    const { signal } = this.lifecycle;
+    
+    this.lifecycle.setInterval(() => this.flush(), this.options.flushInterval);
+    
+    // The last reliable moment to send on mobile and when tabs are closed
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flush();
+    }, { signal });
+    window.addEventListener('pagehide', () => this.flush(), { signal });
+  }
+  
+  trackPageView() {
+    if (this.pageViewed) return;
+    
+    let referrer = null;
+    try {
+      const origin = document.referrer ? new URL(document.referrer).origin : null;
+      if (origin !== window.location.origin) referrer = origin;
+    } catch (error) {
+      // Unparseable referrers are left out
+    }
+    
+    this.pageViewed = this.track('page_view', {
+      referrer,
+      language: document.documentElement.lang || null,
+      viewport: `${window.innerWidth}x${window.innerHeight}`
+    });
+  }
+  
+  /**
+   * Queue an event; ignored without consent or with Do Not Track on
+   * @param {string} type - e.g. "page_view", "outbound_click"
+   * @param {Object} data - Extra properties (no personal data)
+   * @returns {boolean} Whether the event was recorded
+   */
+  track(type, data = {}) {
+    if (this.lifecycle.destroyed || !this.isEnabled()) return false;
+    
+    this.queue.push({ type, time: Date.now(), path: window.location.pathname, ...data });
+    
+    if (this.queue.length >= this.options.batchSize) {
+      this.flush();
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Send the queued events in one request
+   */
+  flush() {
+    if (!this.queue.length) return;
+    
+    sendBeacon(this.options.endpoint, { v: 1, session: this.session, events: this.queue.splice(0) });
+  }
+  
+  /**
+   * Send what's queued and stop recording
+   */
+  destroy() {
+    this.closeProject();
+    this.flush();
+    this.lifecycle.destroy();
+  }
+}
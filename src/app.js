@@ -0,0 +1,432 @@
+// ===================================
+// INITIALIZATION
+// ===================================
+
+import { Lifecycle } from './utils.js';
+import { EventBus } from './events.js';
+import { I18n } from './i18n.js';
+import { ConsentManager } from './consent.js';
+import { QualityManager } from './quality.js';
+import { CustomCursor } from './cursor.js';
+import { Router } from './router.js';
+import { Navigation } from './navigation.js';
+import { ScrollAnimations } from './scroll-animations.js';
+import { ParallaxEffects } from './parallax.js';
+import { MascotController } from './mascot.js';
+import { ProjectLoader } from './projects.js';
+import { ProjectFilter } from './project-filter.js';
+import { ProjectModal } from './project-modal.js';
+import { NotificationManager } from './notifications.js';
+import { Analytics } from './analytics.js';
+import { ContactForm } from './contact-form.js';
+import { LoadingSkeleton } from './loading-skeleton.js';
+import { ThemeManager } from './theme.js';
+import { PerformanceMonitor } from './performance-monitor.js';
+import { EasterEggs } from './easter-eggs.js';
+import { ParticleSystem } from './particles.js';
+import { WeatherManager } from './weather.js';
+import { Achievements } from './achievements.js';
+import { CommandPalette } from './command-palette.js';
+import { TypewriterEffect } from './typewriter.js';
+
+/**
+ * Components in creation order. create(options, app) receives this
+ * component's options and the PortfolioApp (app.components holds the
+ * ones built so far, app.events the EventBus). `effect: true` marks the
+ * ones the fx switch controls; `enabled` decides the default when
+ * nothing overrides it. Plugins add more with app.defineComponent().
+ */
+export const APP_COMPONENTS = {
+  i18n: { create: (options) => new I18n(options) },
+  // Before anything that needs to ask it
+  consent: { create: (options, { events }) => new ConsentManager({ events, ...options }) },
+  notifications: { create: (options) => new NotificationManager(options) },
+  // Early, so it hears events emitted while later components start
+  analytics: {
+    create: (options, { components, events }) => new Analytics({ consent: components.consent, events, ...options })
+  },
+  router: { create: () => new Router() },
+  // Effects below follow its tier through setQuality(settings)
+  quality: { create: (options, { events }) => new QualityManager({ events, ...options }) },
+  cursor: { effect: true, create: () => new CustomCursor() },
+  navigation: { create: (options, app) => new Navigation(app.components.router, { events: app.events, ...options }) },
+  scrollAnimations: { effect: true, create: (options, { events }) => new ScrollAnimations({ events, ...options }) },
+  parallax: { effect: true, create: () => new ParallaxEffects() },
+  // Both mascots; reacts to form and modal events on the bus
+  mascot: { create: (options, { events }) => new MascotController({ events, ...options }) },
+  projectLoader: { create: (options) => new ProjectLoader(options.manifestUrl) },
+  projectModal: {
+    // `carousel` options configure the modal's gallery
+    create: (options, { components, settings, events }) => new ProjectModal(components.projectLoader, components.router, {
+      carousel: settings.carousel,
+      events,
+      ...options
+    })
+  },
+  projectFilter: { create: () => new ProjectFilter() },
+  contactForm: {
+    create: (options, { components, events }) => new ContactForm({
+      notifications: components.notifications,
+      consent: components.consent,
+      events,
+      ...options
+    })
+  },
+  loadingSkeleton: { create: () => new LoadingSkeleton() },
+  themeManager: { create: (options, { events }) => new ThemeManager({ events, ...options }) },
+  easterEggs: { create: (options, { components, events }) => new EasterEggs(components.notifications, { events, ...options }) },
+  particleSystem: { effect: true, create: (options) => new ParticleSystem(options) },
+  // Draws on the particle canvas when there is one; palette and mascot either way
+  weather: {
+    create: (options, { components, events }) => new WeatherManager({
+      particles: components.particleSystem,
+      easterEggs: components.easterEggs,
+      notifications: components.notifications,
+      events,
+      ...options
+    })
+  },
+  // Hears easter-egg:unlocked and friends on the bus; `achievements` adds badges
+  achievements: {
+    create: (options, { components, events }) => new Achievements({
+      notifications: components.notifications,
+      particles: components.particleSystem,
+      events,
+      ...options
+    })
+  },
+  // Ctrl/Cmd+K; lists sections, projects, themes and the console commands
+  commandPalette: {
+    create: (options, { components, events }) => new CommandPalette({
+      router: components.router,
+      projectModal: components.projectModal,
+      themeManager: components.themeManager,
+      easterEggs: components.easterEggs,
+      events,
+      ...options
+    })
+  },
+  typewriter: { effect: true, create: (options, { events }) => new TypewriterEffect({ events, ...options }) },
+  performanceMonitor: {
+    // Console warnings in development; inert in production until an
+    // endpoint or the overlay is set
+    create: (options, { components, events }) => new PerformanceMonitor({
+      debug: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1',
+      consent: components.consent,
+      events,
+      ...options
+    })
+  }
+};
+
+/**
+ * Read a flag from markup or the URL: "off"/"false"/"0" disable,
+ * "on"/"true"/"1"/"" enable, anything else is parsed as JSON options
+ * @returns {boolean|Object|undefined} undefined when unreadable
+ */
+function parseComponentFlag(value) {
+  const normalized = String(value).trim().toLowerCase();
+  
+  if (['off', 'false', '0'].includes(normalized)) return false;
+  if (['on', 'true', '1', ''].includes(normalized)) return true;
+  
+  try {
+    const options = JSON.parse(value);
+    if (options && typeof options === 'object') return options;
+  } catch (error) {
+    // Reported below
+  }
+  
+  console.warn(`Ignoring unreadable component setting: ${value}`);
+  return undefined;
+}
+
+export class PortfolioApp {
+  /**
+   * @param {Object} options - { fx: false to skip the heavy effects,
+   *   components: { name: false | true | { ...options } } }, e.g.
+   *   { components: { particleSystem: false, carousel: { autoplay: true } } }.
+   *   <body data-fx="off" data-component-<name>="off|on|{json}"> and ?fx=off|on
+   *   override these, in that order.
+   *   { plugins: [plugin, [plugin, options]] } are installed before any
+   *   component is created (see use()).
+   */
+  constructor(options = {}) {
+    this.lifecycle = new Lifecycle();
+    this.options = options;
+    this.events = new EventBus();
+    this.definitions = { ...APP_COMPONENTS };
+    this.plugins = new Set();
+    this.settings = {};
+    this.components = {};
+    this.initialized = false;
+    this.init();
+  }
+  
+  init() {
+    // Wait for DOM to be ready
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => {
+        this.initializeComponents();
+      }, { signal: this.lifecycle.signal });
+    } else {
+      this.initializeComponents();
+    }
+  }
+  
+  initializeComponents() {
+    try {
+      (this.options.plugins || []).forEach(entry => {
+        const [plugin, options] = Array.isArray(entry) ? entry : [entry];
+        this.use(plugin, options);
+      });
+      
+      this.settings = this.resolveSettings();
+      
+      // Initialize all enabled components
+      Object.entries(this.definitions).forEach(([name, { create }]) => {
+        if (this.settings[name] === false) return;
+        this.components[name] = create(this.settings[name], this);
+      });
+      
+      // Effects follow the quality tier now and whenever it changes
+      const { quality } = this.components;
+      if (quality) {
+        this.applyQuality(quality.getSettings());
+        this.lifecycle.onDestroy(quality.onChange(settings => this.applyQuality(settings)));
+      }
+      
+      // Project cards are rendered from projects.json
+      if (this.components.projectLoader) {
+        this.components.projectLoader.onRetry = () => this.loadProjects().catch(error => this.handleProjectsError(error));
+      }
+      this.loadProjects().catch(error => this.handleProjectsError(error));
+      
+      const unsubscribe = this.components.i18n?.onChange(locale => {
+        this.handleLocaleChange();
+        this.events.emit('locale:change', { locale });
+      });
+      if (unsubscribe) this.lifecycle.onDestroy(unsubscribe);
+      
+      this.initialized = true;
+      this.events.emit('app:ready', { components: this.components });
+      
+      console.log('🎨 Portfolio initialized successfully!');
+      console.log('🎮 Try the secret commands in the console!');
+      
+    } catch (error) {
+      console.error('Error initializing portfolio:', error);
+    }
+  }
+  
+  /**
+   * Merge component settings: defaults, then constructor options, then
+   * <body> data attributes, then the ?fx= query parameter
+   * @returns {Object} name -> false (skip) or an options object
+   */
+  resolveSettings() {
+    const settings = {};
+    
+    Object.entries(this.definitions).forEach(([name, { enabled }]) => {
+      settings[name] = !enabled || enabled() ? {} : false;
+    });
+    
+    const apply = (name, value) => {
+      if (value === undefined) return;
+      
+      if (value === false) {
+        settings[name] = false;
+      } else {
+        settings[name] = { ...settings[name], ...(value === true ? {} : value) };
+      }
+    };
+    
+    const applyFx = (value) => {
+      if (typeof value !== 'boolean') return;
+      
+      Object.entries(this.definitions).forEach(([name, { effect }]) => {
+        if (effect) apply(name, value);
+      });
+    };
+    
+    // 1. new PortfolioApp({ fx, components })
+    applyFx(this.options.fx);
+    Object.entries(this.options.components || {}).forEach(([name, value]) => apply(name, value));
+    
+    // 2. <body data-fx="off" data-component-particle-system="off">
+    const { dataset } = document.body;
+    if ('fx' in dataset) applyFx(parseComponentFlag(dataset.fx));
+    
+    Object.keys(dataset).forEach(key => {
+      const match = key.match(/^component([A-Z].*)$/);
+      if (match) {
+        const name = match[1].charAt(0).toLowerCase() + match[1].slice(1);
+        apply(name, parseComponentFlag(dataset[key]));
+      }
+    });
+    
+    // 3. ?fx=off for a single visit. Only the on/off switch is read from
+    // the URL, so a link can't reconfigure things like the contact backend.
+    const fx = new URLSearchParams(window.location.search).get('fx');
+    if (fx !== null) {
+      const value = parseComponentFlag(fx);
+      applyFx(typeof value === 'boolean' ? value : undefined);
+    }
+    
+    return settings;
+  }
+  
+  async loadProjects() {
+    const { projectLoader, projectModal, router } = this.components;
+    let cards;
+    
+    if (projectModal) {
+      cards = await projectModal.loadProjects();
+    } else {
+      await projectLoader?.load();
+      cards = document.querySelectorAll('.project-card');
+    }
+    
+    if (this.lifecycle.destroyed) return;
+    
+    this.setupProjectCards(cards);
+    
+    // Deep links like #/work/3 can only resolve once projects exist
+    router?.start();
+  }
+  
+  // Broken project data shouldn't take routing down with it
+  handleProjectsError(error) {
+    console.error('Error setting up projects:', error);
+    if (!this.lifecycle.destroyed) this.components.router?.start();
+  }
+  
+  setupProjectCards(cards) {
+    this.components.projectFilter?.setProjects(this.components.projectLoader?.projects || {});
+    this.components.scrollAnimations?.observe(cards);
+    this.components.cursor?.bindHoverTargets(cards);
+  }
+  
+  /**
+   * Pass quality settings to every component that adapts (has setQuality)
+   * @param {Object} settings - From QualityManager#getSettings
+   */
+  applyQuality(settings) {
+    Object.values(this.components).forEach(component => component?.setQuality?.(settings));
+  }
+  
+  /**
+   * Re-render the JS-built UI that the data-i18n pass can't reach
+   */
+  handleLocaleChange() {
+    const { projectLoader, projectModal, themeManager, quality, weather, achievements, commandPalette } = this.components;
+    
+    if (projectLoader && Object.keys(projectLoader.entries).length) {
+      projectLoader.render();
+      projectModal?.refresh();
+      this.setupProjectCards(projectModal ? projectModal.setupProjectCards() : document.querySelectorAll('.project-card'));
+    }
+    
+    themeManager?.renderSwitcher();
+    quality?.renderPicker();
+    weather?.renderPicker();
+    achievements?.render();
+    if (commandPalette?.isOpen()) commandPalette.search();
+  }
+  
+  // Public API for external control
+  getComponent(name) {
+    return this.components[name];
+  }
+  
+  /**
+   * Subscribe to app events: modal:open, modal:close, carousel:slide,
+   * section:enter, section:visible, form:start, form:submit, form:invalid,
+   * form:submit:success, form:submit:error, form:submit:queued, theme:change,
+   * locale:change, consent:change, quality:change, perf:metric, perf:longtask,
+   * easter-egg:unlocked, weather:change, achievement:unlocked,
+   * achievements:complete, mascot:state, palette:open, palette:close,
+   * palette:run, app:ready, app:destroy
+   * (or "*" for all)
+   * @returns {Function} Unsubscribe
+   */
+  on(type, handler) {
+    return this.events.on(type, handler);
+  }
+  
+  off(type, handler) {
+    this.events.off(type, handler);
+  }
+  
+  emit(type, detail) {
+    this.events.emit(type, detail);
+  }
+  
+  /**
+   * Install a plugin: a function (app, options) or an object with
+   * install(app, options). If it returns a function, that runs on destroy().
+   * Each plugin is installed once.
+   * @returns {PortfolioApp} For chaining
+   */
+  use(plugin, options = {}) {
+    if (this.plugins.has(plugin)) return this;
+    
+    const install = typeof plugin === 'function' ? plugin : plugin?.install?.bind(plugin);
+    if (!install) {
+      throw new TypeError('A plugin must be a function or have an install() method');
+    }
+    
+    this.plugins.add(plugin);
+    
+    const teardown = install(this, options);
+    if (typeof teardown === 'function') {
+      this.lifecycle.onDestroy(teardown);
+    }
+    
+    return this;
+  }
+  
+  /**
+   * Add a component (same shape as APP_COMPONENTS entries). Defined from a
+   * constructor plugin it follows the usual settings and fx flags; after
+   * start-up it is created right away unless its setting is false.
+   * @param {string} name - Key for getComponent() and data-component-<name>
+   * @param {Object} definition - { create(options, app), effect, enabled }
+   */
+  defineComponent(name, definition) {
+    this.definitions[name] = definition;
+    
+    if (this.initialized && this.settings[name] !== false) {
+      this.components[name] = definition.create(this.settings[name] || {}, this);
+      
+      if (this.components.quality) {
+        this.components[name]?.setQuality?.(this.components.quality.getSettings());
+      }
+    }
+  }
+  
+  /**
+   * Tear everything down for SPA integration. Plugins are removed first,
+   * then components in reverse creation order, so nothing outlives what it
+   * depends on; afterwards `new PortfolioApp()` can start again on the same page.
+   */
+  destroy() {
+    this.events.emit('app:destroy');
+    this.lifecycle.destroy();
+    
+    Object.entries(this.components).reverse().forEach(([name, component]) => {
+      if (component && typeof component.destroy === 'function') {
+        try {
+          component.destroy();
+        } catch (error) {
+          console.error(`Error destroying ${name}:`, error);
+        }
+      }
+    });
+    
+    this.components = {};
+    this.plugins.clear();
+    this.events.clear();
+    this.initialized = false;
+  }
+}
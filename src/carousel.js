@@ -0,0 +1,466 @@
+// ===================================
+// CAROUSEL
+// ===================================
+
+import { CONFIG } from './config.js';
+import { Lifecycle } from './utils.js';
+import { t } from './i18n.js';
+import { Lightbox } from './lightbox.js';
+
+export const CAROUSEL_DEFAULTS = {
+  autoplay: false,
+  interval: 5000,
+  keyboard: true,
+  lightbox: true,
+  swipeThreshold: 50,
+  label: null // defaults to the translated "Project gallery"
+};
+
+/**
+ * Turn a manifest slide entry into a slide object.
+ * Strings are image URLs; objects may set type ("image" | "video"),
+ * src, alt, caption and poster.
+ */
+function normalizeSlide(slide, index) {
+  const data = typeof slide === 'string' ? { src: slide } : { ...slide };
+  
+  data.type = data.type === 'video' ? 'video' : 'image';
+  data.alt = data.alt || data.caption || t('carousel.screenshot', { index: index + 1 }, 'Project screenshot {index}');
+  
+  return data;
+}
+
+export class Carousel {
+  /**
+   * @param {Element} root - Element wrapping .carousel-container, buttons and dots
+   * @param {Object} options - Overrides for CAROUSEL_DEFAULTS, plus { events }
+   *   EventBus for carousel:slide
+   */
+  constructor(root = document.querySelector('.modal-carousel'), options = {}) {
+    const { events = null, ...settings } = options;
+    
+    this.lifecycle = new Lifecycle();
+    this.events = events;
+    this.root = root;
+    this.container = root?.querySelector('.carousel-container');
+    this.slides = [];
+    this.slideData = [];
+    this.dots = [];
+    this.currentSlide = 0;
+    this.prevBtn = root?.querySelector('.carousel-prev');
+    this.nextBtn = root?.querySelector('.carousel-next');
+    this.dotsContainer = root?.querySelector('.carousel-dots');
+    
+    this.baseOptions = { ...CAROUSEL_DEFAULTS, ...settings };
+    this.options = { ...this.baseOptions };
+    this.autoplayTimer = null;
+    this.isPlaying = false;
+    this.isPaused = false;
+    this.lightbox = null;
+    
+    this.init();
+  }
+  
+  init() {
+    if (!this.container) return;
+    
+    this.setupAccessibility();
+    this.setupControls();
+    this.setupKeyboard();
+    this.setupTouchSupport();
+    this.setupAutoplayPausing();
+  }
+  
+  setupAccessibility() {
+    this.root.setAttribute('role', 'region');
+    this.root.setAttribute('aria-roledescription', 'carousel');
+    this.root.setAttribute('aria-label', this.getLabel());
+    this.container.setAttribute('tabindex', '0');
+    
+    // Slide announcements for screen readers
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.className = 'sr-only carousel-status';
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.liveRegion.setAttribute('aria-atomic', 'true');
+    this.root.appendChild(this.liveRegion);
+    
+    // Play/pause control (only shown while autoplay is configured)
+    this.playBtn = document.createElement('button');
+    this.playBtn.type = 'button';
+    this.playBtn.className = 'carousel-btn carousel-play';
+    this.playBtn.hidden = true;
+    this.playBtn.addEventListener('click', () => {
+      if (this.isPlaying) {
+        this.stop();
+      } else {
+        this.play();
+      }
+    }, { signal: this.lifecycle.signal });
+    this.root.appendChild(this.playBtn);
+    
+    // Fullscreen lightbox trigger
+    this.expandBtn = document.createElement('button');
+    this.expandBtn.type = 'button';
+    this.expandBtn.className = 'carousel-btn carousel-expand';
+    this.expandBtn.setAttribute('data-i18n-attr', 'aria-label:carousel.fullscreen');
+    this.expandBtn.setAttribute('aria-label', t('carousel.fullscreen', {}, 'View fullscreen'));
+    this.expandBtn.textContent = '⤢';
+    this.expandBtn.addEventListener('click', () => this.openLightbox(), { signal: this.lifecycle.signal });
+    this.root.appendChild(this.expandBtn);
+  }
+  
+  setupControls() {
+    const { signal } = this.lifecycle;
+    
+    this.prevBtn?.addEventListener('click', () => {
+      this.previousSlide();
+    }, { signal });
+    
+    this.nextBtn?.addEventListener('click', () => {
+      this.nextSlide();
+    }, { signal });
+    
+    // Clicking an image opens it in the lightbox
+    this.container.addEventListener('click', (e) => {
+      if (e.target.closest('.carousel-slide img')) {
+        this.openLightbox();
+      }
+    }, { signal });
+  }
+  
+  setupKeyboard() {
+    this.root.addEventListener('keydown', (e) => {
+      if (!this.options.keyboard || !this.slides.length) return;
+      
+      const actions = {
+        ArrowLeft: () => this.previousSlide(),
+        ArrowRight: () => this.nextSlide(),
+        Home: () => this.goToSlide(0),
+        End: () => this.goToSlide(this.slides.length - 1)
+      };
+      
+      if (e.target.closest('video')) return;
+      
+      if (actions[e.key]) {
+        e.preventDefault();
+        actions[e.key]();
+      } else if (e.key === 'Enter' && e.target === this.container) {
+        e.preventDefault();
+        this.openLightbox();
+      }
+    }, { signal: this.lifecycle.signal });
+  }
+  
+  setupTouchSupport() {
+    const { signal } = this.lifecycle;
+    let startX = 0;
+    let endX = 0;
+    
+    this.container.addEventListener('touchstart', (e) => {
+      startX = e.touches[0].clientX;
+    }, { passive: true, signal });
+    
+    this.container.addEventListener('touchend', (e) => {
+      endX = e.changedTouches[0].clientX;
+      this.handleSwipe();
+    }, { signal });
+    
+    const handleSwipe = () => {
+      const threshold = this.options.swipeThreshold;
+      const diff = startX - endX;
+      
+      if (Math.abs(diff) > threshold) {
+        if (diff > 0) {
+          this.nextSlide();
+        } else {
+          this.previousSlide();
+        }
+      }
+    };
+    
+    this.handleSwipe = handleSwipe;
+  }
+  
+  setupAutoplayPausing() {
+    const { signal } = this.lifecycle;
+    
+    // Pause while the user is looking at or interacting with a slide
+    this.root.addEventListener('mouseenter', () => this.pause(), { signal });
+    this.root.addEventListener('mouseleave', () => this.resume(), { signal });
+    this.root.addEventListener('focusin', () => this.pause(), { signal });
+    this.root.addEventListener('focusout', (e) => {
+      if (!this.root.contains(e.relatedTarget)) {
+        this.resume();
+      }
+    }, { signal });
+    
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.pause();
+      } else {
+        this.resume();
+      }
+    }, { signal });
+  }
+  
+  /**
+   * Replace the slides and apply per-gallery options
+   * @param {Array<string|Object>} slides - Image URLs or slide objects
+   * @param {Object} options - Overrides for this set of slides (e.g. { autoplay: true })
+   */
+  setSlides(slides, options = {}) {
+    if (!this.container) return;
+    
+    this.stop();
+    this.options = { ...this.baseOptions, ...options };
+    this.root.setAttribute('aria-label', this.getLabel());
+    
+    // Clear existing slides
+    this.container.innerHTML = '';
+    if (this.dotsContainer) this.dotsContainer.innerHTML = '';
+    
+    this.slideData = slides.map(normalizeSlide);
+    
+    this.slideData.forEach((data, index) => {
+      const slide = this.createSlide(data, index);
+      this.container.appendChild(slide);
+      
+      // Create dot
+      if (this.dotsContainer) {
+        const dot = document.createElement('button');
+        dot.type = 'button';
+        dot.className = 'dot';
+        dot.setAttribute('aria-label', t('carousel.dot', { index: index + 1 }, 'Slide {index}'));
+        dot.addEventListener('click', () => this.goToSlide(index));
+        
+        this.dotsContainer.appendChild(dot);
+      }
+    });
+    
+    this.slides = this.container.querySelectorAll('.carousel-slide');
+    this.dots = this.dotsContainer ? this.dotsContainer.querySelectorAll('.dot') : [];
+    this.currentSlide = 0;
+    
+    const hasMultiple = this.slides.length > 1;
+    if (this.prevBtn) this.prevBtn.hidden = !hasMultiple;
+    if (this.nextBtn) this.nextBtn.hidden = !hasMultiple;
+    
+    this.goToSlide(0, { announce: false });
+    
+    const canAutoplay = this.options.autoplay && hasMultiple && !CONFIG.REDUCED_MOTION;
+    this.playBtn.hidden = !canAutoplay;
+    
+    if (canAutoplay) {
+      this.play();
+    }
+  }
+  
+  // Kept for callers of the old API
+  updateImages(images) {
+    this.setSlides(images);
+  }
+  
+  createSlide(data, index) {
+    const slide = document.createElement('figure');
+    slide.className = `carousel-slide carousel-slide-${data.type}`;
+    slide.setAttribute('role', 'group');
+    slide.setAttribute('aria-roledescription', 'slide');
+    slide.setAttribute('aria-label', t('carousel.position', { index: index + 1, total: this.slideData.length }, '{index} of {total}'));
+    
+    let media;
+    
+    if (data.type === 'video') {
+      media = document.createElement('video');
+      media.src = data.src;
+      media.controls = true;
+      media.preload = 'metadata';
+      media.playsInline = true;
+      if (data.poster) media.poster = data.poster;
+      media.setAttribute('aria-label', data.alt);
+      
+      // Don't advance away from a video that is being watched
+      media.addEventListener('play', () => this.pause());
+      media.addEventListener('pause', () => this.resume());
+    } else {
+      media = document.createElement('img');
+      media.src = data.src;
+      media.alt = data.alt;
+      media.loading = 'lazy';
+    }
+    
+    slide.appendChild(media);
+    
+    if (data.caption) {
+      const caption = document.createElement('figcaption');
+      caption.className = 'carousel-caption';
+      caption.textContent = data.caption;
+      slide.appendChild(caption);
+    }
+    
+    return slide;
+  }
+  
+  goToSlide(index, { announce = true } = {}) {
+    if (!this.slides.length) return;
+    
+    const previous = this.currentSlide;
+    
+    // Remove active state from current slide and dot
+    this.slides[this.currentSlide]?.classList.remove('active');
+    this.dots[this.currentSlide]?.classList.remove('active');
+    this.dots[this.currentSlide]?.removeAttribute('aria-current');
+    this.slides[this.currentSlide]?.querySelector('video')?.pause();
+    
+    // Add active state to new slide and dot
+    this.currentSlide = index;
+    this.slides[this.currentSlide]?.classList.add('active');
+    this.dots[this.currentSlide]?.classList.add('active');
+    this.dots[this.currentSlide]?.setAttribute('aria-current', 'true');
+    
+    this.slides.forEach((slide, i) => {
+      slide.setAttribute('aria-hidden', String(i !== index));
+    });
+    
+    const data = this.slideData[index];
+    this.expandBtn.hidden = !this.options.lightbox || data?.type !== 'image';
+    
+    if (announce) {
+      this.announce();
+    }
+    
+    this.lightbox?.show(data, index, this.slideData.length);
+    
+    // The first slide of a new gallery isn't a change
+    if (index !== previous) {
+      this.events?.emit('carousel:slide', { index, total: this.slideData.length, type: data?.type });
+    }
+  }
+  
+  announce() {
+    const data = this.slideData[this.currentSlide];
+    if (!data) return;
+    
+    this.liveRegion.textContent = t('carousel.announce', {
+      index: this.currentSlide + 1,
+      total: this.slideData.length,
+      caption: data.caption || data.alt
+    }, 'Slide {index} of {total}: {caption}');
+  }
+  
+  getLabel() {
+    return this.options.label || t('carousel.label', {}, 'Project gallery');
+  }
+  
+  nextSlide() {
+    if (!this.slides.length) return;
+    
+    const nextIndex = (this.currentSlide + 1) % this.slides.length;
+    this.goToSlide(nextIndex);
+  }
+  
+  previousSlide() {
+    if (!this.slides.length) return;
+    
+    const prevIndex = (this.currentSlide - 1 + this.slides.length) % this.slides.length;
+    this.goToSlide(prevIndex);
+  }
+  
+  // ---- Autoplay ----
+  
+  play() {
+    this.isPlaying = true;
+    this.isPaused = false;
+    this.updatePlayButton();
+    this.scheduleNext();
+  }
+  
+  stop() {
+    this.isPlaying = false;
+    this.lifecycle.clearTimeout(this.autoplayTimer);
+    this.autoplayTimer = null;
+    this.updatePlayButton();
+  }
+  
+  pause() {
+    if (!this.isPlaying) return;
+    
+    this.isPaused = true;
+    this.lifecycle.clearTimeout(this.autoplayTimer);
+    this.autoplayTimer = null;
+  }
+  
+  resume() {
+    // The lightbox covers the carousel, so leaving or blurring it isn't a
+    // reason to move on; closing the lightbox resumes
+    if (!this.isPlaying || !this.isPaused || this.lightbox?.isOpen()) return;
+    
+    this.isPaused = false;
+    this.scheduleNext();
+  }
+  
+  scheduleNext() {
+    this.lifecycle.clearTimeout(this.autoplayTimer);
+    
+    this.autoplayTimer = this.lifecycle.setTimeout(() => {
+      this.goToSlide((this.currentSlide + 1) % this.slides.length, { announce: false });
+      this.scheduleNext();
+    }, this.options.interval);
+  }
+  
+  updatePlayButton() {
+    if (!this.playBtn) return;
+    
+    this.playBtn.textContent = this.isPlaying ? '❚❚' : '▶';
+    this.playBtn.setAttribute('aria-label', this.isPlaying
+      ? t('carousel.pause', {}, 'Pause slideshow')
+      : t('carousel.play', {}, 'Play slideshow'));
+    
+    // Rotating content must not be announced on every tick
+    this.liveRegion.setAttribute('aria-live', this.isPlaying ? 'off' : 'polite');
+  }
+  
+  // ---- Lightbox ----
+  
+  openLightbox() {
+    const data = this.slideData[this.currentSlide];
+    if (!this.options.lightbox || data?.type !== 'image') return;
+    
+    if (!this.lightbox) {
+      this.lightbox = new Lightbox({
+        onPrevious: () => this.previousSlide(),
+        onNext: () => this.nextSlide(),
+        onClose: () => this.resume()
+      });
+    }
+    
+    this.pause();
+    this.lightbox.open(data, this.currentSlide, this.slideData.length);
+  }
+  
+  closeLightbox() {
+    this.lightbox?.close();
+  }
+  
+  /**
+   * Stop autoplay, close the lightbox and remove everything init() added
+   */
+  destroy() {
+    if (!this.container) return;
+    
+    this.stop();
+    this.lifecycle.destroy();
+    
+    this.lightbox?.destroy();
+    this.lightbox = null;
+    
+    [this.liveRegion, this.playBtn, this.expandBtn].forEach(element => element?.remove());
+    this.container.innerHTML = '';
+    if (this.dotsContainer) this.dotsContainer.innerHTML = '';
+    this.slides = [];
+    this.slideData = [];
+    this.dots = [];
+    
+    ['role', 'aria-roledescription', 'aria-label'].forEach(name => this.root.removeAttribute(name));
+    this.container.removeAttribute('tabindex');
+  }
+}
@@ -0,0 +1,339 @@
+// ===================================
+// COMMAND PALETTE
+// ===================================
+
+import { trapFocus, smoothScrollTo, Lifecycle } from './utils.js';
+import { t } from './i18n.js';
+
+// Page sections, labelled with their nav.* strings
+export const PALETTE_SECTIONS = ['home', 'about', 'work', 'skills', 'contact'];
+
+const GROUP_LABELS = {
+  sections: 'Go to',
+  projects: 'Projects',
+  themes: 'Theme',
+  fun: 'Fun',
+  custom: 'Commands'
+};
+
+// Labels may be functions, so they're read in the current language
+function resolveLabel(label) {
+  return typeof label === 'function' ? label() : label;
+}
+
+/**
+ * Score `text` against a loosely typed query: every query character must
+ * appear in order, and runs of consecutive characters and word starts
+ * score higher
+ * @param {string} query
+ * @param {string} text
+ * @returns {number|null} null when it doesn't match at all
+ */
+export function fuzzyScore(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = text.toLowerCase();
+  if (!needle) return 0;
+  
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+  
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from);
+    if (index === -1) return null;
+    
+    score += 1;
+    if (index === previous + 1) score += 2;
+    if (index === 0 || /[\s\-_#/(]/.test(haystack[index - 1])) score += 2;
+    
+    previous = index;
+    from = index + 1;
+  }
+  
+  return score;
+}
+
+export class CommandPalette {
+  /**
+   * @param {Object} options - { router } to navigate through,
+   *   { projectModal } whose projects are listed, { themeManager } for the
+   *   themes, { easterEggs } whose console commands are listed too
+   *   (add your own with easterEggs.addCommand),
+   *   { events } EventBus for palette:open / palette:close / palette:run
+   */
+  constructor(options = {}) {
+    const { router = null, projectModal = null, themeManager = null, easterEggs = null, events = null } = options;
+    
+    this.lifecycle = new Lifecycle();
+    this.router = router;
+    this.projectModal = projectModal;
+    this.themeManager = themeManager;
+    this.easterEggs = easterEggs;
+    this.events = events;
+    this.results = [];
+    this.activeIndex = 0;
+    this.lastTrigger = null;
+    this.palette = document.getElementById('commandPalette');
+    this.input = this.palette?.querySelector('.palette-input');
+    this.list = this.palette?.querySelector('.palette-results');
+    
+    this.init();
+  }
+  
+  init() {
+    const { signal } = this.lifecycle;
+    
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-palette-action]');
+      if (!button) return;
+      
+      if (button.dataset.paletteAction === 'open') {
+        this.open();
+      } else {
+        this.close();
+      }
+    }, { signal });
+    
+    // Capture phase, so keys meant for the palette don't also reach an open
+    // project modal underneath
+    window.addEventListener('keydown', (e) => this.handleKeydown(e), { signal, capture: true });
+    
+    if (!this.palette) return;
+    
+    // Click outside to close
+    this.palette.addEventListener('click', (e) => {
+      if (e.target === this.palette) this.close();
+    }, { signal });
+    
+    this.input.addEventListener('input', () => this.search(), { signal });
+    
+    this.list.addEventListener('click', (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option) this.run(Number(option.dataset.index));
+    }, { signal });
+    
+    this.list.addEventListener('pointermove', (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option) this.setActive(Number(option.dataset.index));
+    }, { signal });
+  }
+  
+  handleKeydown(e) {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+      e.preventDefault();
+      if (this.isOpen()) {
+        this.close();
+      } else {
+        this.open();
+      }
+      return;
+    }
+    
+    if (!this.isOpen()) return;
+    
+    const handled = {
+      Escape: () => this.close(),
+      ArrowDown: () => this.setActive(this.activeIndex + 1),
+      ArrowUp: () => this.setActive(this.activeIndex - 1),
+      Enter: () => this.run(this.activeIndex),
+      // Trap focus within the palette
+      Tab: () => trapFocus(this.palette, e)
+    }[e.key];
+    
+    if (!handled) return;
+    
+    e.stopPropagation();
+    if (e.key !== 'Tab') e.preventDefault();
+    handled();
+  }
+  
+  /**
+   * Everything the palette can do right now, in display order. Built on
+   * each search, so projects, themes and the language stay current.
+   */
+  getCommands() {
+    const sections = PALETTE_SECTIONS
+      .filter(id => document.getElementById(id))
+      .map(id => ({
+        id: `section:${id}`,
+        group: 'sections',
+        icon: '#',
+        label: t(`nav.${id}`, {}, id),
+        keywords: `#${id}`,
+        run: () => this.goTo(id)
+      }));
+    
+    const projects = Object.entries(this.projectModal?.projects || {}).map(([id, project]) => ({
+      id: `project:${id}`,
+      group: 'projects',
+      icon: '🗂️',
+      label: project.title,
+      keywords: (project.tags || []).join(' '),
+      run: () => this.projectModal.requestOpen(id)
+    }));
+    
+    const themes = Object.entries(this.themeManager?.themes || {})
+      .concat(this.themeManager ? [['system', { label: 'Match system', icon: '🖥️' }]] : [])
+      .map(([name, { label, icon }]) => ({
+        id: `theme:${name}`,
+        group: 'themes',
+        icon,
+        label: t(`theme.${name}`, {}, label),
+        keywords: `theme ${name}`,
+        run: () => this.themeManager.applyTheme(name)
+      }));
+    
+    // The console commands, described by easterEggs.addCommand()'s info;
+    // each variant of one that takes arguments is an entry of its own
+    const commands = Object.entries(this.easterEggs?.commands || {}).flatMap(([name, command]) => {
+      const { icon = '✨', label, keywords = '', group = 'fun', variants = [{ args: [] }] } = this.easterEggs.commandInfo?.[name] || {};
+      
+      return variants.map(variant => {
+        const args = variant.args || [];
+        const call = `${name}(${args.map(arg => JSON.stringify(arg)).join(', ')})`;
+        
+        return {
+          id: `command:${call}`,
+          group,
+          icon: variant.icon || icon,
+          label: resolveLabel(variant.label) || resolveLabel(label) || call,
+          keywords: `${call} ${keywords}`.trim(),
+          run: () => command(...args)
+        };
+      });
+    });
+    
+    return [...sections, ...projects, ...themes, ...commands];
+  }
+  
+  goTo(sectionId) {
+    if (this.router) {
+      this.router.navigate(`#${sectionId}`);
+    } else {
+      smoothScrollTo(sectionId);
+    }
+  }
+  
+  /**
+   * Filter and rank the commands against the input
+   */
+  search() {
+    const query = this.input.value.trim();
+    
+    this.results = this.getCommands()
+      .map((command, order) => ({
+        command,
+        order,
+        score: fuzzyScore(query, `${command.label} ${command.keywords || ''}`)
+      }))
+      .filter(({ score }) => score !== null)
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .map(({ command }) => command);
+    
+    this.render();
+    this.setActive(0);
+  }
+  
+  render() {
+    this.list.replaceChildren(...this.results.map((command, index) => {
+      const option = document.createElement('li');
+      option.id = `palette-option-${index}`;
+      option.className = 'palette-option';
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      option.dataset.index = index;
+      
+      const icon = document.createElement('span');
+      icon.className = 'palette-icon';
+      icon.setAttribute('aria-hidden', 'true');
+      icon.textContent = command.icon || '›';
+      
+      const label = document.createElement('span');
+      label.className = 'palette-label';
+      label.textContent = command.label;
+      
+      const group = document.createElement('small');
+      group.className = 'palette-group';
+      group.textContent = t(`palette.groups.${command.group}`, {}, GROUP_LABELS[command.group] || command.group);
+      
+      option.append(icon, label, group);
+      return option;
+    }));
+    
+    const empty = this.palette.querySelector('.palette-empty');
+    if (empty) empty.hidden = this.results.length > 0;
+  }
+  
+  setActive(index) {
+    if (!this.results.length) {
+      this.activeIndex = 0;
+      this.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+    
+    // Wrap around at either end
+    this.activeIndex = (index + this.results.length) % this.results.length;
+    
+    this.list.querySelectorAll('[role="option"]').forEach((option, i) => {
+      option.setAttribute('aria-selected', String(i === this.activeIndex));
+    });
+    
+    const active = this.list.children[this.activeIndex];
+    this.input.setAttribute('aria-activedescendant', active.id);
+    active.scrollIntoView?.({ block: 'nearest' });
+  }
+  
+  /**
+   * Close the palette, then run a result (so focus is back on the page
+   * before a modal opens)
+   * @param {number} index - Position in the current results
+   */
+  run(index) {
+    const command = this.results[index];
+    if (!command) return;
+    
+    this.close();
+    command.run();
+    this.events?.emit('palette:run', { id: command.id });
+  }
+  
+  open() {
+    if (!this.palette || this.isOpen()) return;
+    
+    this.lastTrigger = document.activeElement;
+    
+    this.palette.classList.add('active');
+    this.palette.setAttribute('aria-hidden', 'false');
+    this.input.value = '';
+    this.search();
+    this.input.focus();
+    
+    this.events?.emit('palette:open');
+  }
+  
+  close() {
+    if (!this.isOpen()) return;
+    
+    this.palette.classList.remove('active');
+    this.palette.setAttribute('aria-hidden', 'true');
+    this.input.removeAttribute('aria-activedescendant');
+    
+    // Return focus to trigger element
+    if (this.lastTrigger && document.contains(this.lastTrigger)) {
+      this.lastTrigger.focus();
+    }
+    this.lastTrigger = null;
+    
+    this.events?.emit('palette:close');
+  }
+  
+  isOpen() {
+    return !!this.palette?.classList.contains('active');
+  }
+  
+  destroy() {
+    this.close();
+    this.lifecycle.destroy();
+    this.list?.replaceChildren();
+  }
+}
@@ -0,0 +1,17 @@
+// ===================================
+// CONFIGURATION & CONSTANTS
+// ===================================
+
+export const CONFIG = {
+  ENABLE_CUSTOM_CURSOR: true,
+  ENABLE_PARALLAX: true,
+  ENABLE_SCROLL_ANIMATIONS: true,
+  ANIMATION_DURATION: 300,
+  SCROLL_THROTTLE: 16, // ~60fps
+  INTERSECTION_THRESHOLD: 0.1,
+  
+  // Read when used, so importing this module doesn't touch the DOM
+  get REDUCED_MOTION() {
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+};
@@ -0,0 +1,256 @@
+// ===================================
+// CONSENT MANAGER
+// ===================================
+
+import { FOCUSABLE_SELECTOR, trapFocus, Lifecycle } from './utils.js';
+
+const CONSENT_STORAGE_KEY = 'portfolio-consent';
+// Bump when categories change meaning, so visitors are asked again
+const CONSENT_VERSION = 1;
+
+/**
+ * Consent categories. "necessary" (theme, language, the offline contact
+ * queue) is always on; the rest start off until the visitor opts in.
+ * Markup can wait for a category with data-consent="<category>" and
+ * data-src / data-href, which are copied over once it is granted.
+ */
+export const CONSENT_CATEGORIES = ['necessary', 'analytics', 'thirdParty'];
+
+/**
+ * Do Not Track or Global Privacy Control; either one keeps analytics off
+ * whatever was chosen in the dialog
+ */
+export function isDoNotTrack() {
+  return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+}
+
+export class ConsentManager {
+  /**
+   * @param {Object} options - { events } EventBus for consent:change
+   */
+  constructor(options = {}) {
+    this.lifecycle = new Lifecycle();
+    this.events = options.events || null;
+    this.banner = document.getElementById('consentBanner');
+    this.modal = document.getElementById('consentModal');
+    this.form = this.modal?.querySelector('.consent-form');
+    this.listeners = new Set();
+    this.lastTrigger = null;
+    this.choices = this.readChoices();
+    
+    this.init();
+  }
+  
+  init() {
+    this.setupActions();
+    this.setupModal();
+    this.activateElements();
+    
+    if (this.banner) this.banner.hidden = this.decided;
+  }
+  
+  /**
+   * The saved choices, or null when the visitor hasn't decided yet (or
+   * decided on an older CONSENT_VERSION)
+   */
+  readChoices() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(CONSENT_STORAGE_KEY));
+      if (saved?.version === CONSENT_VERSION && saved.choices) return saved.choices;
+    } catch (error) {
+      // Unreadable or blocked storage counts as undecided
+    }
+    
+    return null;
+  }
+  
+  get decided() {
+    return this.choices !== null;
+  }
+  
+  /**
+   * Whether a category may be used right now. Ask before acting, e.g.
+   * before loading a third-party script or sending an analytics beacon.
+   * @param {string} category - One of CONSENT_CATEGORIES
+   * @returns {boolean}
+   */
+  has(category) {
+    if (category === 'necessary') return true;
+    if (category === 'analytics' && isDoNotTrack()) return false;
+    
+    return this.choices?.[category] === true;
+  }
+  
+  /**
+   * @returns {Object} category -> boolean, for every category
+   */
+  getState() {
+    return Object.fromEntries(CONSENT_CATEGORIES.map(category => [category, this.has(category)]));
+  }
+  
+  /**
+   * Save choices for some categories; the others keep their value
+   * @param {Object} choices - e.g. { thirdParty: true }
+   */
+  update(choices) {
+    const previous = this.getState();
+    const next = {};
+    
+    CONSENT_CATEGORIES.filter(category => category !== 'necessary').forEach(category => {
+      next[category] = category in choices ? !!choices[category] : this.choices?.[category] === true;
+    });
+    
+    this.choices = next;
+    
+    try {
+      localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify({ version: CONSENT_VERSION, choices: next, updatedAt: new Date().toISOString() }));
+    } catch (error) {
+      console.warn('Could not save consent choices:', error);
+    }
+    
+    if (this.banner) this.banner.hidden = true;
+    this.activateElements();
+    
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(state, previous));
+    this.events?.emit('consent:change', { state, previous });
+  }
+  
+  acceptAll() {
+    this.update({ analytics: true, thirdParty: true });
+  }
+  
+  rejectAll() {
+    this.update({ analytics: false, thirdParty: false });
+  }
+  
+  /**
+   * @param {Function} listener - Called with (state, previous) after every update
+   * @returns {Function} Unsubscribe
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+  
+  /**
+   * Load whatever was waiting for a category that is now granted
+   */
+  activateElements() {
+    document.querySelectorAll('[data-consent]').forEach(element => {
+      if (!this.has(element.dataset.consent)) return;
+      
+      if (element.dataset.src && !element.getAttribute('src')) element.src = element.dataset.src;
+      if (element.dataset.href && !element.getAttribute('href')) element.href = element.dataset.href;
+    });
+  }
+  
+  setupActions() {
+    // Buttons anywhere on the page: banner, footer link, the dialog itself
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest?.('[data-consent-action]');
+      if (!button) return;
+      
+      const actions = {
+        accept: () => this.acceptAll(),
+        reject: () => this.rejectAll(),
+        customize: () => this.open(),
+        save: () => this.update(this.readForm())
+      };
+      
+      actions[button.dataset.consentAction]?.();
+      
+      if (button.closest('#consentModal') && button.dataset.consentAction !== 'customize') {
+        this.close();
+      }
+    }, { signal: this.lifecycle.signal });
+  }
+  
+  setupModal() {
+    if (!this.modal) return;
+    
+    const { signal } = this.lifecycle;
+    
+    this.modal.querySelector('.modal-close')?.addEventListener('click', () => this.close(), { signal });
+    
+    // Click outside to close
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) this.close();
+    }, { signal });
+    
+    document.addEventListener('keydown', (e) => {
+      if (!this.isOpen()) return;
+      
+      if (e.key === 'Escape') this.close();
+      
+      // Trap focus within modal
+      if (e.key === 'Tab') trapFocus(this.modal, e);
+    }, { signal });
+  }
+  
+  readForm() {
+    const choices = {};
+    this.form?.querySelectorAll('input[type="checkbox"][name]').forEach(input => {
+      choices[input.name] = input.checked;
+    });
+    
+    return choices;
+  }
+  
+  /**
+   * Show the preferences dialog with the current choices ticked
+   */
+  open() {
+    if (!this.modal || this.isOpen()) return;
+    
+    this.lastTrigger = document.activeElement;
+    
+    const dnt = isDoNotTrack();
+    this.form?.querySelectorAll('input[type="checkbox"][name]').forEach(input => {
+      input.checked = this.has(input.name);
+      if (input.name === 'analytics') input.disabled = dnt;
+    });
+    this.modal.querySelector('.consent-dnt')?.toggleAttribute('hidden', !dnt);
+    
+    this.modal.classList.add('active');
+    this.modal.setAttribute('aria-hidden', 'false');
+    
+    // Focus management
+    this.modal.querySelector(FOCUSABLE_SELECTOR)?.focus();
+    
+    // Prevent body scroll
+    document.body.style.overflow = 'hidden';
+  }
+  
+  close() {
+    if (!this.isOpen()) return;
+    
+    this.modal.classList.remove('active');
+    this.modal.setAttribute('aria-hidden', 'true');
+    
+    // Restore body scroll
+    document.body.style.overflow = '';
+    
+    // Return focus to trigger element
+    if (this.lastTrigger && document.contains(this.lastTrigger)) {
+      this.lastTrigger.focus();
+    }
+    this.lastTrigger = null;
+  }
+  
+  isOpen() {
+    return !!this.modal?.classList.contains('active');
+  }
+  
+  /**
+   * Close the dialog and banner. Saved choices and anything already
+   * loaded stay as they are.
+   */
+  destroy() {
+    this.close();
+    this.lifecycle.destroy();
+    this.listeners.clear();
+    
+    if (this.banner) this.banner.hidden = true;
+  }
+}
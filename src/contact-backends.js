@@ -0,0 +1,273 @@
+// ===================================
+// CONTACT FORM BACKENDS
+// ===================================
+
+import { t } from './i18n.js';
+import { SPAM_DEFAULTS, SPAM_MESSAGES, verifyProofOfWork } from './spam-protection.js';
+
+/**
+ * Backend adapters share one interface:
+ *   name: string
+ *   thirdParty: boolean, true when fields leave for another provider
+ *     (ContactForm then needs the "thirdParty" consent category)
+ *   async submit(fields, meta) -> { success: boolean, message?: string }
+ * `meta.challenge` carries the SpamGuard proof-of-work stamp (may be absent).
+ * Adapters throw a NetworkError when the request never reached the server,
+ * which is what sends a submission to the offline queue.
+ */
+
+const WEB3FORMS_ENDPOINT = 'https://api.web3forms.com/submit';
+const CONTACT_QUEUE_KEY = 'portfolio-contact-queue';
+
+export class NetworkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * fetch() wrapper that turns connection failures into NetworkError
+ */
+async function fetchOrThrowNetworkError(url, options) {
+  try {
+    return await fetch(url, options);
+  } catch (error) {
+    throw new NetworkError(error.message);
+  }
+}
+
+export class Web3FormsBackend {
+  constructor(endpoint = WEB3FORMS_ENDPOINT) {
+    this.name = 'web3forms';
+    this.thirdParty = true;
+    this.endpoint = endpoint;
+  }
+  
+  async submit(fields) {
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+    
+    const response = await fetchOrThrowNetworkError(this.endpoint, {
+      method: 'POST',
+      body: formData
+    });
+    const data = await response.json();
+    
+    return { success: !!data.success, message: data.message };
+  }
+}
+
+export class WebhookBackend {
+  /**
+   * @param {string} endpoint - URL that accepts a JSON POST
+   * @param {Object} headers - Extra request headers (e.g. auth)
+   */
+  constructor(endpoint, headers = {}) {
+    this.name = 'webhook';
+    this.endpoint = endpoint;
+    this.headers = headers;
+    this.thirdParty = !!endpoint && new URL(endpoint, window.location.href).origin !== window.location.origin;
+  }
+  
+  async submit(fields, meta = {}) {
+    if (!this.endpoint) {
+      return { success: false, message: 'No webhook endpoint is configured.' };
+    }
+    
+    // The Web3Forms key is meaningless to other services
+    const { access_key, ...payload } = fields;
+    
+    const response = await fetchOrThrowNetworkError(this.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(meta.challenge ? { 'X-Contact-Challenge': meta.challenge } : {}),
+        ...this.headers
+      },
+      body: JSON.stringify({ ...payload, submittedAt: new Date().toISOString() })
+    });
+    
+    let data = {};
+    try {
+      data = await response.json();
+    } catch (error) {
+      // Plenty of webhooks reply with an empty body
+    }
+    
+    return { success: response.ok, message: data.message };
+  }
+}
+
+export class MailtoBackend {
+  constructor(address) {
+    this.name = 'mailto';
+    this.thirdParty = false;
+    this.address = address;
+  }
+  
+  // Hands the message to the visitor's mail app; delivery can't be confirmed
+  async submit(fields) {
+    if (!this.address) {
+      return { success: false, message: 'No email address is configured.' };
+    }
+    
+    const subject = `Portfolio enquiry from ${fields.name || 'a visitor'}`;
+    const body = `${fields.message || ''}\n\n— ${fields.name || ''} <${fields.email || ''}>`;
+    
+    window.location.href = `mailto:${this.address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    
+    return { success: true };
+  }
+}
+
+export class MockBackend {
+  /**
+   * @param {Object} options - { delay, result, offline } to script the response;
+   *   { challengeDifficulty } to verify SpamGuard stamps like a server would
+   */
+  constructor({ delay = 500, result = { success: true }, offline = false, challengeDifficulty = null } = {}) {
+    this.name = 'mock';
+    this.thirdParty = false;
+    this.delay = delay;
+    this.result = result;
+    this.offline = offline;
+    this.challengeDifficulty = challengeDifficulty;
+    this.submissions = [];
+  }
+  
+  async submit(fields, meta = {}) {
+    await new Promise(resolve => setTimeout(resolve, this.delay));
+    
+    if (this.offline) {
+      throw new NetworkError('Mock backend is offline');
+    }
+    
+    // Queued submissions (and browsers without SubtleCrypto) carry no stamp
+    if (this.challengeDifficulty && meta.challenge &&
+        !await verifyProofOfWork(meta.challenge, this.challengeDifficulty)) {
+      return { success: false, message: t('spam.challenge', {}, SPAM_MESSAGES.challenge) };
+    }
+    
+    this.submissions.push(fields);
+    return typeof this.result === 'function' ? this.result(fields) : this.result;
+  }
+}
+
+/**
+ * Backends selectable with data-backend on the form
+ * (data-endpoint for webhook, data-fallback-email for mailto).
+ */
+export const CONTACT_BACKENDS = {
+  web3forms: (form) => new Web3FormsBackend(form.getAttribute('action') || WEB3FORMS_ENDPOINT),
+  webhook: (form) => new WebhookBackend(form.getAttribute('data-endpoint')),
+  mailto: (form) => new MailtoBackend(form.getAttribute('data-fallback-email')),
+  mock: () => new MockBackend({ challengeDifficulty: SPAM_DEFAULTS.powDifficulty })
+};
+
+/**
+ * Submissions that failed because the visitor was offline.
+ * Stored in localStorage so they survive a reload.
+ */
+export class SubmissionQueue {
+  constructor(storageKey = CONTACT_QUEUE_KEY) {
+    this.storageKey = storageKey;
+    // The flush in progress, so a second one can't send the same items
+    this.flushing = null;
+  }
+  
+  getAll() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+  
+  save(items) {
+    try {
+      if (items.length) {
+        localStorage.setItem(this.storageKey, JSON.stringify(items));
+      } else {
+        localStorage.removeItem(this.storageKey);
+      }
+      return true;
+    } catch (error) {
+      console.error('Could not persist contact queue:', error);
+      return false;
+    }
+  }
+  
+  add(fields, backendName) {
+    const items = this.getAll();
+    items.push({
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      backend: backendName,
+      fields,
+      queuedAt: Date.now(),
+      attempts: 0
+    });
+    return this.save(items);
+  }
+  
+  get size() {
+    return this.getAll().length;
+  }
+  
+  /**
+   * Retry every queued submission in order. While a flush is running,
+   * calling this again returns the same promise.
+   * @param {Function} resolveBackend - Maps a backend name to an adapter,
+   *   or to null to keep that item queued for now
+   * @returns {Promise<number>} How many were delivered
+   */
+  flush(resolveBackend) {
+    if (!this.flushing) {
+      this.flushing = this.sendAll(resolveBackend).finally(() => {
+        this.flushing = null;
+      });
+    }
+    
+    return this.flushing;
+  }
+  
+  async sendAll(resolveBackend) {
+    let delivered = 0;
+    
+    for (const item of this.getAll()) {
+      const backend = resolveBackend(item.backend);
+      if (!backend) continue;
+      
+      try {
+        const result = await backend.submit(item.fields);
+        
+        if (!result.success) {
+          // The server saw it and said no; retrying won't help
+          console.warn('Queued submission was rejected:', result.message);
+        } else {
+          delivered++;
+        }
+        
+        this.remove(item.id);
+      } catch (error) {
+        if (error instanceof NetworkError) {
+          this.update(item.id, { attempts: item.attempts + 1 });
+          break; // Still offline, keep the rest for later
+        }
+        
+        console.error('Queued submission failed:', error);
+        this.remove(item.id);
+      }
+    }
+    
+    return delivered;
+  }
+  
+  remove(id) {
+    this.save(this.getAll().filter(item => item.id !== id));
+  }
+  
+  update(id, changes) {
+    this.save(this.getAll().map(item => item.id === id ? { ...item, ...changes } : item));
+  }
+}
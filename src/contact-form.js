@@ -0,0 +1,351 @@
+// ===================================
+// CONTACT FORM
+// ===================================
+
+import { Lifecycle } from './utils.js';
+import { t } from './i18n.js';
+import { NotificationManager } from './notifications.js';
+import { FormValidator } from './form-validation.js';
+import { SpamRejection, SpamGuard } from './spam-protection.js';
+import { NetworkError, CONTACT_BACKENDS, SubmissionQueue } from './contact-backends.js';
+
+export class ContactForm {
+  /**
+   * @param {Object} options - { backend, queue } to override the adapter chosen by data-backend,
+   *   { validation } for FormValidator config (extra rules, cross-field rules, messages),
+   *   { spam } for SpamGuard overrides, or spam: false to disable the checks,
+   *   { notifications } NotificationManager used for errors and status messages,
+   *   { consent } ConsentManager asked before a thirdParty backend is used,
+   *   { events } EventBus for the funnel: form:start, form:submit, form:invalid,
+   *   form:submit:success, form:submit:error and form:submit:queued
+   */
+  constructor(options = {}) {
+    this.lifecycle = new Lifecycle();
+    this.events = options.events || null;
+    this.form = document.getElementById('contactForm');
+    this.submitBtn = this.form?.querySelector('.submit-btn');
+    this.successMessage = document.getElementById('successMessage');
+    this.backend = options.backend || null;
+    this.queue = options.queue || new SubmissionQueue();
+    this.ownsNotifications = !options.notifications;
+    this.notifications = options.notifications || new NotificationManager();
+    this.consent = options.consent || null;
+    this.validator = this.form ? new FormValidator(this.form, { translate: t, ...options.validation }) : null;
+    this.validationRuns = new WeakMap();
+    this.spamGuard = this.form && options.spam !== false ? new SpamGuard(this.form, options.spam) : null;
+    
+    this.init();
+  }
+  
+  init() {
+    if (!this.form) return;
+    
+    this.backend = this.backend || this.createBackend(this.form.getAttribute('data-backend') || 'web3forms');
+    this.fallbackBackend = this.form.hasAttribute('data-fallback-email') ? this.createBackend('mailto') : null;
+    
+    this.setupFormValidation();
+    this.setupFormSubmission();
+    this.setupInputAnimations();
+    this.setupOfflineQueue();
+    this.setupFunnelEvents();
+  }
+  
+  setupFunnelEvents() {
+    // First interaction only; form:submit marks each attempt after that
+    this.form.addEventListener('focusin', () => {
+      this.events?.emit('form:start');
+    }, { once: true, signal: this.lifecycle.signal });
+  }
+  
+  createBackend(name) {
+    const factory = CONTACT_BACKENDS[name];
+    
+    if (!factory) {
+      console.warn(`Unknown contact backend "${name}", using web3forms`);
+      return CONTACT_BACKENDS.web3forms(this.form);
+    }
+    
+    return factory(this.form);
+  }
+  
+  /**
+   * Swap the submission adapter (e.g. a MockBackend in tests)
+   * @param {Object} backend - Object implementing submit(fields)
+   */
+  setBackend(backend) {
+    this.backend = backend;
+  }
+  
+  setupOfflineQueue() {
+    window.addEventListener('online', () => this.flushQueue(), { signal: this.lifecycle.signal });
+    
+    if (navigator.onLine !== false) {
+      this.flushQueue();
+    }
+  }
+  
+  async flushQueue() {
+    if (!this.queue.size) return;
+    
+    // Consent is checked per item: each was queued for its own backend
+    const delivered = await this.queue.flush(name => {
+      const backend = name === this.backend.name ? this.backend : this.createBackend(name);
+      return this.canUse(backend) ? backend : null;
+    });
+    
+    if (delivered) {
+      console.log(`📬 Sent ${delivered} message(s) saved while offline`);
+      this.notifications.success(t('contact.queueSent', { count: delivered }, 'You\'re back online: {count} saved message(s) have been sent.'));
+    }
+  }
+  
+  /**
+   * Whether a backend may be used under the visitor's consent choices.
+   * Without a ConsentManager every backend is allowed.
+   */
+  canUse(backend) {
+    return !backend?.thirdParty || !this.consent || this.consent.has('thirdParty');
+  }
+  
+  /**
+   * Explain why a third-party backend can't be used yet and offer to
+   * allow it (or to switch to email)
+   */
+  requestConsent(fields) {
+    this.events?.emit('form:submit:error', { reason: 'consent' });
+    
+    const actions = [{
+      label: t('contact.allowAndSend', {}, 'Allow and send'),
+      onClick: () => {
+        this.consent.update({ thirdParty: true });
+        this.handleSubmit();
+      }
+    }];
+    
+    if (this.fallbackBackend) {
+      actions.push({ label: t('contact.sendByEmail', {}, 'Send by email'), onClick: () => this.fallbackBackend.submit(fields) });
+    }
+    
+    this.notifications.info(t('contact.consentRequired', {}, 'This form is delivered by a third-party service. Allow third-party services so it can be sent?'), { actions, duration: 0 });
+  }
+  
+  setupFormValidation() {
+    const { signal } = this.lifecycle;
+    
+    this.validator.getFields().forEach(input => {
+      input.addEventListener('blur', async () => {
+        if (await this.validateField(input)) {
+          this.validateCrossFields(input.name);
+        }
+      }, { signal });
+      
+      input.addEventListener('input', () => {
+        this.clearError(input);
+      }, { signal });
+    });
+  }
+  
+  /**
+   * Validate a field against its rules and show/clear its error
+   * @param {Element} field - Input, textarea or select
+   * @returns {Promise<boolean>}
+   */
+  async validateField(field) {
+    // Only the latest run for a field may update its error (async rules)
+    const run = (this.validationRuns.get(field) || 0) + 1;
+    this.validationRuns.set(field, run);
+    
+    const { valid, message } = await this.validator.validateField(field);
+    
+    if (this.validationRuns.get(field) === run) {
+      this.showError(field, message, !valid);
+    }
+    
+    return valid;
+  }
+  
+  /**
+   * @param {string} fieldName - Only run rules involving this field
+   * @returns {Promise<boolean>}
+   */
+  async validateCrossFields(fieldName) {
+    const results = await this.validator.validateCrossFields(fieldName);
+    
+    results.forEach(({ field, valid, message }) => {
+      if (field && !valid) this.showError(field, message, true);
+    });
+    
+    return results.every(result => result.valid);
+  }
+  
+  showError(field, message, show) {
+    const errorElement = document.getElementById(`${field.name}-error`);
+    
+    if (errorElement) {
+      errorElement.textContent = message;
+      errorElement.classList.toggle('show', show);
+    }
+    
+    field.classList.toggle('error', show);
+  }
+  
+  clearError(field) {
+    this.showError(field, '', false);
+  }
+  
+  setupFormSubmission() {
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSubmit();
+    }, { signal: this.lifecycle.signal });
+  }
+  
+  async handleSubmit() {
+    this.events?.emit('form:submit');
+    
+    // Validate all fields
+    const results = await Promise.all(this.validator.getFields().map(field => this.validateField(field)));
+    let isFormValid = results.every(Boolean);
+    
+    if (isFormValid) {
+      isFormValid = await this.validateCrossFields();
+    }
+    
+    if (!isFormValid) {
+      const invalid = [...this.form.querySelectorAll('.error')];
+      this.events?.emit('form:invalid', { fields: invalid.map(field => field.name) });
+      invalid[0]?.focus();
+      return;
+    }
+    
+    let fields = Object.fromEntries(new FormData(this.form).entries());
+    
+    if (!this.canUse(this.backend)) {
+      this.requestConsent(fields);
+      return;
+    }
+    
+    // Show loading state
+    this.setLoadingState(true);
+    
+    try {
+      let meta = {};
+      if (this.spamGuard) {
+        meta = await this.spamGuard.check(fields);
+        fields = this.spamGuard.clean(fields);
+      }
+      
+      if (navigator.onLine === false) {
+        throw new NetworkError('Browser is offline');
+      }
+      
+      const result = await this.backend.submit(fields, meta);
+      
+      if (result.success) {
+        this.spamGuard?.recordSubmission();
+        this.showSuccessMessage();
+        this.form.reset();
+        this.events?.emit('form:submit:success', { backend: this.backend.name });
+      } else {
+        const message = result.message || t('contact.failed', {}, 'Sorry, there was an error sending your message. Please try again.');
+        this.handleFailure(message, fields);
+      }
+    } catch (error) {
+      if (error instanceof SpamRejection) {
+        this.notifications.error(error.message);
+        this.events?.emit('form:submit:error', { reason: error.reason });
+      } else if (error instanceof NetworkError) {
+        this.spamGuard?.recordSubmission();
+        this.queueSubmission(fields);
+      } else {
+        console.error('Form submission error:', error);
+        this.handleFailure(t('contact.failed', {}, 'Sorry, there was an error sending your message. Please try again.'), fields);
+      }
+    } finally {
+      this.setLoadingState(false);
+    }
+  }
+  
+  queueSubmission(fields) {
+    if (this.queue.add(fields, this.backend.name)) {
+      this.form.reset();
+      this.events?.emit('form:submit:queued', { backend: this.backend.name });
+      this.notifications.info(t('contact.offlineSaved', {}, 'You seem to be offline. Your message has been saved and will be sent automatically when you\'re back online.'));
+    } else {
+      this.notifications.error(t('contact.offlineNotSaved', {}, 'You seem to be offline and your message could not be saved. Please try again once you\'re connected.'), {
+        actions: [{ label: t('contact.retry', {}, 'Retry'), onClick: () => this.handleSubmit() }]
+      });
+    }
+  }
+  
+  /**
+   * Report a failed send. The form keeps its values, so "Retry" simply
+   * submits again; with data-fallback-email the visitor can switch to mailto.
+   */
+  handleFailure(message, fields) {
+    this.events?.emit('form:submit:error', { reason: 'failed', message });
+    
+    const actions = [{ label: t('contact.retry', {}, 'Retry'), onClick: () => this.handleSubmit() }];
+    
+    if (this.fallbackBackend) {
+      actions.push({ label: t('contact.sendByEmail', {}, 'Send by email'), onClick: () => this.fallbackBackend.submit(fields) });
+    }
+    
+    this.notifications.error(message, { actions, duration: 0 });
+  }
+  
+  setLoadingState(loading) {
+    if (!this.submitBtn) return;
+    
+    this.submitBtn.disabled = loading;
+    this.submitBtn.classList.toggle('sending', loading);
+    
+    const btnText = this.submitBtn.querySelector('.btn-text');
+    if (btnText) {
+      btnText.textContent = loading
+        ? t('contact.sending', {}, 'Sending...')
+        : t('contact.send', {}, 'Send Message');
+    }
+  }
+  
+  showSuccessMessage() {
+    if (!this.successMessage) return;
+    
+    this.successMessage.classList.add('show');
+    
+    // Hide after 5 seconds
+    this.lifecycle.setTimeout(() => {
+      this.successMessage.classList.remove('show');
+    }, 5000);
+  }
+  
+  setupInputAnimations() {
+    const inputs = this.form.querySelectorAll('input, textarea');
+    
+    const { signal } = this.lifecycle;
+    
+    inputs.forEach(input => {
+      input.addEventListener('focus', () => {
+        input.parentElement.classList.add('focused');
+      }, { signal });
+      
+      input.addEventListener('blur', () => {
+        if (!input.value) {
+          input.parentElement.classList.remove('focused');
+        }
+      }, { signal });
+    });
+  }
+  
+  /**
+   * Detach from the form. Queued offline messages stay in storage and are
+   * sent by the next ContactForm.
+   */
+  destroy() {
+    this.lifecycle.destroy();
+    this.spamGuard?.destroy();
+    this.successMessage?.classList.remove('show');
+    
+    if (this.ownsNotifications) this.notifications.destroy();
+  }
+}
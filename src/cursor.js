@@ -0,0 +1,88 @@
+// ===================================
+// CUSTOM CURSOR
+// ===================================
+
+import { CONFIG } from './config.js';
+import { Lifecycle } from './utils.js';
+
+export class CustomCursor {
+  constructor() {
+    this.lifecycle = new Lifecycle();
+    this.suspended = false;
+    
+    if (!CONFIG.ENABLE_CUSTOM_CURSOR || CONFIG.REDUCED_MOTION) return;
+    
+    this.cursor = document.querySelector('.custom-cursor');
+    this.isTouch = 'ontouchstart' in window;
+    
+    if (this.isTouch || !this.cursor) return;
+    
+    this.init();
+  }
+  
+  init() {
+    const { signal } = this.lifecycle;
+    this.cursor.classList.add('active');
+    
+    // Mouse move handler
+    document.addEventListener('mousemove', (e) => {
+      if (this.suspended) return;
+      
+      this.lifecycle.requestAnimationFrame(() => {
+        this.cursor.style.left = e.clientX + 'px';
+        this.cursor.style.top = e.clientY + 'px';
+      });
+    }, { signal });
+    
+    // Hover effects for interactive elements
+    this.bindHoverTargets(document.querySelectorAll('a, button, .project-card, input, textarea'));
+    
+    // Hide cursor when leaving window
+    document.addEventListener('mouseleave', () => {
+      this.cursor.classList.remove('active');
+    }, { signal });
+    
+    document.addEventListener('mouseenter', () => {
+      this.cursor.classList.toggle('active', !this.suspended);
+    }, { signal });
+  }
+  
+  /**
+   * Follow the adaptive quality tier (see QualityManager). The native
+   * cursor is always there underneath, so hiding this one loses nothing.
+   * @param {Object} settings - { customCursor }
+   */
+  setQuality({ customCursor }) {
+    this.suspended = !customCursor;
+    
+    if (!this.cursor || this.isTouch || this.lifecycle.destroyed) return;
+    
+    this.cursor.classList.toggle('active', !this.suspended);
+    if (this.suspended) this.cursor.classList.remove('hover');
+  }
+  
+  /**
+   * Enable the hover state for elements added after init (e.g. project cards)
+   * @param {NodeList|Element[]} elements - Elements to bind
+   */
+  bindHoverTargets(elements) {
+    if (!this.cursor || this.isTouch || this.lifecycle.destroyed) return;
+    
+    const { signal } = this.lifecycle;
+    
+    elements.forEach(element => {
+      element.addEventListener('mouseenter', () => {
+        this.cursor.classList.add('hover');
+      }, { signal });
+      
+      element.addEventListener('mouseleave', () => {
+        this.cursor.classList.remove('hover');
+      }, { signal });
+    });
+  }
+  
+  destroy() {
+    this.lifecycle.destroy();
+    this.cursor?.classList.remove('active', 'hover');
+  }
+}
@@ -0,0 +1,368 @@
+// ===================================
+// EASTER EGGS & SECRET INTERACTIONS
+// ===================================
+
+import { Lifecycle } from './utils.js';
+import { t } from './i18n.js';
+import { NotificationManager } from './notifications.js';
+import { EffectManager } from './effect-manager.js';
+
+const RAINBOW_STYLES = `
+  .rainbow-mode * {
+    animation: rainbow 3s linear infinite !important;
+  }
+  
+  @keyframes rainbow {
+    0% { filter: hue-rotate(0deg); }
+    100% { filter: hue-rotate(360deg); }
+  }
+  
+  @keyframes mascotDance {
+    0%, 100% { transform: rotate(0deg) scale(1); }
+    25% { transform: rotate(-5deg) scale(1.1); }
+    75% { transform: rotate(5deg) scale(0.9); }
+  }
+`;
+
+const PARTY_STYLES = `
+  .party-mode {
+    animation: partyColors 0.5s ease-in-out infinite alternate !important;
+  }
+  
+  .party-mode * {
+    animation: partyBounce 0.3s ease-in-out infinite alternate !important;
+  }
+  
+  @keyframes partyColors {
+    0% { filter: hue-rotate(0deg) saturate(1.5); }
+    100% { filter: hue-rotate(180deg) saturate(2); }
+  }
+  
+  @keyframes partyBounce {
+    0% { transform: translateY(0); }
+    100% { transform: translateY(-5px); }
+  }
+`;
+
+function ensureStyles(id, css) {
+  if (document.getElementById(id)) return;
+  
+  const style = document.createElement('style');
+  style.id = id;
+  style.textContent = css;
+  document.head.appendChild(style);
+}
+
+export class EasterEggs {
+  /**
+   * @param {NotificationManager} notifications - Where secret messages are shown
+   * @param {Object} options - { events } EventBus for easter-egg:unlocked
+   */
+  constructor(notifications = null, options = {}) {
+    this.lifecycle = new Lifecycle();
+    this.events = options.events || null;
+    this.ownsNotifications = !notifications;
+    this.notifications = notifications || new NotificationManager();
+    this.konamiCode = ['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight', 'KeyB', 'KeyA'];
+    this.userInput = [];
+    this.clickCount = 0;
+    this.effects = new EffectManager();
+    this.commands = {};
+    // name -> how the command palette lists it (see addCommand)
+    this.commandInfo = {};
+    this.resetHandlers = new Set();
+    this.sparkles = new Set();
+    
+    this.init();
+  }
+  
+  init() {
+    this.setupEffects();
+    this.setupKonamiCode();
+    this.setupMascotInteractions();
+    this.setupSecretMessages();
+    this.setupDoubleClickEggs();
+  }
+  
+  /**
+   * Every visible effect goes through this.effects, so reset() can undo
+   * exactly what was changed. "colors" effects replace each other, and
+   * rainbow mode comes back when a party runs out.
+   */
+  setupEffects() {
+    const mascot = () => document.querySelector('.mascot-main');
+    
+    this.effects.register('rainbow', {
+      group: 'colors',
+      apply: (fx) => {
+        ensureStyles('rainbow-styles', RAINBOW_STYLES);
+        fx.classes(document.body, 'rainbow-mode');
+        fx.style(mascot(), { animation: 'mascotDance 0.5s ease-in-out infinite' });
+      }
+    });
+    
+    this.effects.register('party', {
+      group: 'colors',
+      duration: 10000,
+      apply: (fx) => {
+        ensureStyles('party-styles', PARTY_STYLES);
+        fx.classes(document.body, 'party-mode');
+      },
+      onExpire: () => this.showSecretMessage(t('eggs.partyOver', {}, '😴 Party\'s over! Back to normal.'))
+    });
+    
+    this.effects.register('dance', {
+      apply: (fx) => fx.style(document.body, { animation: 'shake 0.5s ease-in-out infinite' })
+    });
+    
+    this.effects.register('mascot-shake', {
+      duration: 500,
+      apply: (fx) => fx.style(mascot(), { animation: 'mascotShake 0.5s ease-in-out' })
+    });
+    
+    this.effects.register('mascot-sleepy', {
+      apply: (fx) => fx.style(mascot(), { filter: 'blur(2px)' })
+    });
+    
+    this.effects.register('mascot-hide', {
+      duration: 3000,
+      apply: (fx) => fx.style(mascot(), { transform: 'scale(0)' }),
+      onExpire: () => {
+        this.effects.deactivate('mascot-sleepy');
+        this.showSecretMessage(t('eggs.back', {}, '😊 "Just kidding! I\'m back!" - Mascot'));
+        this.clickCount = 0;
+      }
+    });
+  }
+  
+  setupKonamiCode() {
+    document.addEventListener('keydown', (e) => {
+      if (this.recordKey(e.code)) {
+        this.activateSecretMode();
+      }
+    }, { signal: this.lifecycle.signal });
+  }
+  
+  /**
+   * Track the latest keys
+   * @param {string} code - KeyboardEvent.code
+   * @returns {boolean} true when they complete the Konami code
+   */
+  recordKey(code) {
+    this.userInput.push(code);
+    
+    if (this.userInput.length > this.konamiCode.length) {
+      this.userInput.shift();
+    }
+    
+    return this.userInput.join(',') === this.konamiCode.join(',');
+  }
+  
+  activateSecretMode() {
+    if (this.effects.isActive('rainbow')) return;
+    
+    this.effects.activate('rainbow');
+    this.unlock('konami');
+    
+    // Show secret message
+    this.showSecretMessage(t('eggs.konami', {}, '🎉 KONAMI CODE ACTIVATED! You found the secret rainbow mode!'));
+  }
+  
+  setupMascotInteractions() {
+    const mascot = document.querySelector('.mascot-main');
+    if (!mascot) return;
+    
+    mascot.addEventListener('click', () => {
+      this.clickCount++;
+      
+      if (this.clickCount === 5) {
+        this.showSecretMessage(t('eggs.poked', {}, '🤖 "Hey! Stop poking me!" - Mascot'));
+        this.unlock('mascot', { clicks: this.clickCount });
+        this.effects.activate('mascot-shake');
+      } else if (this.clickCount === 10) {
+        this.showSecretMessage(t('eggs.sleepy', {}, '😴 "I\'m getting sleepy..." - Mascot'));
+        this.unlock('mascot', { clicks: this.clickCount });
+        this.effects.activate('mascot-sleepy');
+      } else if (this.clickCount === 15) {
+        this.showSecretMessage(t('eggs.hiding', {}, '😡 "THAT\'S IT! I\'m hiding!" - Mascot'));
+        this.unlock('mascot', { clicks: this.clickCount });
+        this.effects.activate('mascot-hide');
+      }
+    }, { signal: this.lifecycle.signal });
+  }
+  
+  setupSecretMessages() {
+    // Console easter egg
+    console.log(`
+    🎨 Welcome to the Portfolio Console!
+    
+    Try these secret commands:
+    - Type "help" for more commands
+    - Use arrow keys: ↑↑↓↓←→←→BA for a surprise
+    - Click the mascot 15 times
+    - Try typing "dance" in the console
+    `);
+    
+    // Add console commands
+    this.addCommand('help', () => {
+      console.log(`
+      🎮 Secret Console Commands:
+      - dance() - Make everything dance
+      - party() - Start a party mode
+      - reset() - Reset all effects
+      - weather("sunny"|"rainy"|"snowy") - Change mood
+      `);
+      this.unlock('help');
+    }, { icon: '❓', label: () => t('palette.fun.help', {}, 'Print the secret commands to the console') });
+    
+    this.addCommand('dance', () => {
+      this.effects.activate('dance');
+      this.showSecretMessage(t('eggs.dance', {}, '🕺 DANCE PARTY ACTIVATED!'));
+      this.unlock('dance');
+    }, { icon: '🕺', label: () => t('palette.fun.dance', {}, 'Make everything dance') });
+    
+    this.addCommand('party', () => {
+      this.startPartyMode();
+    }, { icon: '🎉', label: () => t('palette.fun.party', {}, 'Start party mode') });
+    
+    this.addCommand('reset', () => {
+      this.effects.reset();
+      this.clickCount = 0;
+      this.resetHandlers.forEach(handler => handler());
+    }, { icon: '🧹', label: () => t('palette.fun.reset', {}, 'Reset all effects') });
+  }
+  
+  /**
+   * Add a console command next to help(), dance() and friends. Every
+   * command is listed in the command palette as well.
+   * @param {string} name - Becomes window[name]
+   * @param {Function} command
+   * @param {Object} info - Palette entry: { icon, label, keywords, group
+   *   ("fun" by default) }; label may be a function, so it follows the
+   *   language. Commands that take arguments list { variants: [{ args,
+   *   icon, label }] }, one entry each; without them they run with none.
+   * @returns {Function} Removes the command again
+   */
+  addCommand(name, command, info = {}) {
+    this.commands[name] = command;
+    this.commandInfo[name] = info;
+    window[name] = command;
+    
+    return () => {
+      if (this.commands[name] === command) {
+        delete this.commands[name];
+        delete this.commandInfo[name];
+      }
+      if (window[name] === command) delete window[name];
+    };
+  }
+  
+  /**
+   * @param {Function} handler - Called when reset() is typed, to undo an effect
+   * @returns {Function} Unsubscribe
+   */
+  onReset(handler) {
+    this.resetHandlers.add(handler);
+    return () => this.resetHandlers.delete(handler);
+  }
+  
+  setupDoubleClickEggs() {
+    // Double-click section titles for surprises
+    const sectionTitles = document.querySelectorAll('.section-title');
+    
+    sectionTitles.forEach(title => {
+      title.addEventListener('dblclick', () => {
+        this.triggerSectionEasterEgg(title);
+      }, { signal: this.lifecycle.signal });
+    });
+  }
+  
+  triggerSectionEasterEgg(title) {
+    const messages = [
+      ['eggs.secretFound', '🎯 "You found a secret!" - Section Title'],
+      ['eggs.doubleClick', '✨ "Double-click master!" - Title'],
+      ['eggs.secretClub', '🎪 "Welcome to the secret club!" - Header'],
+      ['eggs.explorer', '🎭 "You\'re quite the explorer!" - Title']
+    ];
+    
+    const [key, fallback] = messages[Math.floor(Math.random() * messages.length)];
+    this.showSecretMessage(t(key, {}, fallback));
+    this.unlock('section-title', { section: title.closest('section')?.id || null });
+    
+    // Add sparkle effect
+    this.addSparkleEffect(title);
+  }
+  
+  addSparkleEffect(element) {
+    for (let i = 0; i < 5; i++) {
+      const sparkle = document.createElement('div');
+      sparkle.innerHTML = '✨';
+      sparkle.style.position = 'absolute';
+      sparkle.style.pointerEvents = 'none';
+      sparkle.style.fontSize = '20px';
+      sparkle.style.zIndex = '9999';
+      
+      const rect = element.getBoundingClientRect();
+      sparkle.style.left = (rect.left + Math.random() * rect.width) + 'px';
+      sparkle.style.top = (rect.top + Math.random() * rect.height) + 'px';
+      
+      document.body.appendChild(sparkle);
+      this.sparkles.add(sparkle);
+      
+      // Animate sparkle
+      sparkle.animate([
+        { transform: 'translateY(0) scale(0)', opacity: 1 },
+        { transform: 'translateY(-50px) scale(1)', opacity: 0 }
+      ], {
+        duration: 1000,
+        easing: 'ease-out'
+      }).onfinish = () => {
+        sparkle.remove();
+        this.sparkles.delete(sparkle);
+      };
+    }
+  }
+  
+  startPartyMode() {
+    // Again while it's on: the 10 seconds start over rather than stacking
+    this.effects.activate('party');
+    this.showSecretMessage(t('eggs.party', {}, '🎉 PARTY MODE ACTIVATED! 🎊'));
+    this.unlock('party');
+  }
+  
+  showSecretMessage(message) {
+    this.notifications.info(message, { icon: '', className: 'toast-secret', duration: 3000 });
+  }
+  
+  /**
+   * Announce a found egg (fires every time; listeners decide what's new)
+   * @param {string} name - 'konami', 'mascot' (with { clicks } at 5, 10 and 15),
+   *   'help', 'dance', 'party' or 'section-title'
+   */
+  unlock(name, detail = {}) {
+    this.events?.emit('easter-egg:unlocked', { name, ...detail });
+  }
+  
+  /**
+   * Turn every effect off and unregister the console commands
+   */
+  destroy() {
+    this.lifecycle.destroy();
+    
+    // Another instance may have registered its own commands since
+    Object.entries(this.commands).forEach(([name, command]) => {
+      if (window[name] === command) delete window[name];
+    });
+    
+    this.effects.destroy();
+    document.getElementById('rainbow-styles')?.remove();
+    document.getElementById('party-styles')?.remove();
+    
+    this.sparkles.forEach(sparkle => sparkle.remove());
+    this.sparkles.clear();
+    this.resetHandlers.clear();
+    this.clickCount = 0;
+    
+    if (this.ownsNotifications) this.notifications.destroy();
+  }
+}
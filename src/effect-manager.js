@@ -0,0 +1,211 @@
+// ===================================
+// EFFECT MANAGER
+// ===================================
+
+import { Lifecycle } from './utils.js';
+
+/**
+ * Named, reversible page effects (rainbow mode, dance, party...).
+ *
+ * An effect changes the page only through the context its apply() gets:
+ * fx.style(element, { 'css-property': value }) and fx.classes(element, ...names).
+ * Those are layered per element and property, so turning effects off in
+ * any order leaves exactly the inline styles and classes that were there
+ * before the first one started.
+ */
+export class EffectManager {
+  constructor() {
+    this.lifecycle = new Lifecycle();
+    this.definitions = new Map();
+    // name -> { cleanup, timer, args, replaced: [[name, args]] }
+    this.active = new Map();
+    // element -> Map(property -> { base, priority, layers: [{ owner, value }] })
+    this.styleLayers = new Map();
+    // element -> Map(className -> { hadBefore, owners: Set })
+    this.classLayers = new Map();
+  }
+  
+  /**
+   * @param {string} name
+   * @param {Object} definition - { apply(fx, ...args), duration (ms, optional),
+   *   group (effects in the same group replace each other), onExpire() }.
+   *   apply() may return a function for any cleanup beyond fx. When a timed
+   *   effect runs out, the group effects it replaced come back.
+   */
+  register(name, definition) {
+    this.definitions.set(name, definition);
+  }
+  
+  isActive(name) {
+    return this.active.has(name);
+  }
+  
+  /**
+   * Start an effect. Starting one that's already running only restarts its
+   * timer, so repeated triggers don't stack timeouts.
+   * @returns {boolean} false for an unknown effect
+   */
+  activate(name, ...args) {
+    const definition = this.definitions.get(name);
+    if (!definition) return false;
+    
+    if (this.active.has(name)) {
+      this.startTimer(name);
+      return true;
+    }
+    
+    const replaced = [];
+    if (definition.group) {
+      this.active.forEach((entry, other) => {
+        if (this.definitions.get(other).group !== definition.group) return;
+        
+        replaced.push([other, entry.args]);
+        this.deactivate(other);
+      });
+    }
+    
+    this.active.set(name, { cleanup: null, timer: null, args, replaced });
+    this.active.get(name).cleanup = definition.apply(this.createContext(name), ...args) || null;
+    this.startTimer(name);
+    
+    return true;
+  }
+  
+  startTimer(name) {
+    const entry = this.active.get(name);
+    const { duration, onExpire } = this.definitions.get(name);
+    
+    if (entry.timer) this.lifecycle.clearTimeout(entry.timer);
+    if (!duration) return;
+    
+    entry.timer = this.lifecycle.setTimeout(() => {
+      entry.timer = null;
+      this.deactivate(name);
+      // Only expiry restores; deactivate() and reset() mean "off"
+      entry.replaced.forEach(([other, args]) => this.activate(other, ...args));
+      onExpire?.();
+    }, duration);
+  }
+  
+  /**
+   * Stop an effect and undo what it changed
+   */
+  deactivate(name) {
+    const entry = this.active.get(name);
+    if (!entry) return;
+    
+    this.active.delete(name);
+    if (entry.timer) this.lifecycle.clearTimeout(entry.timer);
+    
+    entry.cleanup?.();
+    this.releaseStyles(name);
+    this.releaseClasses(name);
+  }
+  
+  toggle(name, ...args) {
+    if (this.isActive(name)) {
+      this.deactivate(name);
+      return false;
+    }
+    
+    return this.activate(name, ...args);
+  }
+  
+  /**
+   * Stop every effect, newest first
+   */
+  reset() {
+    [...this.active.keys()].reverse().forEach(name => this.deactivate(name));
+  }
+  
+  createContext(owner) {
+    return {
+      style: (element, styles) => {
+        if (!element) return;
+        Object.entries(styles).forEach(([property, value]) => this.pushStyle(owner, element, property, value));
+      },
+      classes: (element, ...names) => {
+        if (!element) return;
+        names.forEach(className => this.pushClass(owner, element, className));
+      }
+    };
+  }
+  
+  pushStyle(owner, element, property, value) {
+    if (!this.styleLayers.has(element)) this.styleLayers.set(element, new Map());
+    const properties = this.styleLayers.get(element);
+    
+    if (!properties.has(property)) {
+      properties.set(property, {
+        base: element.style.getPropertyValue(property),
+        priority: element.style.getPropertyPriority(property),
+        layers: []
+      });
+    }
+    
+    const layer = properties.get(property);
+    layer.layers = layer.layers.filter(entry => entry.owner !== owner);
+    layer.layers.push({ owner, value });
+    element.style.setProperty(property, value);
+  }
+  
+  releaseStyles(owner) {
+    this.styleLayers.forEach((properties, element) => {
+      properties.forEach((layer, property) => {
+        const before = layer.layers.length;
+        layer.layers = layer.layers.filter(entry => entry.owner !== owner);
+        if (layer.layers.length === before) return;
+        
+        // Another effect still holds this property: show the newest one's value
+        const top = layer.layers[layer.layers.length - 1];
+        if (top) {
+          element.style.setProperty(property, top.value);
+          return;
+        }
+        
+        if (layer.base) {
+          element.style.setProperty(property, layer.base, layer.priority);
+        } else {
+          element.style.removeProperty(property);
+        }
+        properties.delete(property);
+      });
+      
+      if (!properties.size) this.styleLayers.delete(element);
+    });
+  }
+  
+  pushClass(owner, element, className) {
+    if (!this.classLayers.has(element)) this.classLayers.set(element, new Map());
+    const classes = this.classLayers.get(element);
+    
+    if (!classes.has(className)) {
+      classes.set(className, { hadBefore: element.classList.contains(className), owners: new Set() });
+    }
+    
+    classes.get(className).owners.add(owner);
+    element.classList.add(className);
+  }
+  
+  releaseClasses(owner) {
+    this.classLayers.forEach((classes, element) => {
+      classes.forEach((layer, className) => {
+        if (!layer.owners.delete(owner) || layer.owners.size) return;
+        
+        if (!layer.hadBefore) element.classList.remove(className);
+        classes.delete(className);
+      });
+      
+      if (!classes.size) this.classLayers.delete(element);
+    });
+  }
+  
+  /**
+   * Undo every effect and forget the definitions
+   */
+  destroy() {
+    this.reset();
+    this.lifecycle.destroy();
+    this.definitions.clear();
+  }
+}
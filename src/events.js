@@ -0,0 +1,57 @@
+// ===================================
+// EVENT BUS
+// ===================================
+
+/**
+ * Named events shared by the app, its components and plugins. Handlers
+ * get (detail, type); "*" receives every event. A throwing handler is
+ * logged and doesn't stop the others.
+ */
+export class EventBus {
+  constructor() {
+    this.handlers = new Map();
+  }
+  
+  /**
+   * @param {string} type - e.g. "modal:open", or "*" for everything
+   * @param {Function} handler - Called with (detail, type)
+   * @returns {Function} Unsubscribe
+   */
+  on(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    
+    this.handlers.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+  
+  once(type, handler) {
+    const unsubscribe = this.on(type, (detail, eventType) => {
+      unsubscribe();
+      handler(detail, eventType);
+    });
+    
+    return unsubscribe;
+  }
+  
+  off(type, handler) {
+    this.handlers.get(type)?.delete(handler);
+  }
+  
+  emit(type, detail = {}) {
+    const handlers = [...(this.handlers.get(type) || []), ...(this.handlers.get('*') || [])];
+    
+    handlers.forEach(handler => {
+      try {
+        handler(detail, type);
+      } catch (error) {
+        console.error(`Error in "${type}" handler:`, error);
+      }
+    });
+  }
+  
+  clear() {
+    this.handlers.clear();
+  }
+}
@@ -0,0 +1,255 @@
+// ===================================
+// FORM VALIDATION
+// ===================================
+
+/**
+ * Default (English) messages. {label} is the field's <label> text and
+ * {param} the rule argument, e.g. the 2 in minlength="2".
+ */
+export const VALIDATION_MESSAGES = {
+  required: '{label} is required.',
+  email: 'Please enter a valid email address.',
+  url: 'Please enter a valid URL.',
+  minLength: '{label} must be at least {param} characters long.',
+  maxLength: '{label} must be no more than {param} characters long.',
+  min: '{label} must be at least {param}.',
+  max: '{label} must be no more than {param}.',
+  pattern: '{label} is not in the expected format.',
+  match: '{label} must match {otherLabel}.',
+  invalid: '{label} is not valid.'
+};
+
+/**
+ * Built-in rules: (value, param, validator) => boolean | Promise<boolean>.
+ * `vars` adds extra placeholders for the message.
+ */
+export const VALIDATION_RULES = {
+  required: { validate: value => value.length > 0 },
+  email: { validate: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) },
+  url: {
+    validate: value => {
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+      } catch (error) {
+        return false;
+      }
+    }
+  },
+  minLength: { validate: (value, min) => value.length >= Number(min) },
+  maxLength: { validate: (value, max) => value.length <= Number(max) },
+  min: { validate: (value, min) => Number(value) >= Number(min) },
+  max: { validate: (value, max) => Number(value) <= Number(max) },
+  pattern: { validate: (value, pattern) => new RegExp(`^(?:${pattern})$`).test(value) },
+  match: {
+    validate: (value, otherName, validator) => value === validator.getValue(otherName),
+    vars: (otherName, validator) => ({ otherLabel: validator.getLabel(otherName) })
+  }
+};
+
+/**
+ * Rule-driven validation for a form.
+ *
+ * Rules come from, in order:
+ *   1. Native attributes: required, type="email|url", minlength, maxlength,
+ *      min/max (numbers), pattern
+ *   2. data-match="otherField" and data-rules="ruleName:param|otherRule"
+ *   3. config.fields[name].rules, e.g. { minLength: 3, companyDomain: true }
+ *
+ * Messages can be overridden per field with data-msg-<rule> (kebab-case),
+ * config.fields[name].messages, config.messages, or a translate(key, vars)
+ * function for localization (keys are "validation.<rule>").
+ */
+export class FormValidator {
+  /**
+   * @param {HTMLFormElement} form - The form to validate
+   * @param {Object} config - { fields, crossField, messages, translate }
+   */
+  constructor(form, config = {}) {
+    this.form = form;
+    this.fieldConfig = config.fields || {};
+    this.crossFieldRules = config.crossField || [];
+    this.rules = { ...VALIDATION_RULES };
+    this.messages = { ...VALIDATION_MESSAGES, ...config.messages };
+    this.translate = config.translate || null;
+  }
+  
+  /**
+   * Add or replace a named rule
+   * @param {string} name - Used in data-rules and config
+   * @param {Function} validate - (value, param, validator) => boolean | Promise<boolean>
+   * @param {string} message - Default message template
+   */
+  registerRule(name, validate, message) {
+    this.rules[name] = { validate };
+    if (message) this.messages[name] = message;
+  }
+  
+  /**
+   * Add a rule spanning several fields
+   * @param {Object} rule - { fields: string[], target?: string, validate(values), message }
+   */
+  addCrossFieldRule(rule) {
+    this.crossFieldRules.push(rule);
+  }
+  
+  setTranslator(translate) {
+    this.translate = translate;
+  }
+  
+  /**
+   * Fields that take part in validation
+   */
+  getFields() {
+    return Array.from(this.form.querySelectorAll('input, textarea, select'))
+      .filter(field => field.name && !['hidden', 'submit', 'button'].includes(field.type));
+  }
+  
+  getField(name) {
+    return this.form.elements.namedItem(name);
+  }
+  
+  getValue(name) {
+    const field = typeof name === 'string' ? this.getField(name) : name;
+    return field ? String(field.value).trim() : '';
+  }
+  
+  getLabel(name) {
+    const field = typeof name === 'string' ? this.getField(name) : name;
+    if (!field) return name;
+    
+    const label = field.getAttribute('data-label') ||
+      (field.id && this.form.querySelector(`label[for="${field.id}"]`)?.textContent.trim());
+    
+    return label || field.name.charAt(0).toUpperCase() + field.name.slice(1);
+  }
+  
+  /**
+   * Collect the ordered rule list for a field
+   * @returns {Array<{name: string, param: *}>}
+   */
+  getRules(field) {
+    const rules = [];
+    const add = (name, param = true) => {
+      const existing = rules.find(rule => rule.name === name);
+      if (existing) {
+        existing.param = param;
+      } else {
+        rules.push({ name, param });
+      }
+    };
+    
+    if (field.required) add('required');
+    if (field.type === 'email') add('email');
+    if (field.type === 'url') add('url');
+    if (field.hasAttribute('minlength')) add('minLength', field.getAttribute('minlength'));
+    if (field.hasAttribute('maxlength')) add('maxLength', field.getAttribute('maxlength'));
+    if (field.type === 'number' && field.hasAttribute('min')) add('min', field.getAttribute('min'));
+    if (field.type === 'number' && field.hasAttribute('max')) add('max', field.getAttribute('max'));
+    if (field.hasAttribute('pattern')) add('pattern', field.getAttribute('pattern'));
+    if (field.hasAttribute('data-match')) add('match', field.getAttribute('data-match'));
+    
+    (field.getAttribute('data-rules') || '').split('|').filter(Boolean).forEach(entry => {
+      const [name, ...param] = entry.split(':');
+      add(name.trim(), param.length ? param.join(':') : true);
+    });
+    
+    Object.entries(this.fieldConfig[field.name]?.rules || {}).forEach(([name, param]) => {
+      if (param === false) {
+        const index = rules.findIndex(rule => rule.name === name);
+        if (index !== -1) rules.splice(index, 1);
+      } else {
+        add(name, param);
+      }
+    });
+    
+    return rules;
+  }
+  
+  /**
+   * Validate one field; rules run in order and stop at the first failure
+   * @returns {Promise<{valid: boolean, message: string}>}
+   */
+  async validateField(field) {
+    const value = this.getValue(field);
+    
+    for (const { name, param } of this.getRules(field)) {
+      // Empty optional fields only need to pass "required"
+      if (!value && name !== 'required') continue;
+      
+      const rule = this.rules[name];
+      if (!rule) {
+        console.warn(`Unknown validation rule "${name}" on field "${field.name}"`);
+        continue;
+      }
+      
+      let valid;
+      try {
+        valid = await rule.validate(value, param, this);
+      } catch (error) {
+        console.error(`Validation rule "${name}" failed:`, error);
+        valid = false;
+      }
+      
+      if (!valid) {
+        return { valid: false, message: this.formatMessage(name, field, param, rule) };
+      }
+    }
+    
+    return { valid: true, message: '' };
+  }
+  
+  /**
+   * Run cross-field rules, optionally only those involving one field
+   * @param {string} fieldName - Limit to rules that include this field
+   * @returns {Promise<Array<{field: Element, valid: boolean, message: string}>>}
+   */
+  async validateCrossFields(fieldName) {
+    const rules = this.crossFieldRules.filter(rule => !fieldName || rule.fields.includes(fieldName));
+    
+    return Promise.all(rules.map(async rule => {
+      const values = Object.fromEntries(rule.fields.map(name => [name, this.getValue(name)]));
+      const field = this.getField(rule.target || rule.fields[rule.fields.length - 1]);
+      
+      let valid;
+      try {
+        valid = await rule.validate(values, this);
+      } catch (error) {
+        console.error('Cross-field validation failed:', error);
+        valid = false;
+      }
+      
+      const vars = { label: this.getLabel(field), fields: rule.fields.map(name => this.getLabel(name)).join(', ') };
+      const message = valid ? '' : this.interpolate(this.resolveTemplate(rule.name, rule.message), vars);
+      
+      return { field, valid, message };
+    }));
+  }
+  
+  formatMessage(ruleName, field, param, rule) {
+    const vars = {
+      label: this.getLabel(field),
+      param,
+      ...(rule.vars ? rule.vars(param, this) : {})
+    };
+    
+    const kebab = ruleName.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+    const override = field.getAttribute(`data-msg-${kebab}`) ||
+      this.fieldConfig[field.name]?.messages?.[ruleName];
+    
+    return this.interpolate(override || this.resolveTemplate(ruleName), vars);
+  }
+  
+  resolveTemplate(ruleName, fallback) {
+    if (this.translate && ruleName) {
+      const key = `validation.${ruleName}`;
+      const translated = this.translate(key);
+      if (translated && translated !== key) return translated;
+    }
+    
+    return fallback || this.messages[ruleName] || this.messages.invalid;
+  }
+  
+  interpolate(template, vars) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in vars ? vars[key] : match));
+  }
+}
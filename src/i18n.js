@@ -0,0 +1,308 @@
+// ===================================
+// INTERNATIONALIZATION
+// ===================================
+
+import { Lifecycle } from './utils.js';
+
+/**
+ * Available locales. Bundles live in locales/<code>.json; a key missing
+ * from a bundle falls back to the default locale, then to the caller's
+ * fallback text (or the key itself).
+ */
+export const I18N_LOCALES = {
+  en: { label: 'English', dir: 'ltr', ogLocale: 'en_US' },
+  es: { label: 'Español', dir: 'ltr', ogLocale: 'es_ES' },
+  ar: { label: 'العربية', dir: 'rtl', ogLocale: 'ar_AR' }
+};
+
+export const I18N_DEFAULTS = {
+  defaultLocale: 'en',
+  bundlePath: 'locales/{locale}.json',
+  storageKey: 'portfolio-locale',
+  queryParam: 'lang'
+};
+
+/**
+ * Replace {name} placeholders with values from `vars`
+ */
+export function formatMessage(template, vars = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (vars[key] ?? match));
+}
+
+/**
+ * Loads locale bundles and translates both the static markup and
+ * strings built in JS.
+ *
+ * Markup opts in with:
+ *   data-i18n="section.key"                  -> textContent
+ *   data-i18n-attr="aria-label:key;title:key" -> attributes
+ *
+ * Plural entries are objects keyed by Intl.PluralRules category
+ * ({ "one": "...", "other": "..." }) and are picked with vars.count.
+ */
+export class I18n {
+  // The instance t() delegates to
+  static active = null;
+  
+  /**
+   * @param {Object} options - Overrides for I18N_DEFAULTS, plus { locales }
+   */
+  constructor(options = {}) {
+    this.lifecycle = new Lifecycle();
+    this.options = { ...I18N_DEFAULTS, ...options };
+    this.locales = { ...I18N_LOCALES, ...options.locales };
+    this.messages = {};
+    this.requests = {};
+    this.locale = this.options.defaultLocale;
+    this.pluralRules = new Intl.PluralRules(this.locale);
+    this.listeners = new Set();
+    this.picker = document.getElementById('language-select');
+    
+    I18n.active = this;
+    this.ready = this.init();
+  }
+  
+  async init() {
+    this.setupPicker();
+    await this.setLocale(this.detectLocale(), { persist: false });
+  }
+  
+  /**
+   * ?lang= beats the saved choice, which beats the browser languages
+   */
+  detectLocale() {
+    let saved = null;
+    try {
+      saved = localStorage.getItem(this.options.storageKey);
+    } catch (error) {
+      // Storage may be blocked
+    }
+    
+    const candidates = [
+      new URLSearchParams(window.location.search).get(this.options.queryParam),
+      saved,
+      ...(navigator.languages || [navigator.language])
+    ];
+    
+    for (const candidate of candidates) {
+      const locale = this.matchLocale(candidate);
+      if (locale) return locale;
+    }
+    
+    return this.options.defaultLocale;
+  }
+  
+  /**
+   * Map a language tag (e.g. "es-MX") to an available locale code
+   */
+  matchLocale(tag) {
+    if (!tag) return null;
+    
+    const code = tag.toLowerCase();
+    if (this.locales[code]) return code;
+    
+    const base = code.split('-')[0];
+    return this.locales[base] ? base : null;
+  }
+  
+  loadBundle(locale) {
+    if (this.messages[locale]) return Promise.resolve(this.messages[locale]);
+    
+    if (!this.requests[locale]) {
+      const url = this.options.bundlePath.replace('{locale}', locale);
+      
+      this.requests[locale] = fetch(url)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then(bundle => {
+          this.messages[locale] = bundle;
+          return bundle;
+        })
+        .finally(() => {
+          delete this.requests[locale];
+        });
+    }
+    
+    return this.requests[locale];
+  }
+  
+  /**
+   * Switch language, translate the page and notify listeners
+   * @param {string} locale - Locale code or language tag
+   * @param {Object} options - { persist: false } to skip saving the choice
+   * @returns {Promise<boolean>} false if the bundle could not be loaded
+   */
+  async setLocale(locale, { persist = true } = {}) {
+    const target = this.matchLocale(locale) || this.options.defaultLocale;
+    
+    try {
+      await Promise.all([this.loadBundle(this.options.defaultLocale), this.loadBundle(target)]);
+    } catch (error) {
+      console.error(`Locale "${target}" could not be loaded:`, error);
+      this.updatePicker();
+      return false;
+    }
+    
+    if (this.lifecycle.destroyed) return false;
+    
+    this.locale = target;
+    this.pluralRules = new Intl.PluralRules(target);
+    
+    this.applyDocumentLocale();
+    this.translatePage();
+    this.updatePicker();
+    
+    if (persist) {
+      try {
+        localStorage.setItem(this.options.storageKey, target);
+      } catch (error) {
+        console.warn('Could not save language preference:', error);
+      }
+      
+      // Keep shared links in the chosen language
+      const url = new URL(window.location.href);
+      if (url.searchParams.has(this.options.queryParam)) {
+        url.searchParams.set(this.options.queryParam, target);
+        history.replaceState(history.state, '', url);
+      }
+    }
+    
+    this.listeners.forEach(listener => listener(target));
+    return true;
+  }
+  
+  /**
+   * Translate a key
+   * @param {string} key - Dotted path into the bundle, e.g. "contact.sending"
+   * @param {Object} vars - Placeholder values; `count` selects a plural form
+   * @param {string|null} fallback - Used when no bundle has the key
+   * @returns {string|null}
+   */
+  t(key, vars = {}, fallback = key) {
+    let entry = this.lookup(this.locale, key) ?? this.lookup(this.options.defaultLocale, key);
+    
+    if (entry && typeof entry === 'object') {
+      const category = typeof vars.count === 'number' ? this.pluralRules.select(vars.count) : 'other';
+      entry = entry[category] ?? entry.other;
+    }
+    
+    if (typeof entry !== 'string') entry = fallback;
+    
+    return typeof entry === 'string' ? formatMessage(entry, vars) : entry;
+  }
+  
+  lookup(locale, key) {
+    return key.split('.').reduce((node, part) => node?.[part], this.messages[locale]);
+  }
+  
+  /**
+   * Apply data-i18n / data-i18n-attr translations inside `root`
+   * @param {Document|Element} root - Defaults to the whole document
+   */
+  translatePage(root = document) {
+    const select = (selector) => [
+      ...(root.matches?.(selector) ? [root] : []),
+      ...root.querySelectorAll(selector)
+    ];
+    
+    select('[data-i18n]').forEach(element => {
+      const text = this.t(element.getAttribute('data-i18n'), {}, null);
+      if (text !== null) element.textContent = text;
+    });
+    
+    select('[data-i18n-attr]').forEach(element => {
+      element.getAttribute('data-i18n-attr').split(';').forEach(pair => {
+        const [attribute, key] = pair.split(':').map(part => part.trim());
+        const text = key && this.t(key, {}, null);
+        if (text) element.setAttribute(attribute, text);
+      });
+    });
+  }
+  
+  /**
+   * lang/dir on <html>, og:locale, and hreflang alternates + canonical
+   */
+  applyDocumentLocale() {
+    const root = document.documentElement;
+    const meta = this.locales[this.locale];
+    
+    root.lang = this.locale;
+    root.dir = meta.dir || 'ltr';
+    
+    document.querySelector('meta[property="og:locale"]')?.setAttribute('content', meta.ogLocale || this.locale);
+    
+    const canonical = document.querySelector('link[rel="canonical"]');
+    const baseUrl = canonical?.getAttribute('data-base-href') || canonical?.href || window.location.href.split(/[?#]/)[0];
+    canonical?.setAttribute('data-base-href', baseUrl);
+    
+    const localeUrl = (code) => {
+      const url = new URL(baseUrl);
+      if (code !== this.options.defaultLocale) url.searchParams.set(this.options.queryParam, code);
+      return url.href;
+    };
+    
+    Object.keys(this.locales).forEach(code => {
+      let link = document.head.querySelector(`link[rel="alternate"][hreflang="${code}"]`);
+      if (!link) {
+        link = document.createElement('link');
+        link.rel = 'alternate';
+        link.hreflang = code;
+        document.head.appendChild(link);
+      }
+      link.href = localeUrl(code);
+    });
+    
+    canonical?.setAttribute('href', localeUrl(this.locale));
+  }
+  
+  setupPicker() {
+    if (!this.picker) return;
+    
+    this.picker.innerHTML = '';
+    Object.entries(this.locales).forEach(([code, { label }]) => {
+      const option = new Option(label, code);
+      option.lang = code;
+      this.picker.appendChild(option);
+    });
+    
+    this.updatePicker();
+    this.picker.closest('.language-picker')?.removeAttribute('hidden');
+    this.picker.addEventListener('change', () => this.setLocale(this.picker.value), { signal: this.lifecycle.signal });
+  }
+  
+  updatePicker() {
+    if (this.picker) this.picker.value = this.locale;
+  }
+  
+  /**
+   * @param {Function} listener - Called with the new locale code
+   * @returns {Function} Unsubscribe
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+  
+  /**
+   * Stop listening and hand t() back to the fallbacks. The page keeps
+   * its current language.
+   */
+  destroy() {
+    this.lifecycle.destroy();
+    this.listeners.clear();
+    this.picker?.closest('.language-picker')?.setAttribute('hidden', '');
+    
+    if (I18n.active === this) I18n.active = null;
+  }
+}
+
+/**
+ * Translate with the active I18n instance (see I18n#t). Without one,
+ * the fallback text is used so components also work standalone.
+ */
+export function t(key, vars = {}, fallback = key) {
+  if (I18n.active) return I18n.active.t(key, vars, fallback);
+  return typeof fallback === 'string' ? formatMessage(fallback, vars) : fallback;
+}
@@ -0,0 +1,44 @@
+/**
+ * Library entry: every component and helper as a named export. Importing
+ * has no side effects; nothing touches the DOM until you construct
+ * something. script.js is the browser entry that starts the whole site.
+ *
+ *   import { Carousel, FormValidator } from './src/index.js';
+ */
+
+export * from './config.js';
+export * from './utils.js';
+export * from './events.js';
+export * from './i18n.js';
+export * from './consent.js';
+export * from './cursor.js';
+export * from './router.js';
+export * from './quality.js';
+export * from './navigation.js';
+export * from './scroll-animations.js';
+export * from './parallax.js';
+export * from './mascot.js';
+export * from './projects.js';
+export * from './project-filter.js';
+export * from './project-modal.js';
+export * from './carousel.js';
+export * from './lightbox.js';
+export * from './notifications.js';
+export * from './form-validation.js';
+export * from './spam-protection.js';
+export * from './contact-backends.js';
+export * from './contact-form.js';
+export * from './loading-skeleton.js';
+export * from './theme.js';
+export * from './performance-monitor.js';
+export * from './analytics.js';
+export * from './app.js';
+export * from './effect-manager.js';
+export * from './easter-eggs.js';
+export * from './particle-engine.js';
+export * from './particles.js';
+export * from './weather-layer.js';
+export * from './weather.js';
+export * from './achievements.js';
+export * from './command-palette.js';
+export * from './typewriter.js';
@@ -0,0 +1,216 @@
+// ===================================
+// LIGHTBOX
+// ===================================
+
+import { trapFocus, Lifecycle } from './utils.js';
+import { I18n } from './i18n.js';
+
+const LIGHTBOX_MAX_ZOOM = 4;
+
+export class Lightbox {
+  /**
+   * @param {Object} handlers - { onPrevious, onNext, onClose }
+   */
+  constructor(handlers = {}) {
+    this.lifecycle = new Lifecycle();
+    this.handlers = handlers;
+    this.scale = 1;
+    this.offsetX = 0;
+    this.offsetY = 0;
+    this.pointers = new Map();
+    this.pinchStart = null;
+    this.panStart = null;
+    this.returnFocus = null;
+    
+    this.build();
+  }
+  
+  build() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'lightbox';
+    this.overlay.setAttribute('role', 'dialog');
+    this.overlay.setAttribute('aria-modal', 'true');
+    this.overlay.setAttribute('data-i18n-attr', 'aria-label:lightbox.label');
+    this.overlay.setAttribute('aria-label', 'Image viewer');
+    this.overlay.hidden = true;
+    this.overlay.innerHTML = `
+      <div class="lightbox-stage">
+        <img class="lightbox-image" alt="">
+      </div>
+      <p class="lightbox-caption"></p>
+      <div class="lightbox-toolbar">
+        <button type="button" class="carousel-btn lightbox-prev" aria-label="Previous image" data-i18n-attr="aria-label:carousel.previous">‹</button>
+        <button type="button" class="carousel-btn lightbox-zoom-out" aria-label="Zoom out" data-i18n-attr="aria-label:lightbox.zoomOut">−</button>
+        <button type="button" class="carousel-btn lightbox-zoom-in" aria-label="Zoom in" data-i18n-attr="aria-label:lightbox.zoomIn">+</button>
+        <button type="button" class="carousel-btn lightbox-next" aria-label="Next image" data-i18n-attr="aria-label:carousel.next">›</button>
+      </div>
+      <button type="button" class="modal-close lightbox-close" aria-label="Close image viewer" data-i18n-attr="aria-label:lightbox.close">&times;</button>
+    `;
+    I18n.active?.translatePage(this.overlay);
+    
+    this.stage = this.overlay.querySelector('.lightbox-stage');
+    this.image = this.overlay.querySelector('.lightbox-image');
+    this.caption = this.overlay.querySelector('.lightbox-caption');
+    
+    const { signal } = this.lifecycle;
+    this.overlay.querySelector('.lightbox-close').addEventListener('click', () => this.close(), { signal });
+    this.overlay.querySelector('.lightbox-prev').addEventListener('click', () => this.handlers.onPrevious?.(), { signal });
+    this.overlay.querySelector('.lightbox-next').addEventListener('click', () => this.handlers.onNext?.(), { signal });
+    this.overlay.querySelector('.lightbox-zoom-in').addEventListener('click', () => this.zoomTo(this.scale + 0.5), { signal });
+    this.overlay.querySelector('.lightbox-zoom-out').addEventListener('click', () => this.zoomTo(this.scale - 0.5), { signal });
+    
+    this.setupKeyboard();
+    this.setupGestures();
+    
+    document.body.appendChild(this.overlay);
+  }
+  
+  setupKeyboard() {
+    this.overlay.addEventListener('keydown', (e) => {
+      // The lightbox sits above the project modal; keep its shortcuts from firing
+      e.stopPropagation();
+      
+      const actions = {
+        Escape: () => this.close(),
+        ArrowLeft: () => this.handlers.onPrevious?.(),
+        ArrowRight: () => this.handlers.onNext?.(),
+        '+': () => this.zoomTo(this.scale + 0.5),
+        '=': () => this.zoomTo(this.scale + 0.5),
+        '-': () => this.zoomTo(this.scale - 0.5),
+        '0': () => this.zoomTo(1)
+      };
+      
+      if (actions[e.key]) {
+        e.preventDefault();
+        actions[e.key]();
+      } else if (e.key === 'Tab') {
+        trapFocus(this.overlay, e);
+      }
+    }, { signal: this.lifecycle.signal });
+  }
+  
+  setupGestures() {
+    const { signal } = this.lifecycle;
+    
+    // Pinch to zoom with two pointers, drag to pan once zoomed in
+    this.stage.addEventListener('pointerdown', (e) => {
+      this.stage.setPointerCapture?.(e.pointerId);
+      this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      
+      if (this.pointers.size === 2) {
+        this.pinchStart = { distance: this.getPointerDistance(), scale: this.scale };
+        this.panStart = null;
+      } else if (this.pointers.size === 1 && this.scale > 1) {
+        this.panStart = { x: e.clientX - this.offsetX, y: e.clientY - this.offsetY };
+      }
+    }, { signal });
+    
+    this.stage.addEventListener('pointermove', (e) => {
+      if (!this.pointers.has(e.pointerId)) return;
+      
+      this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      
+      if (this.pinchStart && this.pointers.size === 2) {
+        const ratio = this.getPointerDistance() / this.pinchStart.distance;
+        this.zoomTo(this.pinchStart.scale * ratio);
+      } else if (this.panStart) {
+        this.offsetX = e.clientX - this.panStart.x;
+        this.offsetY = e.clientY - this.panStart.y;
+        this.applyTransform();
+      }
+    }, { signal });
+    
+    const endPointer = (e) => {
+      this.pointers.delete(e.pointerId);
+      
+      if (this.pointers.size < 2) this.pinchStart = null;
+      if (this.pointers.size === 0) this.panStart = null;
+    };
+    
+    this.stage.addEventListener('pointerup', endPointer, { signal });
+    this.stage.addEventListener('pointercancel', endPointer, { signal });
+    
+    this.stage.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      this.zoomTo(this.scale - e.deltaY * 0.002);
+    }, { passive: false, signal });
+    
+    this.stage.addEventListener('dblclick', () => {
+      this.zoomTo(this.scale > 1 ? 1 : 2);
+    }, { signal });
+    
+    // Click on the backdrop (not the image) closes
+    this.stage.addEventListener('click', (e) => {
+      if (e.target === this.stage && this.scale === 1) {
+        this.close();
+      }
+    }, { signal });
+  }
+  
+  getPointerDistance() {
+    const [a, b] = Array.from(this.pointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y) || 1;
+  }
+  
+  zoomTo(scale) {
+    this.scale = Math.min(LIGHTBOX_MAX_ZOOM, Math.max(1, scale));
+    
+    if (this.scale === 1) {
+      this.offsetX = 0;
+      this.offsetY = 0;
+    }
+    
+    this.applyTransform();
+  }
+  
+  applyTransform() {
+    this.image.style.transform = `translate(${this.offsetX}px, ${this.offsetY}px) scale(${this.scale})`;
+    this.stage.classList.toggle('zoomed', this.scale > 1);
+  }
+  
+  open(data, index, total) {
+    this.returnFocus = document.activeElement;
+    this.overlay.hidden = false;
+    this.show(data, index, total);
+    
+    this.lifecycle.requestAnimationFrame(() => this.overlay.classList.add('active'));
+    this.overlay.querySelector('.lightbox-close').focus();
+  }
+  
+  /**
+   * Show a slide; ignored while the lightbox is closed
+   */
+  show(data, index, total) {
+    if (this.overlay.hidden || !data) return;
+    
+    // Videos stay in the carousel; keep showing the last image
+    if (data.type !== 'image') return;
+    
+    this.zoomTo(1);
+    this.image.src = data.src;
+    this.image.alt = data.alt;
+    this.caption.textContent = `${index + 1} / ${total}${data.caption ? ` — ${data.caption}` : ''}`;
+  }
+  
+  close() {
+    if (this.overlay.hidden) return;
+    
+    this.overlay.classList.remove('active');
+    this.overlay.hidden = true;
+    this.pointers.clear();
+    
+    this.returnFocus?.focus();
+    this.handlers.onClose?.();
+  }
+  
+  isOpen() {
+    return !this.overlay.hidden;
+  }
+  
+  destroy() {
+    if (this.isOpen()) this.returnFocus?.focus();
+    
+    this.lifecycle.destroy();
+    this.overlay.remove();
+  }
+}
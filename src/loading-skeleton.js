@@ -0,0 +1,40 @@
+// ===================================
+// LOADING SKELETON
+// ===================================
+
+import { Lifecycle } from './utils.js';
+
+export class LoadingSkeleton {
+  constructor() {
+    this.lifecycle = new Lifecycle();
+    this.skeleton = document.getElementById('loadingSkeleton');
+    this.init();
+  }
+  
+  init() {
+    if (!this.skeleton) return;
+    
+    // Hide skeleton after page load
+    window.addEventListener('load', () => {
+      this.lifecycle.setTimeout(() => {
+        this.hide();
+      }, 1000);
+    }, { signal: this.lifecycle.signal });
+  }
+  
+  hide() {
+    if (this.skeleton) {
+      this.skeleton.classList.add('hidden');
+      
+      // Remove from DOM after animation
+      this.lifecycle.setTimeout(() => {
+        this.skeleton.remove();
+      }, 300);
+    }
+  }
+  
+  destroy() {
+    this.lifecycle.destroy();
+    this.skeleton?.remove();
+  }
+}
@@ -0,0 +1,268 @@
+// ===================================
+// MASCOT CONTROLLER
+// ===================================
+
+import { CONFIG } from './config.js';
+import { throttle, Lifecycle } from './utils.js';
+import { t } from './i18n.js';
+
+/**
+ * sleepAfter: ms without any input before the mascot dozes off.
+ * reactionDuration: how long a reaction (happy, worried, curious) lasts.
+ * bubbleDuration: how long a speech bubble stays. lookTargets: elements
+ * the mascot turns its eyes to while they're hovered or focused.
+ */
+export const MASCOT_DEFAULTS = {
+  sleepAfter: 30000,
+  reactionDuration: 2500,
+  bubbleDuration: 3000,
+  lookTargets: 'a[href], button, .project-card, .skill-item, input, textarea, select'
+};
+
+// Any state can react; a new reaction replaces the running one
+const REACTIONS = { success: 'happy', error: 'worried', modal: 'curious' };
+
+/**
+ * The state machine: state -> { event: next state }. Reactions go back to
+ * idle on "done"; anything not listed for a state is ignored.
+ */
+export const MASCOT_STATES = {
+  idle: { look: 'looking', inactive: 'sleeping', ...REACTIONS },
+  looking: { unlook: 'idle', inactive: 'sleeping', ...REACTIONS },
+  happy: { done: 'idle', ...REACTIONS },
+  worried: { done: 'idle', ...REACTIONS },
+  curious: { done: 'idle', ...REACTIONS },
+  sleeping: { wake: 'idle', ...REACTIONS }
+};
+
+// What the mascot says when it enters a state (key under mascot.*)
+const MASCOT_LINES = {
+  happy: '🎉 Yay! Message sent!',
+  worried: '😟 Uh-oh, something\'s not right.',
+  curious: '🤩 Ooh, tell me about this one!',
+  sleeping: '💤 Zzz…'
+};
+
+export class MascotController {
+  /**
+   * @param {Object} options - Overrides for MASCOT_DEFAULTS, plus { events }
+   *   EventBus for the reactions and mascot:state
+   */
+  constructor(options = {}) {
+    const { events = null, ...settings } = options;
+    
+    this.lifecycle = new Lifecycle();
+    this.events = events;
+    this.options = { ...MASCOT_DEFAULTS, ...settings };
+    this.state = 'idle';
+    this.reactionTimer = null;
+    this.sleepTimer = null;
+    this.bubbleTimer = null;
+    this.tracking = !CONFIG.REDUCED_MOTION;
+    this.hero = document.querySelector('.mascot-main');
+    // Each mascot on the page gets the state and its own speech bubble,
+    // anchored in the box around the figure
+    this.figures = [
+      { element: this.hero, anchor: this.hero?.closest('.hero-mascot') },
+      { element: document.querySelector('.footer-mascot') }
+    ].filter(figure => figure.element);
+    
+    if (!this.figures.length) return;
+    
+    this.init();
+  }
+  
+  init() {
+    this.figures.forEach(figure => {
+      figure.anchor ||= figure.element;
+      figure.bubble = document.createElement('div');
+      figure.bubble.className = 'mascot-bubble';
+      // The toasts already announce what the bubbles say
+      figure.bubble.setAttribute('aria-hidden', 'true');
+      figure.bubble.hidden = true;
+      figure.anchor.classList.add('mascot-anchor');
+      figure.anchor.appendChild(figure.bubble);
+    });
+    
+    this.render();
+    this.setupActivity();
+    this.setupLooking();
+    this.setupReactions();
+  }
+  
+  /**
+   * Feed an event to the state machine
+   * @param {string} event - look, unlook, success, error, modal, inactive, wake or done
+   * @returns {boolean} true when the state changed
+   */
+  send(event) {
+    const next = MASCOT_STATES[this.state]?.[event];
+    if (!next) return false;
+    
+    const previous = this.state;
+    this.state = next;
+    
+    this.lifecycle.clearTimeout(this.reactionTimer);
+    this.reactionTimer = null;
+    
+    if (Object.values(REACTIONS).includes(next)) {
+      this.reactionTimer = this.lifecycle.setTimeout(() => this.send('done'), this.options.reactionDuration);
+    }
+    
+    if (next !== 'looking') this.lookAt(null);
+    
+    this.render();
+    
+    if (next !== previous && MASCOT_LINES[next]) {
+      this.say(t(`mascot.${next}`, {}, MASCOT_LINES[next]));
+    }
+    
+    this.events?.emit('mascot:state', { state: next, previous, event });
+    return true;
+  }
+  
+  render() {
+    this.figures.forEach(({ element }) => {
+      element.dataset.state = this.state;
+    });
+  }
+  
+  /**
+   * Show a speech bubble on whichever mascot is on screen (the hero one
+   * if both are)
+   * @param {string} text
+   */
+  say(text) {
+    const figure = this.figures.find(({ element }) => {
+      const rect = element.getBoundingClientRect();
+      return rect.bottom > 0 && rect.top < window.innerHeight && rect.width > 0;
+    }) || this.figures[0];
+    
+    this.figures.forEach(({ bubble }) => {
+      bubble.hidden = true;
+    });
+    
+    figure.bubble.textContent = text;
+    figure.bubble.hidden = false;
+    
+    this.lifecycle.clearTimeout(this.bubbleTimer);
+    this.bubbleTimer = this.lifecycle.setTimeout(() => {
+      figure.bubble.hidden = true;
+    }, this.options.bubbleDuration);
+  }
+  
+  setupActivity() {
+    const wake = throttle(() => {
+      if (this.state === 'sleeping') {
+        this.send('wake');
+        this.say(t('mascot.awake', {}, '😳 Huh? I\'m awake!'));
+      }
+      this.scheduleSleep();
+    }, 250);
+    
+    ['pointermove', 'pointerdown', 'keydown', 'scroll', 'touchstart'].forEach(type => {
+      window.addEventListener(type, wake, { signal: this.lifecycle.signal, passive: true });
+    });
+    
+    this.scheduleSleep();
+  }
+  
+  scheduleSleep() {
+    this.lifecycle.clearTimeout(this.sleepTimer);
+    this.sleepTimer = this.lifecycle.setTimeout(() => this.send('inactive'), this.options.sleepAfter);
+  }
+  
+  setupLooking() {
+    const { signal } = this.lifecycle;
+    const hero = document.querySelector('.hero');
+    
+    const look = (e) => {
+      const target = e.target.closest?.(this.options.lookTargets);
+      if (target && (this.state === 'looking' || this.send('look'))) this.lookAt(target);
+    };
+    
+    const unlook = (e) => {
+      const target = e.target.closest?.(this.options.lookTargets);
+      // Moving between a target's own children isn't leaving it
+      if (target && !target.contains(e.relatedTarget)) this.send('unlook');
+    };
+    
+    document.addEventListener('pointerover', look, { signal });
+    document.addEventListener('focusin', look, { signal });
+    document.addEventListener('pointerout', unlook, { signal });
+    document.addEventListener('focusout', unlook, { signal });
+    
+    // With nothing in particular to look at, the eyes follow the pointer
+    // around the hero
+    hero?.addEventListener('mousemove', (e) => {
+      if (this.state !== 'idle' || !this.tracking) return;
+      
+      const xPos = (e.clientX / window.innerWidth) - 0.5;
+      const yPos = (e.clientY / window.innerHeight) - 0.5;
+      this.moveEyes(xPos * 2, yPos * 2);
+    }, { signal });
+  }
+  
+  /**
+   * Turn the hero mascot's eyes towards an element, or back to the middle
+   * @param {Element|null} target
+   */
+  lookAt(target) {
+    if (!this.hero) return;
+    
+    if (!target || !this.tracking) {
+      this.moveEyes(0, 0);
+      return;
+    }
+    
+    const from = this.hero.getBoundingClientRect();
+    const to = target.getBoundingClientRect();
+    const dx = (to.left + to.width / 2) - (from.left + from.width / 2);
+    const dy = (to.top + to.height / 2) - (from.top + from.height * 0.37);
+    const distance = Math.hypot(dx, dy) || 1;
+    
+    // Pupils stay inside the eye whatever the distance
+    this.moveEyes((dx / distance) * 4, (dy / distance) * 4);
+  }
+  
+  moveEyes(x, y) {
+    this.hero?.querySelectorAll('.mascot-eyes circle').forEach(eye => {
+      eye.style.transform = x || y ? `translate(${x}px, ${y}px)` : '';
+    });
+  }
+  
+  setupReactions() {
+    if (!this.events) return;
+    
+    const react = (event) => () => this.send(event);
+    
+    [
+      ['form:submit:success', 'success'],
+      ['form:submit:error', 'error'],
+      ['form:invalid', 'error'],
+      ['modal:open', 'modal']
+    ].forEach(([type, event]) => {
+      this.lifecycle.onDestroy(this.events.on(type, react(event)));
+    });
+  }
+  
+  /**
+   * Follow the adaptive quality tier (see QualityManager)
+   * @param {Object} settings - { mouseParallax } also covers the eye tracking
+   */
+  setQuality({ mouseParallax }) {
+    this.tracking = mouseParallax && !CONFIG.REDUCED_MOTION;
+    if (!this.tracking) this.moveEyes(0, 0);
+  }
+  
+  destroy() {
+    this.lifecycle.destroy();
+    
+    this.figures.forEach(({ element, anchor, bubble }) => {
+      delete element.dataset.state;
+      anchor?.classList.remove('mascot-anchor');
+      bubble?.remove();
+    });
+    this.moveEyes(0, 0);
+  }
+}
@@ -0,0 +1,175 @@
+// ===================================
+// NAVIGATION
+// ===================================
+
+import { CONFIG } from './config.js';
+import { throttle, smoothScrollTo, Lifecycle } from './utils.js';
+
+export class Navigation {
+  /**
+   * @param {Router} router - Optional; section links go through it
+   * @param {Object} options - { events } EventBus for section:enter
+   */
+  constructor(router, options = {}) {
+    this.lifecycle = new Lifecycle();
+    this.router = router;
+    this.events = options.events || null;
+    this.currentSection = '';
+    this.navbar = document.querySelector('.navbar');
+    this.hamburger = document.querySelector('.hamburger');
+    this.navMenu = document.querySelector('.nav-menu');
+    this.navLinks = document.querySelectorAll('.nav-menu a');
+    
+    this.init();
+  }
+  
+  init() {
+    this.setupMobileMenu();
+    this.setupSmoothScroll();
+    this.setupScrollBehavior();
+    this.setupActiveLinks();
+  }
+  
+  setupMobileMenu() {
+    if (!this.hamburger || !this.navMenu) return;
+    
+    const { signal } = this.lifecycle;
+    
+    this.hamburger.addEventListener('click', () => {
+      this.toggleMobileMenu();
+    }, { signal });
+    
+    // Close menu when clicking nav links
+    this.navLinks.forEach(link => {
+      link.addEventListener('click', () => {
+        this.closeMobileMenu();
+      }, { signal });
+    });
+    
+    // Close menu when clicking outside
+    document.addEventListener('click', (e) => {
+      if (!this.navbar.contains(e.target)) {
+        this.closeMobileMenu();
+      }
+    }, { signal });
+  }
+  
+  toggleMobileMenu() {
+    const isActive = this.hamburger.classList.contains('active');
+    
+    if (isActive) {
+      this.closeMobileMenu();
+    } else {
+      this.openMobileMenu();
+    }
+  }
+  
+  openMobileMenu() {
+    this.hamburger.classList.add('active');
+    this.navMenu.classList.add('active');
+    this.hamburger.setAttribute('aria-expanded', 'true');
+    
+    // Focus first menu item
+    const firstLink = this.navMenu.querySelector('a');
+    if (firstLink) firstLink.focus();
+  }
+  
+  closeMobileMenu() {
+    this.hamburger.classList.remove('active');
+    this.navMenu.classList.remove('active');
+    this.hamburger.setAttribute('aria-expanded', 'false');
+  }
+  
+  setupSmoothScroll() {
+    // Section hashes that aren't routes scroll smoothly (initial load, back/forward)
+    this.router?.setFallback(hash => {
+      if (hash.length > 1 && !hash.startsWith('#/')) {
+        smoothScrollTo(hash.substring(1));
+      }
+    });
+    
+    this.navLinks.forEach(link => {
+      const href = link.getAttribute('href');
+      
+      // Only intercept in-page section links; leave routes and external links alone
+      if (!href || !href.startsWith('#') || href.startsWith('#/')) return;
+      
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        
+        if (this.router) {
+          this.router.navigate(href);
+        } else {
+          smoothScrollTo(href.substring(1));
+        }
+      }, { signal: this.lifecycle.signal });
+    });
+  }
+  
+  setupScrollBehavior() {
+    let lastScrollTop = 0;
+    
+    const handleScroll = throttle(() => {
+      const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+      
+      // Hide/show navbar on scroll
+      if (scrollTop > lastScrollTop && scrollTop > 100) {
+        this.navbar.style.transform = 'translateY(-100%)';
+      } else {
+        this.navbar.style.transform = 'translateY(0)';
+      }
+      
+      lastScrollTop = scrollTop;
+    }, CONFIG.SCROLL_THROTTLE);
+    
+    window.addEventListener('scroll', handleScroll, { signal: this.lifecycle.signal });
+  }
+  
+  setupActiveLinks() {
+    const handleScroll = throttle(() => this.updateActiveLink(), CONFIG.SCROLL_THROTTLE);
+    
+    window.addEventListener('scroll', handleScroll, { signal: this.lifecycle.signal });
+  }
+  
+  /**
+   * Id of the section under the navbar at a scroll position
+   * @param {number} scrollY - Defaults to the current scroll position
+   * @returns {string} Empty when no section matches
+   */
+  getCurrentSection(scrollY = window.pageYOffset) {
+    let current = '';
+    
+    document.querySelectorAll('section[id]').forEach(section => {
+      const sectionTop = section.offsetTop - 100;
+      const sectionHeight = section.clientHeight;
+      
+      if (scrollY >= sectionTop && scrollY < sectionTop + sectionHeight) {
+        current = section.getAttribute('id');
+      }
+    });
+    
+    return current;
+  }
+  
+  updateActiveLink(current = this.getCurrentSection()) {
+    this.navLinks.forEach(link => {
+      link.classList.remove('active');
+      if (link.getAttribute('href') === `#${current}`) {
+        link.classList.add('active');
+      }
+    });
+    
+    if (current && current !== this.currentSection) {
+      this.events?.emit('section:enter', { id: current, previous: this.currentSection || null });
+    }
+    this.currentSection = current;
+  }
+  
+  destroy() {
+    this.lifecycle.destroy();
+    
+    if (this.hamburger && this.navMenu) this.closeMobileMenu();
+    if (this.navbar) this.navbar.style.transform = '';
+    this.navLinks.forEach(link => link.classList.remove('active'));
+  }
+}
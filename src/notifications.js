@@ -0,0 +1,256 @@
+// ===================================
+// NOTIFICATIONS
+// ===================================
+
+import { CONFIG } from './config.js';
+import { Lifecycle } from './utils.js';
+import { t } from './i18n.js';
+
+export const NOTIFICATION_DEFAULTS = {
+  maxVisible: 3,
+  duration: 5000,       // ms; 0 keeps the toast until dismissed
+  errorDuration: 8000
+};
+
+export const NOTIFICATION_ICONS = {
+  success: '✅',
+  error: '⚠️',
+  info: '💬'
+};
+
+/**
+ * Stacked, queued toasts shared by the whole page.
+ * Visible toasts are plain markup; screen readers hear them through two
+ * persistent live regions (polite for info/success, assertive for errors)
+ * because freshly inserted live regions are often not announced.
+ */
+export class NotificationManager {
+  /**
+   * @param {Object} options - Overrides for NOTIFICATION_DEFAULTS
+   */
+  constructor(options = {}) {
+    this.lifecycle = new Lifecycle();
+    this.options = { ...NOTIFICATION_DEFAULTS, ...options };
+    this.visible = [];
+    this.queue = [];
+    this.nextId = 1;
+    
+    this.init();
+  }
+  
+  init() {
+    this.region = document.createElement('section');
+    this.region.className = 'toast-region';
+    this.region.setAttribute('data-i18n-attr', 'aria-label:notifications.label');
+    this.region.setAttribute('aria-label', t('notifications.label', {}, 'Notifications'));
+    
+    this.stack = document.createElement('ol');
+    this.stack.className = 'toast-stack';
+    
+    this.politeRegion = this.createLiveRegion('polite');
+    this.assertiveRegion = this.createLiveRegion('assertive');
+    
+    this.region.append(this.stack, this.politeRegion, this.assertiveRegion);
+    document.body.appendChild(this.region);
+  }
+  
+  createLiveRegion(politeness) {
+    const region = document.createElement('div');
+    region.className = 'sr-only';
+    region.setAttribute('aria-live', politeness);
+    region.setAttribute('aria-atomic', 'true');
+    return region;
+  }
+  
+  /**
+   * Show a toast (or queue it if the stack is full)
+   * @param {string} message - Text to show
+   * @param {Object} options - { type: 'success'|'error'|'info', duration, icon,
+   *   actions: [{ label, onClick, dismiss = true }], className }
+   * @returns {{ id: number, dismiss: Function }}
+   */
+  notify(message, options = {}) {
+    const type = NOTIFICATION_ICONS[options.type] ? options.type : 'info';
+    const toast = {
+      id: this.nextId++,
+      message,
+      type,
+      icon: options.icon ?? NOTIFICATION_ICONS[type],
+      actions: options.actions || [],
+      className: options.className || '',
+      duration: options.duration ?? (type === 'error' ? this.options.errorDuration : this.options.duration)
+    };
+    
+    if (this.visible.length < this.options.maxVisible) {
+      this.show(toast);
+    } else {
+      this.queue.push(toast);
+    }
+    
+    return { id: toast.id, dismiss: () => this.dismiss(toast.id) };
+  }
+  
+  success(message, options) {
+    return this.notify(message, { ...options, type: 'success' });
+  }
+  
+  error(message, options) {
+    return this.notify(message, { ...options, type: 'error' });
+  }
+  
+  info(message, options) {
+    return this.notify(message, { ...options, type: 'info' });
+  }
+  
+  show(toast) {
+    toast.element = this.createToast(toast);
+    this.visible.push(toast);
+    this.stack.appendChild(toast.element);
+    
+    this.announce(toast);
+    
+    // Next frame, so the entrance transition runs
+    this.lifecycle.requestAnimationFrame(() => toast.element.classList.add('show'));
+    
+    this.startTimer(toast);
+  }
+  
+  createToast(toast) {
+    const element = document.createElement('li');
+    element.className = `toast toast-${toast.type} ${toast.className}`.trim();
+    
+    if (toast.icon) {
+      const icon = document.createElement('span');
+      icon.className = 'toast-icon';
+      icon.setAttribute('aria-hidden', 'true');
+      icon.textContent = toast.icon;
+      element.appendChild(icon);
+    }
+    
+    const text = document.createElement('p');
+    text.className = 'toast-message';
+    text.textContent = toast.message;
+    element.appendChild(text);
+    
+    if (toast.actions.length) {
+      const actions = document.createElement('div');
+      actions.className = 'toast-actions';
+      
+      toast.actions.forEach(({ label, onClick, dismiss = true }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'toast-action';
+        button.textContent = label;
+        button.addEventListener('click', () => {
+          if (dismiss) this.dismiss(toast.id);
+          onClick?.();
+        });
+        actions.appendChild(button);
+      });
+      
+      element.appendChild(actions);
+    }
+    
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'toast-close';
+    close.setAttribute('aria-label', t('notifications.dismiss', {}, 'Dismiss notification'));
+    close.textContent = '×';
+    close.addEventListener('click', () => this.dismiss(toast.id));
+    element.appendChild(close);
+    
+    // Don't let a toast vanish while someone is reading or tabbing through it
+    element.addEventListener('mouseenter', () => this.stopTimer(toast));
+    element.addEventListener('mouseleave', () => this.startTimer(toast));
+    element.addEventListener('focusin', () => this.stopTimer(toast));
+    element.addEventListener('focusout', (e) => {
+      if (!element.contains(e.relatedTarget)) this.startTimer(toast);
+    });
+    
+    return element;
+  }
+  
+  announce(toast) {
+    const region = toast.type === 'error' ? this.assertiveRegion : this.politeRegion;
+    
+    // Clear first so repeating the same message is announced again
+    region.textContent = '';
+    this.lifecycle.setTimeout(() => {
+      region.textContent = toast.message;
+    }, 100);
+  }
+  
+  startTimer(toast) {
+    this.stopTimer(toast);
+    
+    if (toast.duration > 0) {
+      toast.timer = this.lifecycle.setTimeout(() => this.dismiss(toast.id), toast.duration);
+    }
+  }
+  
+  stopTimer(toast) {
+    this.lifecycle.clearTimeout(toast.timer);
+  }
+  
+  /**
+   * Remove a toast (visible or still queued) and promote the next queued one
+   * @param {number} id - Id returned by notify()
+   */
+  dismiss(id) {
+    const queuedIndex = this.queue.findIndex(toast => toast.id === id);
+    if (queuedIndex !== -1) {
+      this.queue.splice(queuedIndex, 1);
+      return;
+    }
+    
+    const index = this.visible.findIndex(toast => toast.id === id);
+    if (index === -1) return;
+    
+    const [toast] = this.visible.splice(index, 1);
+    this.stopTimer(toast);
+    
+    const hadFocus = toast.element.contains(document.activeElement);
+    this.removeElement(toast.element);
+    
+    if (this.queue.length) {
+      this.show(this.queue.shift());
+    }
+    
+    // Keep keyboard users somewhere sensible after closing a focused toast
+    if (hadFocus) {
+      const next = this.visible[this.visible.length - 1]?.element.querySelector('button');
+      next?.focus();
+    }
+  }
+  
+  removeElement(element) {
+    element.classList.remove('show');
+    
+    if (CONFIG.REDUCED_MOTION) {
+      element.remove();
+      return;
+    }
+    
+    element.addEventListener('transitionend', () => element.remove(), { once: true });
+    // Fallback in case the transition never fires (hidden tab, no styles)
+    this.lifecycle.setTimeout(() => element.remove(), CONFIG.ANIMATION_DURATION + 100);
+  }
+  
+  /**
+   * Dismiss everything, including queued toasts
+   */
+  clear() {
+    this.queue = [];
+    [...this.visible].forEach(toast => this.dismiss(toast.id));
+  }
+  
+  /**
+   * Drop every toast without animating and remove the region
+   */
+  destroy() {
+    this.lifecycle.destroy();
+    this.queue = [];
+    this.visible = [];
+    this.region.remove();
+  }
+}
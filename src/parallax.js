@@ -0,0 +1,87 @@
+// ===================================
+// PARALLAX EFFECTS
+// ===================================
+
+import { CONFIG } from './config.js';
+import { throttle, Lifecycle } from './utils.js';
+
+export class ParallaxEffects {
+  constructor() {
+    this.lifecycle = new Lifecycle();
+    this.shapes = [];
+    this.scrollEnabled = true;
+    this.mouseEnabled = true;
+    
+    if (!CONFIG.ENABLE_PARALLAX || CONFIG.REDUCED_MOTION) return;
+    
+    this.shapes = document.querySelectorAll('.hero-bg-shapes .shape');
+    
+    this.init();
+  }
+  
+  init() {
+    this.setupScrollParallax();
+    this.setupMouseParallax();
+  }
+  
+  setupScrollParallax() {
+    const handleScroll = throttle(() => {
+      if (!this.scrollEnabled) return;
+      
+      const scrolled = window.pageYOffset;
+      const rate = scrolled * -0.5;
+      
+      this.shapes.forEach((shape, index) => {
+        const speed = (index + 1) * 0.1;
+        shape.style.transform = `translateY(${rate * speed}px)`;
+      });
+    }, CONFIG.SCROLL_THROTTLE);
+    
+    window.addEventListener('scroll', handleScroll, { signal: this.lifecycle.signal });
+  }
+  
+  setupMouseParallax() {
+    const hero = document.querySelector('.hero');
+    if (!hero) return;
+    
+    hero.addEventListener('mousemove', (e) => {
+      if (!this.mouseEnabled) return;
+      
+      const { clientX, clientY } = e;
+      const { innerWidth, innerHeight } = window;
+      
+      const xPos = (clientX / innerWidth) - 0.5;
+      const yPos = (clientY / innerHeight) - 0.5;
+      
+      this.shapes.forEach((shape, index) => {
+        const speed = (index + 1) * 10;
+        const x = xPos * speed;
+        const y = yPos * speed;
+        
+        shape.style.transform += ` translate(${x}px, ${y}px)`;
+      });
+    }, { signal: this.lifecycle.signal });
+  }
+  
+  /**
+   * Follow the adaptive quality tier (see QualityManager)
+   * @param {Object} settings - { scrollParallax, mouseParallax }
+   */
+  setQuality({ scrollParallax, mouseParallax }) {
+    const turnedOff = (this.scrollEnabled && !scrollParallax) || (this.mouseEnabled && !mouseParallax);
+    
+    this.scrollEnabled = scrollParallax;
+    this.mouseEnabled = mouseParallax;
+    
+    if (turnedOff) this.resetTransforms();
+  }
+  
+  resetTransforms() {
+    this.shapes.forEach(shape => shape.style.transform = '');
+  }
+  
+  destroy() {
+    this.lifecycle.destroy();
+    this.resetTransforms();
+  }
+}
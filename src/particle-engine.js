@@ -0,0 +1,115 @@
+// ===================================
+// PARTICLE ENGINE
+// ===================================
+
+export const PARTICLE_COLORS = ['#FFB86B', '#7EE7C7', '#7A5CFF'];
+
+// Physics constants were tuned per 60fps frame; step() scales them by dt
+const FRAME_MS = 1000 / 60;
+const GRAVITY = 0.1;
+
+/**
+ * Fixed-size particle pool with no DOM access, so it runs the same on
+ * the main thread and in particle-worker.js. Particles are allocated once;
+ * live ones are kept packed at the front of the array and a dead one is
+ * swapped with the last live one, so nothing is spliced or garbage
+ * collected while animating.
+ */
+export class ParticleEngine {
+  /**
+   * @param {Object} options - { capacity } hard upper limit of live particles
+   */
+  constructor({ capacity = 150 } = {}) {
+    this.capacity = capacity;
+    this.budget = capacity;
+    this.count = 0;
+    this.particles = Array.from({ length: capacity }, () => ({
+      x: 0, y: 0, vx: 0, vy: 0, life: 0, decay: 0, size: 0, color: PARTICLE_COLORS[0]
+    }));
+  }
+  
+  /**
+   * Lower (or restore) how many particles may be alive at once
+   * @param {number} budget - Clamped to 0..capacity
+   */
+  setBudget(budget) {
+    this.budget = Math.max(0, Math.min(this.capacity, Math.round(budget)));
+    this.count = Math.min(this.count, this.budget);
+  }
+  
+  /**
+   * Bring a pooled particle to life
+   * @param {string} kind - "trail" or "burst" (faster and bigger)
+   * @returns {boolean} false when the budget is used up
+   */
+  spawn(x, y, kind = 'trail') {
+    if (this.count >= this.budget) return false;
+    
+    const particle = this.particles[this.count++];
+    const speed = kind === 'burst' ? 3 : 1;
+    
+    particle.x = x;
+    particle.y = y;
+    particle.vx = (Math.random() - 0.5) * 4 * speed;
+    particle.vy = (Math.random() - 0.5) * 4 * speed;
+    particle.life = 1;
+    particle.decay = Math.random() * 0.02 + 0.01;
+    particle.size = (Math.random() * 4 + 2) * (kind === 'burst' ? 1.5 : 1);
+    particle.color = PARTICLE_COLORS[Math.floor(Math.random() * PARTICLE_COLORS.length)];
+    
+    return true;
+  }
+  
+  /**
+   * Advance every live particle
+   * @param {number} elapsed - ms since the last step (clamped, so a stall doesn't teleport)
+   */
+  step(elapsed = FRAME_MS) {
+    const dt = Math.min(elapsed, FRAME_MS * 3) / FRAME_MS;
+    const { particles } = this;
+    
+    for (let i = this.count - 1; i >= 0; i--) {
+      const particle = particles[i];
+      
+      particle.x += particle.vx * dt;
+      particle.y += particle.vy * dt;
+      particle.vy += GRAVITY * dt;
+      particle.life -= particle.decay * dt;
+      
+      if (particle.life <= 0) {
+        // Swap with the last live particle; that one has already been stepped
+        const last = this.count - 1;
+        particles[i] = particles[last];
+        particles[last] = particle;
+        this.count = last;
+      }
+    }
+  }
+  
+  /**
+   * Clear and draw. Only alpha and colour change between particles, so
+   * there's no save()/restore() per particle.
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @param {number} width - CSS pixels (the context is already scaled for DPR)
+   * @param {number} height - CSS pixels
+   */
+  render(ctx, width, height) {
+    ctx.clearRect(0, 0, width, height);
+    
+    for (let i = 0; i < this.count; i++) {
+      const particle = this.particles[i];
+      
+      ctx.globalAlpha = particle.life;
+      ctx.fillStyle = particle.color;
+      ctx.beginPath();
+      ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    
+    ctx.globalAlpha = 1;
+  }
+  
+  clear() {
+    this.count = 0;
+  }
+}
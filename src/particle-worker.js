@@ -0,0 +1,100 @@
+// ===================================
+// PARTICLE WORKER
+// ===================================
+
+// Worker entry for ParticleSystem({ worker: true }): owns the transferred
+// OffscreenCanvas and runs the same ParticleEngine off the main thread.
+// Not part of src/index.js, since importing it starts listening.
+
+import { ParticleEngine } from './particle-engine.js';
+import { WeatherLayer } from './weather-layer.js';
+
+let engine = null;
+let weather = null;
+let ctx = null;
+let width = 0;
+let height = 0;
+let frame = null;
+let lastFrame = null;
+let paused = false;
+
+// Dedicated workers have rAF in Chromium and Firefox; Safari falls back to timers
+const schedule = self.requestAnimationFrame
+  ? callback => self.requestAnimationFrame(callback)
+  : callback => setTimeout(() => callback(performance.now()), 16);
+const unschedule = self.cancelAnimationFrame ? id => self.cancelAnimationFrame(id) : id => clearTimeout(id);
+
+function draw() {
+  engine.render(ctx, width, height);
+  weather.render(ctx);
+}
+
+function hasWork() {
+  return engine.count > 0 || weather.active;
+}
+
+function animate(time) {
+  const elapsed = lastFrame === null ? undefined : time - lastFrame;
+  
+  engine.step(elapsed);
+  weather.step(elapsed);
+  draw();
+  lastFrame = time;
+  
+  frame = hasWork() ? schedule(animate) : null;
+}
+
+function start() {
+  if (paused || frame !== null || !hasWork()) return;
+  
+  lastFrame = null;
+  frame = schedule(animate);
+}
+
+function stop() {
+  if (frame !== null) unschedule(frame);
+  frame = null;
+}
+
+const handlers = {
+  init({ canvas, capacity }) {
+    ctx = canvas.getContext('2d');
+    engine = new ParticleEngine({ capacity });
+    weather = new WeatherLayer();
+  },
+  resize({ width: cssWidth, height: cssHeight, ratio }) {
+    width = cssWidth;
+    height = cssHeight;
+    ctx.canvas.width = Math.round(width * ratio);
+    ctx.canvas.height = Math.round(height * ratio);
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    weather.resize(width, height);
+    draw();
+  },
+  spawn({ x, y, kind }) {
+    if (!paused && engine.spawn(x, y, kind)) start();
+  },
+  budget({ budget, density }) {
+    engine.setBudget(budget);
+    weather.setDensity(density);
+  },
+  weather({ kind }) {
+    weather.setWeather(kind);
+    draw();
+    start();
+  },
+  pause() {
+    paused = true;
+    stop();
+  },
+  resume() {
+    paused = false;
+    start();
+  },
+  clear() {
+    engine.clear();
+    ctx.clearRect(0, 0, width, height);
+  }
+};
+
+self.addEventListener('message', ({ data }) => handlers[data.type]?.(data));
@@ -0,0 +1,267 @@
+// ===================================
+// ENHANCED PARTICLE SYSTEM
+// ===================================
+
+import { CONFIG } from './config.js';
+import { Lifecycle } from './utils.js';
+import { ParticleEngine } from './particle-engine.js';
+import { WeatherLayer } from './weather-layer.js';
+
+/**
+ * maxParticles: live particles at full quality (the pool size).
+ * trailChance: share of mousemoves that leave a particle; burstCount:
+ * particles per click. maxPixelRatio caps the canvas resolution on HiDPI
+ * screens. worker: draw in an OffscreenCanvas worker where supported.
+ */
+export const PARTICLE_DEFAULTS = {
+  maxParticles: 150,
+  trailChance: 0.1,
+  burstCount: 8,
+  maxPixelRatio: 2,
+  worker: false
+};
+
+export class ParticleSystem {
+  /**
+   * @param {Object} options - Overrides for PARTICLE_DEFAULTS
+   */
+  constructor(options = {}) {
+    this.lifecycle = new Lifecycle();
+    this.options = { ...PARTICLE_DEFAULTS, ...options };
+    this.engine = null;
+    this.weather = null;
+    this.worker = null;
+    this.canvas = null;
+    this.ctx = null;
+    this.animationId = null;
+    this.lastFrame = null;
+    this.paused = false;
+    // Share of particles actually created; lowered by QualityManager
+    this.density = 1;
+    
+    if (CONFIG.REDUCED_MOTION) return;
+    
+    this.init();
+  }
+  
+  init() {
+    this.createCanvas();
+    this.setupMouseTrail();
+    this.setupClickBurst();
+    this.setupPausing();
+  }
+  
+  static supportsWorker() {
+    return typeof Worker !== 'undefined' && 'transferControlToOffscreen' in HTMLCanvasElement.prototype;
+  }
+  
+  createCanvas() {
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'particle-canvas';
+    this.canvas.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100vw;
+      height: 100vh;
+      pointer-events: none;
+      z-index: 1;
+    `;
+    document.body.appendChild(this.canvas);
+    
+    if (this.options.worker && ParticleSystem.supportsWorker()) {
+      this.startWorker();
+    } else {
+      this.ctx = this.canvas.getContext('2d');
+      this.engine = new ParticleEngine({ capacity: this.options.maxParticles });
+      this.weather = new WeatherLayer();
+    }
+    
+    this.resize();
+    window.addEventListener('resize', () => this.resize(), { signal: this.lifecycle.signal });
+  }
+  
+  startWorker() {
+    const offscreen = this.canvas.transferControlToOffscreen();
+    
+    this.worker = new Worker(new URL('./particle-worker.js', import.meta.url), { type: 'module' });
+    this.worker.postMessage({ type: 'init', canvas: offscreen, capacity: this.options.maxParticles }, [offscreen]);
+  }
+  
+  resize() {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const ratio = Math.min(window.devicePixelRatio || 1, this.options.maxPixelRatio);
+    
+    this.width = width;
+    this.height = height;
+    
+    if (this.worker) {
+      this.worker.postMessage({ type: 'resize', width, height, ratio });
+      return;
+    }
+    
+    // Backing store in device pixels, drawing in CSS pixels
+    this.canvas.width = Math.round(width * ratio);
+    this.canvas.height = Math.round(height * ratio);
+    this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    this.weather.resize(width, height);
+    this.draw();
+  }
+  
+  setupMouseTrail() {
+    document.addEventListener('mousemove', (e) => {
+      if (Math.random() < this.options.trailChance * this.density) { // Only create particles occasionally
+        this.spawn(e.clientX, e.clientY, 'trail');
+      }
+    }, { signal: this.lifecycle.signal });
+  }
+  
+  setupClickBurst() {
+    document.addEventListener('click', (e) => {
+      // Create burst of particles on click
+      const count = Math.round(this.options.burstCount * this.density);
+      for (let i = 0; i < count; i++) {
+        this.lifecycle.setTimeout(() => {
+          this.spawn(e.clientX, e.clientY, 'burst');
+        }, i * 50);
+      }
+    }, { signal: this.lifecycle.signal });
+  }
+  
+  setupPausing() {
+    const { signal } = this.lifecycle;
+    
+    // Nobody sees a hidden tab, and rAF there is throttled anyway
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.pause();
+      } else {
+        this.resume();
+      }
+    }, { signal });
+    
+    // Reduced motion switched on while the page is open
+    window.matchMedia('(prefers-reduced-motion: reduce)').addEventListener('change', (e) => {
+      if (e.matches) {
+        this.pause();
+        this.engine?.clear();
+        this.ctx?.clearRect(0, 0, this.width, this.height);
+        this.worker?.postMessage({ type: 'clear' });
+      } else {
+        this.resume();
+      }
+    }, { signal });
+  }
+  
+  /**
+   * Add a particle unless paused or over budget
+   * @param {string} kind - "trail" or "burst"
+   */
+  spawn(x, y, kind) {
+    if (this.paused || CONFIG.REDUCED_MOTION) return;
+    
+    if (this.worker) {
+      this.worker.postMessage({ type: 'spawn', x, y, kind });
+      return;
+    }
+    
+    if (this.engine.spawn(x, y, kind)) this.start();
+  }
+  
+  /**
+   * Rain, snow or sunshine behind the cursor particles (see WeatherLayer)
+   * @param {string|null} kind - "rainy", "snowy", "sunny" or null to clear
+   */
+  setWeather(kind) {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'weather', kind });
+      return;
+    }
+    
+    if (!this.weather) return;
+    
+    this.weather.setWeather(kind);
+    this.draw();
+    this.start();
+  }
+  
+  hasWork() {
+    return this.engine.count > 0 || this.weather.active;
+  }
+  
+  start() {
+    if (this.paused || this.animationId || !this.hasWork()) return;
+    
+    this.lastFrame = null;
+    this.animationId = this.lifecycle.requestAnimationFrame(time => this.animate(time));
+  }
+  
+  pause() {
+    this.paused = true;
+    this.worker?.postMessage({ type: 'pause' });
+    
+    if (this.animationId) {
+      this.lifecycle.cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+  }
+  
+  resume() {
+    if (CONFIG.REDUCED_MOTION) return;
+    
+    this.paused = false;
+    this.worker?.postMessage({ type: 'resume' });
+    
+    // Pick up where the particles froze
+    if (this.engine) this.start();
+  }
+  
+  /**
+   * Follow the adaptive quality tier (see QualityManager)
+   * @param {Object} settings - { particles } share of particles to create (0-1)
+   */
+  setQuality({ particles }) {
+    this.density = particles;
+    
+    const budget = this.options.maxParticles * particles;
+    this.engine?.setBudget(budget);
+    this.weather?.setDensity(particles);
+    this.worker?.postMessage({ type: 'budget', budget, density: particles });
+  }
+  
+  // One frame of both layers, without advancing them
+  draw() {
+    if (!this.engine) return;
+    
+    this.engine.render(this.ctx, this.width, this.height);
+    this.weather.render(this.ctx);
+  }
+  
+  animate(time) {
+    const elapsed = this.lastFrame === null ? undefined : time - this.lastFrame;
+    
+    this.engine.step(elapsed);
+    this.weather.step(elapsed);
+    this.draw();
+    this.lastFrame = time;
+    
+    if (this.hasWork()) {
+      this.animationId = this.lifecycle.requestAnimationFrame(next => this.animate(next));
+    } else {
+      this.animationId = null;
+    }
+  }
+  
+  destroy() {
+    this.lifecycle.destroy();
+    this.worker?.terminate();
+    this.worker = null;
+    this.animationId = null;
+    this.engine = null;
+    this.weather = null;
+    this.canvas?.remove();
+    this.canvas = null;
+    this.ctx = null;
+  }
+}
@@ -0,0 +1,432 @@
+// ===================================
+// PERFORMANCE MONITOR
+// ===================================
+
+import { sendBeacon, Lifecycle } from './utils.js';
+import { t } from './i18n.js';
+
+/**
+ * endpoint: where sampled reports go (null = don't report). The payload
+ * uses the analytics batch format, so tools/analytics-collector.mjs
+ * accepts it. sampleRate: share of page views that report (0-1).
+ * overlay: on-screen debug panel, also shown with ?perf in the URL.
+ * debug: console warnings for poor metrics and long frames.
+ * With none of these set the monitor stays inert: no observers at all.
+ */
+export const PERFORMANCE_DEFAULTS = {
+  endpoint: null,
+  sampleRate: 0.1,
+  overlay: false,
+  debug: false
+};
+
+/**
+ * [good, poor] boundaries from web.dev; values in ms except CLS
+ */
+export const WEB_VITALS_THRESHOLDS = {
+  LCP: [2500, 4000],
+  FCP: [1800, 3000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  TTFB: [800, 1800]
+};
+
+// Script attribution: long-animation-frame entries name the module that
+// ran, which is how jank is pinned on a component. Bundling renames these.
+const COMPONENT_SOURCES = {
+  'particles.js': 'particleSystem',
+  'parallax.js': 'parallax',
+  'typewriter.js': 'typewriter',
+  'cursor.js': 'cursor',
+  'scroll-animations.js': 'scrollAnimations',
+  'carousel.js': 'carousel',
+  'project-filter.js': 'projectFilter',
+  'easter-eggs.js': 'easterEggs'
+};
+
+// Element attribution for LCP, CLS and INP targets
+const COMPONENT_ELEMENTS = {
+  particleSystem: '.particle-canvas',
+  parallax: '.hero-bg-shapes, .mascot-main',
+  typewriter: '.hero-title',
+  cursor: '.custom-cursor',
+  projectModal: '#projectModal',
+  loadingSkeleton: '#loadingSkeleton'
+};
+
+// INP keeps the longest few interactions; that's all the percentile needs
+const INP_CANDIDATES = 10;
+
+/**
+ * @returns {string} "good", "needs-improvement" or "poor"
+ */
+export function rateMetric(name, value) {
+  const [good, poor] = WEB_VITALS_THRESHOLDS[name];
+  
+  if (value <= good) return 'good';
+  return value <= poor ? 'needs-improvement' : 'poor';
+}
+
+/**
+ * Short selector for reports, e.g. "img.hero-image"
+ */
+function describeElement(element) {
+  if (!element?.tagName) return null;
+  
+  const id = element.id ? `#${element.id}` : '';
+  const classes = [...element.classList].slice(0, 2).map(name => `.${name}`).join('');
+  return element.tagName.toLowerCase() + id + classes;
+}
+
+function componentForElement(element) {
+  if (!element?.closest) return null;
+  
+  const match = Object.entries(COMPONENT_ELEMENTS).find(([, selector]) => element.closest(selector));
+  return match ? match[0] : null;
+}
+
+function formatMetric(name, value) {
+  return name === 'CLS' ? value.toFixed(3) : `${Math.round(value)} ms`;
+}
+
+export class PerformanceMonitor {
+  /**
+   * @param {Object} options - Overrides for PERFORMANCE_DEFAULTS, plus
+   *   { events } EventBus for perf:metric / perf:longtask and { consent }
+   *   ConsentManager; reports are only sent with "analytics" consent
+   */
+  constructor(options = {}) {
+    const { events = null, consent = null, ...settings } = options;
+    
+    this.lifecycle = new Lifecycle();
+    this.events = events;
+    this.consent = consent;
+    this.options = { ...PERFORMANCE_DEFAULTS, ...settings };
+    this.metrics = {};
+    this.longTasks = { count: 0, blockingTime: 0, byComponent: {} };
+    this.observers = [];
+    this.interactions = new Map();
+    this.interactionCount = 0;
+    this.lcpFinal = false;
+    // Decided once per page view, so a sampled view reports everything
+    this.sampled = Math.random() < this.options.sampleRate;
+    this.pageId = Math.random().toString(36).slice(2, 10);
+    this.dirty = false;
+    this.overlay = null;
+    
+    this.init();
+  }
+  
+  init() {
+    const overlay = this.options.overlay || new URLSearchParams(window.location.search).has('perf');
+    
+    // Nothing would see the numbers, so don't measure them
+    if (!this.options.endpoint && !overlay && !this.options.debug) return;
+    
+    if (overlay) this.createOverlay();
+    
+    if (typeof PerformanceObserver === 'undefined') return;
+    
+    this.observeTTFB();
+    this.observeFCP();
+    this.observeLCP();
+    this.observeCLS();
+    this.observeINP();
+    this.observeLongTasks();
+    this.setupReporting();
+  }
+  
+  /**
+   * Subscribe to one entry type, including entries from before start-up
+   * @returns {PerformanceObserver|null} null when the browser lacks the type
+   */
+  observe(type, callback, options = {}) {
+    if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return null;
+    
+    const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+    observer.observe({ type, buffered: true, ...options });
+    this.observers.push(observer);
+    return observer;
+  }
+  
+  setMetric(name, value, attribution = {}) {
+    const metric = { name, value, rating: rateMetric(name, value), attribution };
+    
+    this.metrics[name] = metric;
+    this.dirty = true;
+    this.events?.emit('perf:metric', metric);
+    
+    if (this.options.debug && metric.rating === 'poor') {
+      console.warn(`Poor ${name}: ${formatMetric(name, value)}`, attribution);
+    }
+    
+    this.renderOverlay();
+  }
+  
+  observeTTFB() {
+    const [navigation] = performance.getEntriesByType?.('navigation') || [];
+    if (!navigation) return;
+    
+    // Prerendered pages start counting at activation
+    const start = navigation.activationStart || 0;
+    
+    this.setMetric('TTFB', Math.max(navigation.responseStart - start, 0), {
+      dns: navigation.domainLookupEnd - navigation.domainLookupStart,
+      connection: navigation.connectEnd - navigation.connectStart,
+      request: navigation.responseStart - navigation.requestStart
+    });
+  }
+  
+  observeFCP() {
+    this.observe('paint', (entry) => {
+      if (entry.name === 'first-contentful-paint') {
+        this.setMetric('FCP', entry.startTime);
+      }
+    });
+  }
+  
+  observeLCP() {
+    const observer = this.observe('largest-contentful-paint', (entry) => {
+      if (this.lcpFinal) return;
+      
+      this.setMetric('LCP', entry.startTime, {
+        element: describeElement(entry.element),
+        url: entry.url || null,
+        component: componentForElement(entry.element)
+      });
+    });
+    
+    if (!observer) return;
+    
+    // The browser stops looking for larger paints after the first input
+    const finalize = () => {
+      this.lcpFinal = true;
+    };
+    const { signal } = this.lifecycle;
+    ['keydown', 'pointerdown'].forEach(type => {
+      document.addEventListener(type, finalize, { once: true, capture: true, signal });
+    });
+  }
+  
+  observeCLS() {
+    // Shifts are grouped into session windows (gaps under 1s, at most 5s
+    // long); CLS is the worst window
+    let session = [];
+    let sessionValue = 0;
+    
+    const observer = this.observe('layout-shift', (entry) => {
+      if (entry.hadRecentInput) return;
+      
+      const first = session[0];
+      const last = session[session.length - 1];
+      if (last && (entry.startTime - last.startTime > 1000 || entry.startTime - first.startTime > 5000)) {
+        session = [];
+        sessionValue = 0;
+      }
+      
+      session.push(entry);
+      sessionValue += entry.value;
+      
+      if (sessionValue > this.metrics.CLS.value) {
+        const largest = session.reduce((a, b) => (b.value > a.value ? b : a));
+        const node = largest.sources?.find(source => source.node)?.node;
+        
+        this.setMetric('CLS', sessionValue, {
+          element: describeElement(node),
+          component: componentForElement(node)
+        });
+      }
+    });
+    
+    // A page that never shifts scores 0, not "unknown". Set after observe()
+    // so buffered entries compare against it.
+    if (observer && !this.metrics.CLS) this.setMetric('CLS', 0);
+  }
+  
+  observeINP() {
+    const handleEntry = (entry) => {
+      if (!entry.interactionId) return;
+      
+      const previous = this.interactions.get(entry.interactionId);
+      if (!previous) this.interactionCount++;
+      if (previous && previous.duration >= entry.duration) return;
+      
+      this.interactions.set(entry.interactionId, entry);
+      
+      const longest = [...this.interactions.values()].sort((a, b) => b.duration - a.duration);
+      if (longest.length > INP_CANDIDATES) {
+        longest.slice(INP_CANDIDATES).forEach(({ interactionId }) => this.interactions.delete(interactionId));
+      }
+      
+      // Roughly the 98th percentile: skip one outlier per 50 interactions
+      const worst = longest[Math.min(Math.floor(this.interactionCount / 50), longest.length - 1, INP_CANDIDATES - 1)];
+      
+      this.setMetric('INP', worst.duration, {
+        event: worst.name,
+        element: describeElement(worst.target),
+        component: componentForElement(worst.target)
+      });
+    };
+    
+    this.observe('event', handleEntry, { durationThreshold: 40 });
+    this.observe('first-input', handleEntry);
+  }
+  
+  observeLongTasks() {
+    // Long animation frames say which scripts ran; plain long tasks don't
+    const observer = this.observe('long-animation-frame', entry => this.recordLongTask(entry));
+    if (!observer) {
+      this.observe('longtask', entry => this.recordLongTask(entry));
+    }
+  }
+  
+  recordLongTask(entry) {
+    const component = this.componentForScripts(entry.scripts);
+    const blocking = entry.blockingDuration ?? Math.max(entry.duration - 50, 0);
+    
+    this.longTasks.count++;
+    this.longTasks.blockingTime += blocking;
+    
+    if (component) {
+      this.longTasks.byComponent[component] = (this.longTasks.byComponent[component] || 0) + entry.duration;
+    }
+    
+    this.dirty = true;
+    this.events?.emit('perf:longtask', { duration: entry.duration, blocking, component });
+    
+    if (this.options.debug) {
+      console.warn(`Long frame: ${Math.round(entry.duration)} ms${component ? ` (${component})` : ''}`);
+    }
+    
+    this.renderOverlay();
+  }
+  
+  /**
+   * The component whose module spent longest in a long animation frame
+   */
+  componentForScripts(scripts = []) {
+    let best = null;
+    
+    scripts.forEach(script => {
+      const file = (script.sourceURL || '').split(/[?#]/)[0].split('/').pop();
+      const component = COMPONENT_SOURCES[file];
+      
+      if (component && (!best || script.duration > best.duration)) {
+        best = { component, duration: script.duration };
+      }
+    });
+    
+    return best?.component ?? null;
+  }
+  
+  setupReporting() {
+    const { signal } = this.lifecycle;
+    
+    // Values are final (or as good as) when the page is hidden
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.lcpFinal = true;
+        this.report();
+      }
+    }, { signal });
+    window.addEventListener('pagehide', () => this.report(), { signal });
+  }
+  
+  /**
+   * Send the current values if this page view is sampled, an endpoint is
+   * set and the visitor allows analytics. Later calls only send when
+   * something changed (CLS and INP can keep growing).
+   */
+  report() {
+    if (!this.dirty || !this.sampled || !this.options.endpoint) return;
+    if (this.consent && !this.consent.has('analytics')) return;
+    
+    this.dirty = false;
+    
+    sendBeacon(this.options.endpoint, {
+      v: 1,
+      session: this.pageId,
+      events: [{
+        type: 'web_vitals',
+        time: Date.now(),
+        path: window.location.pathname,
+        connection: navigator.connection?.effectiveType || null,
+        metrics: this.metrics,
+        longTasks: this.longTasks
+      }]
+    });
+  }
+  
+  /**
+   * @returns {Object} Current metrics, long-task totals and their attribution
+   */
+  getReport() {
+    return { metrics: { ...this.metrics }, longTasks: { ...this.longTasks, byComponent: { ...this.longTasks.byComponent } } };
+  }
+  
+  createOverlay() {
+    this.overlay = document.createElement('aside');
+    this.overlay.className = 'perf-overlay';
+    this.overlay.setAttribute('data-i18n-attr', 'aria-label:perf.label');
+    this.overlay.setAttribute('aria-label', t('perf.label', {}, 'Performance metrics'));
+    
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'perf-overlay-close';
+    close.setAttribute('data-i18n-attr', 'aria-label:perf.hide');
+    close.setAttribute('aria-label', t('perf.hide', {}, 'Hide performance metrics'));
+    close.textContent = '×';
+    close.addEventListener('click', () => {
+      this.overlay.remove();
+      this.overlay = null;
+    }, { signal: this.lifecycle.signal });
+    
+    this.overlayList = document.createElement('dl');
+    this.overlay.append(close, this.overlayList);
+    document.body.appendChild(this.overlay);
+    
+    // The long-task row label is rendered text, not a data-i18n element
+    if (this.events) {
+      this.lifecycle.onDestroy(this.events.on('locale:change', () => this.renderOverlay()));
+    }
+    
+    this.renderOverlay();
+  }
+  
+  renderOverlay() {
+    if (!this.overlay) return;
+    
+    const rows = Object.keys(WEB_VITALS_THRESHOLDS).map(name => {
+      const metric = this.metrics[name];
+      const component = metric?.attribution.component;
+      return [name, metric ? formatMetric(name, metric.value) + (component ? ` · ${component}` : '') : '…', metric?.rating];
+    });
+    
+    const { count, blockingTime, byComponent } = this.longTasks;
+    const worst = Object.entries(byComponent).sort((a, b) => b[1] - a[1])[0];
+    rows.push([t('perf.longTasks', {}, 'Long tasks'), `${count} · ${Math.round(blockingTime)} ms${worst ? ` · ${worst[0]}` : ''}`, count ? 'needs-improvement' : 'good']);
+    
+    this.overlayList.replaceChildren(...rows.flatMap(([label, value, rating]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      if (rating) detail.dataset.rating = rating;
+      
+      return [term, detail];
+    }));
+  }
+  
+  /**
+   * Send what hasn't been reported, then stop observing
+   */
+  destroy() {
+    this.report();
+    this.lifecycle.destroy();
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers = [];
+    this.overlay?.remove();
+    this.overlay = null;
+  }
+}
@@ -0,0 +1,278 @@
+// ===================================
+// PROJECT FILTERS
+// ===================================
+
+import { CONFIG } from './config.js';
+import { debounce, Lifecycle } from './utils.js';
+import { t } from './i18n.js';
+
+/**
+ * Sort comparators for the #project-sort select.
+ * `featured` keeps the manifest order.
+ */
+export const PROJECT_SORTS = {
+  featured: null,
+  'title-asc': (a, b) => a.title.localeCompare(b.title),
+  'title-desc': (a, b) => b.title.localeCompare(a.title)
+};
+
+export class ProjectFilter {
+  constructor() {
+    this.lifecycle = new Lifecycle();
+    this.toolbar = document.querySelector('.project-filters');
+    this.grid = document.querySelector('#work .projects-grid');
+    this.searchInput = this.toolbar?.querySelector('#project-search');
+    this.sortSelect = this.toolbar?.querySelector('#project-sort');
+    this.facetsEl = this.toolbar?.querySelector('.project-facets');
+    this.statusEl = this.toolbar?.querySelector('.project-filter-status');
+    this.emptyEl = document.querySelector('.projects-empty');
+    
+    this.projects = {};
+    this.cards = [];
+    this.hideTimers = new Map();
+    this.state = this.readState();
+    
+    this.init();
+  }
+  
+  init() {
+    if (!this.toolbar || !this.grid) return;
+    
+    this.setupSearch();
+    this.setupSort();
+    
+    this.emptyEl?.querySelector('.filter-reset')?.addEventListener('click', () => {
+      this.reset();
+    }, { signal: this.lifecycle.signal });
+  }
+  
+  setupSearch() {
+    if (!this.searchInput) return;
+    
+    this.searchInput.value = this.state.query;
+    
+    const handleInput = debounce(() => {
+      this.state.query = this.searchInput.value.trim();
+      this.update();
+    }, 200);
+    
+    this.searchInput.addEventListener('input', handleInput, { signal: this.lifecycle.signal });
+    this.lifecycle.onDestroy(() => handleInput.cancel());
+  }
+  
+  setupSort() {
+    if (!this.sortSelect) return;
+    
+    this.sortSelect.value = this.state.sort;
+    
+    this.sortSelect.addEventListener('change', () => {
+      this.state.sort = this.sortSelect.value;
+      this.update();
+    }, { signal: this.lifecycle.signal });
+  }
+  
+  /**
+   * Hook up freshly rendered cards and build the tag facets
+   * @param {Object} projects - Projects keyed by id (from ProjectLoader)
+   */
+  setProjects(projects) {
+    if (!this.toolbar || !this.grid) return;
+    
+    this.projects = projects;
+    this.cards = Array.from(this.grid.querySelectorAll('.project-card'));
+    
+    this.renderFacets();
+    this.toolbar.hidden = this.cards.length === 0;
+    this.apply();
+  }
+  
+  renderFacets() {
+    if (!this.facetsEl) return;
+    
+    const counts = new Map();
+    Object.values(this.projects).forEach(project => {
+      (project.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    
+    // Drop tags from the URL that no longer exist
+    this.state.tags = this.state.tags.filter(tag => counts.has(tag));
+    
+    this.facetsEl.innerHTML = '';
+    
+    Array.from(counts.keys()).sort((a, b) => a.localeCompare(b)).forEach(tag => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'facet';
+      button.setAttribute('data-tag', tag);
+      button.setAttribute('aria-pressed', String(this.state.tags.includes(tag)));
+      button.textContent = tag;
+      
+      const count = document.createElement('span');
+      count.className = 'facet-count';
+      count.textContent = counts.get(tag);
+      button.appendChild(count);
+      
+      button.addEventListener('click', () => this.toggleTag(tag), { signal: this.lifecycle.signal });
+      this.facetsEl.appendChild(button);
+    });
+  }
+  
+  toggleTag(tag) {
+    const tags = this.state.tags;
+    this.state.tags = tags.includes(tag) ? tags.filter(t => t !== tag) : [...tags, tag];
+    
+    this.facetsEl?.querySelectorAll('.facet').forEach(button => {
+      const active = this.state.tags.includes(button.getAttribute('data-tag'));
+      button.setAttribute('aria-pressed', String(active));
+    });
+    
+    this.update();
+  }
+  
+  reset() {
+    this.state = { query: '', tags: [], sort: 'featured' };
+    
+    if (this.searchInput) this.searchInput.value = '';
+    if (this.sortSelect) this.sortSelect.value = 'featured';
+    
+    this.facetsEl?.querySelectorAll('.facet').forEach(button => {
+      button.setAttribute('aria-pressed', 'false');
+    });
+    
+    this.update();
+  }
+  
+  update() {
+    this.writeState();
+    this.apply();
+  }
+  
+  /**
+   * A project matches when it has any of the selected tags and the
+   * query appears in its title, summary or description.
+   */
+  matches(project) {
+    const { query, tags } = this.state;
+    
+    if (tags.length && !tags.some(tag => (project.tags || []).includes(tag))) {
+      return false;
+    }
+    
+    if (query) {
+      const haystack = `${project.title} ${project.summary || ''} ${project.description || ''}`.toLowerCase();
+      return haystack.includes(query.toLowerCase());
+    }
+    
+    return true;
+  }
+  
+  apply() {
+    const compare = PROJECT_SORTS[this.state.sort];
+    const ordered = this.cards.slice();
+    
+    if (compare) {
+      ordered.sort((a, b) => compare(this.getProject(a), this.getProject(b)));
+    }
+    
+    let visibleCount = 0;
+    
+    ordered.forEach(card => {
+      this.grid.appendChild(card);
+      
+      if (this.matches(this.getProject(card))) {
+        visibleCount++;
+        this.showCard(card);
+      } else {
+        this.hideCard(card);
+      }
+    });
+    
+    if (this.emptyEl) {
+      this.emptyEl.hidden = visibleCount > 0 || this.cards.length === 0;
+    }
+    
+    if (this.statusEl) {
+      const count = this.cards.length;
+      this.statusEl.textContent = visibleCount === count
+        ? t('work.showingAll', { count }, 'Showing all {count} projects')
+        : t('work.showingSome', { count, visible: visibleCount }, 'Showing {visible} of {count} projects');
+    }
+  }
+  
+  getProject(card) {
+    return this.projects[card.getAttribute('data-project')];
+  }
+  
+  // Cards reuse the ScrollAnimations fade-in/animate classes
+  showCard(card) {
+    this.lifecycle.clearTimeout(this.hideTimers.get(card));
+    this.hideTimers.delete(card);
+    
+    if (!card.hidden) return;
+    
+    card.hidden = false;
+    
+    if (card.classList.contains('fade-in')) {
+      card.classList.remove('animate');
+      void card.offsetWidth; // Restart the transition
+      card.classList.add('animate');
+    }
+  }
+  
+  hideCard(card) {
+    if (card.hidden || this.hideTimers.has(card)) return;
+    
+    if (!card.classList.contains('fade-in') || CONFIG.REDUCED_MOTION) {
+      card.hidden = true;
+      return;
+    }
+    
+    card.classList.remove('animate');
+    
+    this.hideTimers.set(card, this.lifecycle.setTimeout(() => {
+      card.hidden = true;
+      this.hideTimers.delete(card);
+    }, CONFIG.ANIMATION_DURATION * 2));
+  }
+  
+  readState() {
+    const params = new URLSearchParams(window.location.search);
+    const sort = params.get('sort');
+    
+    return {
+      query: params.get('q') || '',
+      tags: (params.get('tags') || '').split(',').filter(Boolean),
+      sort: Object.hasOwn(PROJECT_SORTS, sort) ? sort : 'featured'
+    };
+  }
+  
+  // Filter changes replace the current entry so typing doesn't flood history
+  writeState() {
+    const params = new URLSearchParams(window.location.search);
+    const { query, tags, sort } = this.state;
+    
+    const setParam = (key, value) => value ? params.set(key, value) : params.delete(key);
+    setParam('q', query);
+    setParam('tags', tags.join(','));
+    setParam('sort', sort === 'featured' ? '' : sort);
+    
+    const search = params.toString().replace(/%2C/g, ',');
+    const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+    history.replaceState(history.state, '', url);
+  }
+  
+  /**
+   * Put the toolbar and cards back as they were before setProjects()
+   */
+  destroy() {
+    this.lifecycle.destroy();
+    this.hideTimers.clear();
+    
+    this.cards.forEach(card => card.hidden = false);
+    this.cards = [];
+    
+    if (this.facetsEl) this.facetsEl.innerHTML = '';
+    if (this.toolbar) this.toolbar.hidden = true;
+    if (this.emptyEl) this.emptyEl.hidden = true;
+  }
+}
@@ -0,0 +1,251 @@
+// ===================================
+// PROJECT MODAL
+// ===================================
+
+import { FOCUSABLE_SELECTOR, trapFocus, Lifecycle } from './utils.js';
+import { t } from './i18n.js';
+import { Carousel } from './carousel.js';
+
+/**
+ * Modal route, e.g. #/work/3. Closing returns to the #work section hash.
+ */
+const PROJECT_ROUTE = /^#\/work\/([^/]+)$/;
+const PROJECT_ROUTE_EXIT = '#work';
+
+export class ProjectModal {
+  /**
+   * @param {ProjectLoader} loader - Source of the project data
+   * @param {Router} router - Optional; enables #/work/<id> deep links
+   * @param {Object} options - { carousel } defaults for every project gallery,
+   *   { events } EventBus for modal:open / modal:close (and the gallery's carousel:slide)
+   */
+  constructor(loader, router, options = {}) {
+    this.lifecycle = new Lifecycle();
+    this.events = options.events || null;
+    this.modal = document.getElementById('projectModal');
+    this.modalContent = this.modal?.querySelector('.modal-content');
+    this.closeBtn = this.modal?.querySelector('.modal-close');
+    this.carousel = new Carousel(this.modal?.querySelector('.modal-carousel'), { ...options.carousel, events: this.events });
+    this.loader = loader;
+    this.router = router;
+    this.projects = {};
+    this.currentProjectId = null;
+    this.lastTrigger = null;
+    
+    this.init();
+  }
+  
+  init() {
+    if (!this.modal) return;
+    
+    this.setupModalControls();
+    this.setupKeyboardNavigation();
+    this.setupRoute();
+  }
+  
+  setupRoute() {
+    this.router?.register(PROJECT_ROUTE, {
+      // Unknown ids (stale links) are sent on to the work section
+      enter: (projectId) => this.openModal(decodeURIComponent(projectId)),
+      leave: () => this.closeModal(),
+      exit: PROJECT_ROUTE_EXIT
+    });
+  }
+  
+  /**
+   * Open a project, updating the URL when a router is attached
+   * @param {string|number} projectId - Project id from projects.json
+   */
+  requestOpen(projectId) {
+    if (this.router) {
+      this.router.navigate(`#/work/${encodeURIComponent(projectId)}`);
+    } else {
+      this.openModal(projectId);
+    }
+  }
+  
+  requestClose() {
+    if (this.router) {
+      this.router.navigate(PROJECT_ROUTE_EXIT);
+    } else {
+      this.closeModal();
+    }
+  }
+  
+  /**
+   * Load project data and wire up the rendered cards
+   * @returns {Promise<NodeList>} The rendered project cards
+   */
+  async loadProjects() {
+    if (this.loader) {
+      this.projects = await this.loader.load();
+    }
+    
+    return this.setupProjectCards();
+  }
+  
+  setupProjectCards() {
+    const projectCards = document.querySelectorAll('.project-card');
+    const { signal } = this.lifecycle;
+    
+    projectCards.forEach(card => {
+      card.addEventListener('click', () => {
+        const projectId = card.getAttribute('data-project');
+        this.requestOpen(projectId);
+      }, { signal });
+      
+      // Keyboard support
+      card.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          const projectId = card.getAttribute('data-project');
+          this.requestOpen(projectId);
+        }
+      }, { signal });
+    });
+    
+    return projectCards;
+  }
+  
+  setupModalControls() {
+    const { signal } = this.lifecycle;
+    
+    // Close button
+    this.closeBtn?.addEventListener('click', () => {
+      this.requestClose();
+    }, { signal });
+    
+    // Click outside to close
+    this.modal?.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.requestClose();
+      }
+    }, { signal });
+  }
+  
+  setupKeyboardNavigation() {
+    document.addEventListener('keydown', (e) => {
+      if (this.modal?.classList.contains('active')) {
+        if (e.key === 'Escape') {
+          this.requestClose();
+        }
+        
+        // Trap focus within modal
+        if (e.key === 'Tab') {
+          this.trapFocus(e);
+        }
+        
+        // Arrow keys browse the gallery unless something else handled them
+        if (!e.defaultPrevented && !e.target.closest?.('input, textarea, select, video')) {
+          if (e.key === 'ArrowLeft') this.carousel.previousSlide();
+          if (e.key === 'ArrowRight') this.carousel.nextSlide();
+        }
+      }
+    }, { signal: this.lifecycle.signal });
+  }
+  
+  openModal(projectId) {
+    const project = this.projects[projectId];
+    if (!project) return false;
+    
+    // Remember the trigger once, so switching projects keeps the original card
+    if (!this.isOpen()) {
+      this.lastTrigger = document.activeElement;
+    }
+    
+    const wasOpen = this.isOpen();
+    
+    this.currentProjectId = projectId;
+    this.populateModal(project);
+    this.modal.classList.add('active');
+    this.modal.setAttribute('aria-hidden', 'false');
+    
+    // Focus management
+    const firstFocusable = this.modal.querySelector(FOCUSABLE_SELECTOR);
+    if (firstFocusable) {
+      firstFocusable.focus();
+    }
+    
+    // Prevent body scroll
+    document.body.style.overflow = 'hidden';
+    
+    this.events?.emit('modal:open', { projectId, project, switched: wasOpen });
+    return true;
+  }
+  
+  closeModal() {
+    if (!this.isOpen()) return;
+    
+    this.modal.classList.remove('active');
+    this.modal.setAttribute('aria-hidden', 'true');
+    this.carousel.stop();
+    // A lightbox opened from the gallery goes with it (e.g. on Back)
+    this.carousel.closeLightbox();
+    
+    // Restore body scroll
+    document.body.style.overflow = '';
+    
+    // Return focus to trigger element
+    if (this.lastTrigger && document.contains(this.lastTrigger)) {
+      this.lastTrigger.focus();
+    }
+    this.lastTrigger = null;
+    
+    this.events?.emit('modal:close', { projectId: this.currentProjectId });
+  }
+  
+  isOpen() {
+    return !!this.modal?.classList.contains('active');
+  }
+  
+  /**
+   * Pick up re-localized project data, updating the open project in place
+   */
+  refresh() {
+    if (this.loader) {
+      this.projects = this.loader.projects;
+    }
+    
+    const project = this.projects[this.currentProjectId];
+    if (this.isOpen() && project) {
+      const slide = this.carousel.currentSlide;
+      this.populateModal(project);
+      this.carousel.goToSlide(slide, { announce: false });
+    }
+  }
+  
+  populateModal(project) {
+    const title = this.modal.querySelector('#modal-title');
+    const description = this.modal.querySelector('.modal-description p');
+    const liveLink = this.modal.querySelector('.modal-links .btn-primary');
+    const codeLink = this.modal.querySelector('.modal-links .btn-secondary');
+    
+    if (title) title.textContent = project.title;
+    if (description) description.textContent = project.description;
+    
+    // Both links are optional in the manifest; hide the ones a project lacks
+    [[liveLink, project.liveUrl], [codeLink, project.codeUrl]].forEach(([link, url]) => {
+      if (!link) return;
+      link.hidden = !url;
+      if (url) link.href = url;
+    });
+    
+    // Update carousel (per-project options come from the manifest)
+    this.carousel.setSlides(project.images, {
+      label: t('carousel.gallery', { title: project.title }, '{title} gallery'),
+      ...project.carousel
+    });
+  }
+  
+  trapFocus(e) {
+    trapFocus(this.modal, e);
+  }
+  
+  destroy() {
+    this.lifecycle.destroy();
+    this.closeModal();
+    this.carousel.destroy();
+    this.currentProjectId = null;
+    this.projects = {};
+  }
+}
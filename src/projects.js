@@ -0,0 +1,339 @@
+// ===================================
+// PROJECT DATA
+// ===================================
+
+import { Lifecycle } from './utils.js';
+import { I18n, t } from './i18n.js';
+
+/**
+ * Shape of a single entry in projects.json.
+ * Each key maps to the expected type; `minLength` applies to strings/arrays,
+ * and `itemFields` to the object items of an array.
+ */
+export const PROJECT_SCHEMA = {
+  id: { type: ['number', 'string'], required: true },
+  title: { type: 'string', required: true, minLength: 1 },
+  summary: { type: 'string', required: true, minLength: 1 },
+  description: { type: 'string', required: true, minLength: 1 },
+  tags: { type: 'array', items: 'string', required: false },
+  thumbnail: { type: 'object', required: false },
+  images: { type: 'array', items: ['string', 'object'], itemFields: { src: 'string' }, required: true, minLength: 1 },
+  carousel: { type: 'object', required: false },
+  translations: { type: 'object', required: false },
+  liveUrl: { type: 'string', required: false },
+  codeUrl: { type: 'string', required: false }
+};
+
+// thumbnail.svg is inserted as markup, so it may only draw: no scripts,
+// embedded documents, event handlers or javascript: links
+const UNSAFE_SVG = /<\s*(script|foreignObject|iframe|object|embed)\b|[\s"'/]on[a-z]+\s*=|javascript:/i;
+
+/**
+ * Check a project entry against PROJECT_SCHEMA
+ * @param {*} entry - Raw entry from the manifest
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateProject(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return ['entry is not an object'];
+  }
+  
+  const errors = [];
+  
+  Object.entries(PROJECT_SCHEMA).forEach(([key, rule]) => {
+    const value = entry[key];
+    
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push(`"${key}" is required`);
+      return;
+    }
+    
+    const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    
+    if (!types.includes(actual)) {
+      errors.push(`"${key}" should be ${types.join(' or ')}, got ${actual}`);
+      return;
+    }
+    
+    const itemTypes = rule.items && [].concat(rule.items);
+    if (itemTypes && value.some(item => !itemTypes.includes(item === null ? 'null' : typeof item))) {
+      errors.push(`"${key}" should only contain ${itemTypes.join(' or ')} values`);
+    }
+    
+    if (rule.itemFields) {
+      value.forEach((item, index) => {
+        if (!item || typeof item !== 'object') return;
+        
+        Object.entries(rule.itemFields).forEach(([field, type]) => {
+          if (typeof item[field] !== type) {
+            errors.push(`"${key}[${index}].${field}" should be ${type}`);
+          }
+        });
+      });
+    }
+    
+    if (rule.minLength && value.length < rule.minLength) {
+      errors.push(`"${key}" must not be empty`);
+    }
+  });
+  
+  // Translations are merged over the entry, thumbnail included
+  const thumbnails = [['thumbnail', entry.thumbnail]];
+  if (entry.translations && typeof entry.translations === 'object') {
+    Object.entries(entry.translations).forEach(([locale, overrides]) => {
+      thumbnails.push([`translations.${locale}.thumbnail`, overrides?.thumbnail]);
+    });
+  }
+  
+  thumbnails.forEach(([path, thumbnail]) => {
+    const svg = thumbnail?.svg;
+    
+    if (svg === undefined || svg === null) return;
+    
+    if (typeof svg !== 'string') {
+      errors.push(`"${path}.svg" should be string`);
+    } else if (UNSAFE_SVG.test(svg)) {
+      errors.push(`"${path}.svg" may only contain shapes and text`);
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Merge an entry's translations for `locale` over its default text.
+ * "images" overrides are merged by index, e.g. [{ "caption": "..." }].
+ */
+export function localizeProject(entry, locale) {
+  const overrides = locale && entry.translations?.[locale];
+  if (!overrides) return entry;
+  
+  const { images, ...text } = overrides;
+  const localized = { ...entry, ...text };
+  
+  if (Array.isArray(images)) {
+    localized.images = entry.images.map((image, index) => {
+      const base = typeof image === 'string' ? { src: image } : image;
+      return images[index] ? { ...base, ...images[index] } : image;
+    });
+  }
+  
+  // The manifest's thumbnail label is in the default language
+  if (text.title && entry.thumbnail?.label) {
+    localized.thumbnail = { ...entry.thumbnail, label: null };
+  }
+  
+  return localized;
+}
+
+export class ProjectLoader {
+  constructor(manifestUrl = 'projects.json') {
+    this.lifecycle = new Lifecycle();
+    this.manifestUrl = manifestUrl;
+    this.grid = document.querySelector('#work .projects-grid');
+    this.entries = {};
+    this.projects = {};
+    this.errors = [];
+    this.statusEl = null;
+  }
+  
+  /**
+   * Fetch the manifest, validate it and render the project cards
+   * @returns {Promise<Object>} Valid projects keyed by id
+   */
+  async load() {
+    this.entries = {};
+    this.projects = {};
+    this.errors = [];
+    this.clearStatus();
+    
+    let manifest;
+    
+    try {
+      const response = await fetch(this.manifestUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      manifest = await response.json();
+    } catch (error) {
+      if (this.lifecycle.destroyed) return this.projects;
+      
+      console.error('Project manifest could not be loaded:', error);
+      this.render();
+      this.showStatus(t('work.loadFailed', {}, 'Projects could not be loaded right now.'), [error.message], true);
+      return this.projects;
+    }
+    
+    // Torn down while the request was in flight
+    if (this.lifecycle.destroyed) return this.projects;
+    
+    const entries = Array.isArray(manifest?.projects) ? manifest.projects : null;
+    
+    if (!entries) {
+      this.render();
+      this.showStatus(t('work.malformed', {}, 'The project list is malformed.'), ['"projects" should be an array'], true);
+      return this.projects;
+    }
+    
+    entries.forEach((entry, index) => {
+      const problems = validateProject(entry);
+      
+      if (problems.length) {
+        this.errors.push(`Project #${index + 1}: ${problems.join(', ')}`);
+        return;
+      }
+      
+      if (this.entries[entry.id]) {
+        this.errors.push(`Project #${index + 1}: duplicate id "${entry.id}"`);
+        return;
+      }
+      
+      this.entries[entry.id] = entry;
+    });
+    
+    if (this.errors.length) {
+      console.warn('Skipped invalid project entries:', this.errors);
+    }
+    
+    this.render();
+    
+    if (!Object.keys(this.projects).length) {
+      this.showStatus(t('work.noProjects', {}, 'No projects to show yet.'), this.errors, true);
+    } else if (this.errors.length) {
+      this.showStatus(t('work.someSkipped', {}, 'Some projects could not be shown.'), this.errors, false);
+    }
+    
+    return this.projects;
+  }
+  
+  /**
+   * Rebuild this.projects from the manifest entries for the active locale
+   */
+  localize() {
+    const locale = I18n.active?.locale;
+    
+    this.projects = Object.fromEntries(
+      Object.entries(this.entries).map(([id, entry]) => [id, localizeProject(entry, locale)])
+    );
+    
+    return this.projects;
+  }
+  
+  /**
+   * (Re)build the cards in the active locale
+   */
+  render() {
+    this.localize();
+    
+    if (!this.grid) return;
+    
+    this.grid.querySelectorAll('.project-card').forEach(card => card.remove());
+    
+    Object.values(this.projects).forEach(project => {
+      this.grid.appendChild(this.createCard(project));
+    });
+  }
+  
+  createCard(project) {
+    const card = document.createElement('article');
+    card.className = 'project-card';
+    card.setAttribute('data-project', project.id);
+    card.setAttribute('role', 'listitem');
+    card.setAttribute('tabindex', '0');
+    
+    const thumbnail = document.createElement('div');
+    thumbnail.className = 'project-thumbnail';
+    
+    if (project.thumbnail?.svg) {
+      thumbnail.innerHTML = `<svg width="100%" height="200" viewBox="0 0 400 200">${project.thumbnail.svg}</svg>`;
+      thumbnail.firstElementChild.setAttribute('aria-label', project.thumbnail.label || t('work.preview', { title: project.title }, '{title} Preview'));
+    }
+    
+    const info = document.createElement('div');
+    info.className = 'project-info';
+    
+    const title = document.createElement('h3');
+    title.textContent = project.title;
+    
+    const summary = document.createElement('p');
+    summary.textContent = project.summary;
+    
+    info.append(title, summary);
+    
+    if (project.tags?.length) {
+      const tags = document.createElement('div');
+      tags.className = 'project-tags';
+      tags.setAttribute('role', 'list');
+      tags.setAttribute('aria-label', t('work.technologies', {}, 'Technologies used'));
+      
+      project.tags.forEach(tagName => {
+        const tag = document.createElement('span');
+        tag.className = 'tag';
+        tag.setAttribute('role', 'listitem');
+        tag.textContent = tagName;
+        tags.appendChild(tag);
+      });
+      
+      info.appendChild(tags);
+    }
+    
+    card.append(thumbnail, info);
+    return card;
+  }
+  
+  showStatus(message, details, isFatal) {
+    if (!this.grid) return;
+    
+    this.clearStatus();
+    
+    this.statusEl = document.createElement('div');
+    this.statusEl.className = `projects-status ${isFatal ? 'error' : 'warning'}`;
+    this.statusEl.setAttribute('role', 'alert');
+    
+    const text = document.createElement('p');
+    text.textContent = message;
+    this.statusEl.appendChild(text);
+    
+    if (details.length) {
+      const list = document.createElement('ul');
+      details.forEach(detail => {
+        const item = document.createElement('li');
+        item.textContent = detail;
+        list.appendChild(item);
+      });
+      this.statusEl.appendChild(list);
+    }
+    
+    if (isFatal) {
+      const retryBtn = document.createElement('button');
+      retryBtn.type = 'button';
+      retryBtn.className = 'btn btn-secondary';
+      retryBtn.textContent = t('work.tryAgain', {}, 'Try again');
+      retryBtn.addEventListener('click', () => {
+        if (this.onRetry) {
+          this.onRetry();
+        } else {
+          this.load();
+        }
+      }, { signal: this.lifecycle.signal });
+      this.statusEl.appendChild(retryBtn);
+    }
+    
+    this.grid.parentElement.insertBefore(this.statusEl, this.grid);
+  }
+  
+  clearStatus() {
+    this.statusEl?.remove();
+    this.statusEl = null;
+  }
+  
+  /**
+   * Remove the rendered cards and any status notice
+   */
+  destroy() {
+    this.lifecycle.destroy();
+    this.clearStatus();
+    this.grid?.querySelectorAll('.project-card').forEach(card => card.remove());
+  }
+}
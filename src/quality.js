@@ -0,0 +1,301 @@
+// ===================================
+// ADAPTIVE QUALITY
+// ===================================
+
+import { Lifecycle } from './utils.js';
+import { t } from './i18n.js';
+
+const QUALITY_STORAGE_KEY = 'portfolio-quality';
+
+/**
+ * What each tier allows. `particles` scales how many particles
+ * ParticleSystem creates (1 = all); the flags switch parallax and the
+ * custom cursor. Components get these through setQuality(settings).
+ */
+export const QUALITY_TIERS = {
+  high: { label: 'High', particles: 1, scrollParallax: true, mouseParallax: true, customCursor: true },
+  medium: { label: 'Balanced', particles: 0.5, scrollParallax: true, mouseParallax: true, customCursor: false },
+  low: { label: 'Low', particles: 0.2, scrollParallax: false, mouseParallax: false, customCursor: false }
+};
+
+// Lowest first, so "step down" is index - 1
+const QUALITY_ORDER = ['low', 'medium', 'high'];
+
+/**
+ * frameBudget: frames slower than this (ms) count as slow (under 30fps).
+ * A sampleWindow (ms) with more than slowShare slow frames is a slow
+ * window; downgradeAfter slow windows in a row drop a tier, upgradeAfter
+ * smooth ones try the next tier up again. lowBattery: level (0-1) below
+ * which an unplugged device is treated as in battery saver.
+ */
+export const QUALITY_DEFAULTS = {
+  frameBudget: 1000 / 30,
+  sampleWindow: 2000,
+  slowShare: 0.25,
+  downgradeAfter: 2,
+  upgradeAfter: 10,
+  lowBattery: 0.2
+};
+
+function lowerTier(a, b) {
+  return QUALITY_ORDER[Math.min(QUALITY_ORDER.indexOf(a), QUALITY_ORDER.indexOf(b))];
+}
+
+export class QualityManager {
+  /**
+   * @param {Object} options - Overrides for QUALITY_DEFAULTS, plus { events }
+   *   EventBus for quality:change
+   */
+  constructor(options = {}) {
+    const { events = null, ...settings } = options;
+    
+    this.lifecycle = new Lifecycle();
+    this.events = events;
+    this.options = { ...QUALITY_DEFAULTS, ...settings };
+    this.listeners = new Set();
+    this.picker = document.getElementById('quality-select');
+    this.pinned = this.readPin();
+    // Three independent limits; the automatic tier is the lowest of them
+    this.hardwareTier = this.detectHardwareTier();
+    this.batterySaver = false;
+    this.loadTier = 'high';
+    this.tier = this.pinned || this.getAutoTier();
+    this.slowWindows = 0;
+    this.smoothWindows = 0;
+    this.frameId = null;
+    this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+    
+    this.init();
+  }
+  
+  init() {
+    document.documentElement.dataset.quality = this.tier;
+    
+    this.setupPicker();
+    this.watchBattery();
+    this.watchFrames();
+  }
+  
+  readPin() {
+    try {
+      const saved = localStorage.getItem(QUALITY_STORAGE_KEY);
+      return Object.hasOwn(QUALITY_TIERS, saved) ? saved : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Starting point from the device itself; navigator.deviceMemory is
+   * Chromium-only and both values are rounded down by the browser
+   */
+  detectHardwareTier() {
+    const cores = navigator.hardwareConcurrency || 4;
+    const memory = navigator.deviceMemory || 4;
+    
+    if (cores <= 2 || memory <= 2) return 'low';
+    if (cores <= 4 || memory < 4) return 'medium';
+    return 'high';
+  }
+  
+  getAutoTier() {
+    return lowerTier(lowerTier(this.hardwareTier, this.loadTier), this.batterySaver ? 'low' : 'high');
+  }
+  
+  /**
+   * @returns {Object} The current tier's settings plus { tier, pinned }
+   */
+  getSettings() {
+    const { label, ...settings } = QUALITY_TIERS[this.tier];
+    return { tier: this.tier, pinned: !!this.pinned, ...settings };
+  }
+  
+  /**
+   * Fix the tier, overriding detection; "auto" (or null) goes back to adapting
+   * @param {string|null} tier - Key of QUALITY_TIERS, or "auto"
+   */
+  pin(tier) {
+    this.pinned = Object.hasOwn(QUALITY_TIERS, tier) ? tier : null;
+    
+    try {
+      if (this.pinned) {
+        localStorage.setItem(QUALITY_STORAGE_KEY, this.pinned);
+      } else {
+        localStorage.removeItem(QUALITY_STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn('Could not save quality setting:', error);
+    }
+    
+    // Adapting starts over from the top of what the device allows
+    this.loadTier = 'high';
+    this.slowWindows = 0;
+    this.smoothWindows = 0;
+    
+    this.update('pin');
+    this.syncFrames();
+  }
+  
+  /**
+   * @param {Function} listener - Called with (settings, previousTier) on every tier change
+   * @returns {Function} Unsubscribe
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+  
+  update(reason) {
+    const previous = this.tier;
+    this.tier = this.pinned || this.getAutoTier();
+    
+    this.renderPicker();
+    if (this.tier === previous) return;
+    
+    const next = this.tier;
+    document.documentElement.dataset.quality = next;
+    
+    const settings = this.getSettings();
+    this.listeners.forEach(listener => listener(settings, previous));
+    this.events?.emit('quality:change', { tier: next, previous, reason, pinned: !!this.pinned });
+  }
+  
+  watchBattery() {
+    // Chromium only; elsewhere the battery simply isn't a factor
+    navigator.getBattery?.().then(battery => {
+      if (this.lifecycle.destroyed) return;
+      
+      const check = () => {
+        this.batterySaver = !battery.charging && battery.level <= this.options.lowBattery;
+        this.update('battery');
+      };
+      
+      const { signal } = this.lifecycle;
+      battery.addEventListener('levelchange', check, { signal });
+      battery.addEventListener('chargingchange', check, { signal });
+      check();
+    }).catch(() => {
+      // Blocked by permissions policy
+    });
+  }
+  
+  watchFrames() {
+    const { signal } = this.lifecycle;
+    
+    document.addEventListener('visibilitychange', () => this.syncFrames(), { signal });
+    this.reducedMotion.addEventListener('change', () => this.syncFrames(), { signal });
+    this.syncFrames();
+  }
+  
+  /**
+   * Sample frames only while they can move the tier: pinned tiers don't
+   * adapt, hidden tabs are throttled and say nothing, and with reduced
+   * motion there's next to nothing animating to measure
+   */
+  syncFrames() {
+    const wanted = !this.pinned && document.visibilityState !== 'hidden' && !this.reducedMotion.matches;
+    
+    if (wanted && this.frameId === null) {
+      this.startFrames();
+    } else if (!wanted && this.frameId !== null) {
+      this.lifecycle.cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+  
+  startFrames() {
+    let last = null;
+    let frames = 0;
+    let slowFrames = 0;
+    let windowStart = null;
+    
+    const measure = (now) => {
+      this.frameId = this.lifecycle.requestAnimationFrame(measure);
+      
+      if (last !== null) {
+        const frameTime = now - last;
+        
+        // Longer gaps are pauses (debugger, tab switch), not slow frames
+        if (frameTime < 1000) {
+          frames++;
+          if (frameTime > this.options.frameBudget) slowFrames++;
+        }
+      }
+      
+      last = now;
+      windowStart ??= now;
+      
+      if (now - windowStart >= this.options.sampleWindow) {
+        this.judgeWindow(frames ? slowFrames / frames : 0);
+        frames = 0;
+        slowFrames = 0;
+        windowStart = now;
+      }
+    };
+    
+    this.frameId = this.lifecycle.requestAnimationFrame(measure);
+  }
+  
+  /**
+   * Step the load tier down after sustained slow frames, and back up
+   * (more cautiously) after sustained smooth ones
+   * @param {number} slowShare - Share of slow frames in the last window
+   */
+  judgeWindow(slowShare) {
+    const index = QUALITY_ORDER.indexOf(this.tier);
+    
+    if (slowShare > this.options.slowShare) {
+      this.smoothWindows = 0;
+      this.slowWindows++;
+      
+      if (this.slowWindows >= this.options.downgradeAfter && index > 0) {
+        this.slowWindows = 0;
+        this.loadTier = QUALITY_ORDER[index - 1];
+        this.update('frames');
+      }
+    } else {
+      this.slowWindows = 0;
+      this.smoothWindows++;
+      
+      if (this.smoothWindows >= this.options.upgradeAfter && this.loadTier !== 'high') {
+        this.smoothWindows = 0;
+        this.loadTier = QUALITY_ORDER[QUALITY_ORDER.indexOf(this.loadTier) + 1];
+        this.update('frames');
+      }
+    }
+  }
+  
+  setupPicker() {
+    if (!this.picker) return;
+    
+    this.renderPicker();
+    this.picker.closest('.quality-picker')?.removeAttribute('hidden');
+    this.picker.addEventListener('change', () => this.pin(this.picker.value), { signal: this.lifecycle.signal });
+  }
+  
+  /**
+   * List "Auto (current tier)" and the tiers; also called on locale change
+   */
+  renderPicker() {
+    if (!this.picker) return;
+    
+    const label = (name) => t(`quality.${name}`, {}, QUALITY_TIERS[name].label);
+    const autoTier = this.pinned ? this.getAutoTier() : this.tier;
+    
+    this.picker.replaceChildren(
+      new Option(t('quality.auto', { tier: label(autoTier) }, 'Auto ({tier})'), 'auto'),
+      ...Object.keys(QUALITY_TIERS).map(name => new Option(label(name), name))
+    );
+    this.picker.value = this.pinned || 'auto';
+  }
+  
+  /**
+   * Stop adapting and hide the picker; the saved pin is kept
+   */
+  destroy() {
+    this.lifecycle.destroy();
+    this.listeners.clear();
+    this.picker?.closest('.quality-picker')?.setAttribute('hidden', '');
+    delete document.documentElement.dataset.quality;
+  }
+}
@@ -0,0 +1,110 @@
+// ===================================
+// HASH ROUTER
+// ===================================
+
+import { Lifecycle } from './utils.js';
+
+/**
+ * Minimal hash router. Routes are matched against location.hash and
+ * every navigation goes through the History API so back/forward work.
+ */
+export class Router {
+  constructor() {
+    this.lifecycle = new Lifecycle();
+    this.routes = [];
+    this.activeRoute = null;
+    this.fallback = null;
+    this.started = false;
+  }
+  
+  /**
+   * Register a route
+   * @param {RegExp} pattern - Matched against location.hash; capture groups are passed to enter()
+   * @param {Object} handlers - { enter(...params), leave(), exit }. enter()
+   *   returns false for params it can't show (e.g. a stale id); `exit` is the
+   *   hash the route goes back to when closed, and where rejected params
+   *   are redirected
+   */
+  register(pattern, handlers) {
+    this.routes.push({ pattern, ...handlers });
+  }
+  
+  /**
+   * Handler for hashes that match no route (e.g. plain section links)
+   * @param {Function} handler - Receives the hash
+   */
+  setFallback(handler) {
+    this.fallback = handler;
+  }
+  
+  start() {
+    if (!this.started) {
+      window.addEventListener('popstate', () => this.resolve(), { signal: this.lifecycle.signal });
+      this.started = true;
+    }
+    
+    this.resolve();
+  }
+  
+  /**
+   * Push (or replace) a history entry and resolve it
+   * @param {string} hash - Target hash, e.g. "#/work/3" or "#about"
+   * @param {Object} options - { replace: boolean }
+   */
+  navigate(hash, { replace = false } = {}) {
+    if (hash !== window.location.hash) {
+      const method = replace ? 'replaceState' : 'pushState';
+      history[method](null, '', hash);
+    }
+    
+    this.resolve();
+  }
+  
+  resolve() {
+    const hash = window.location.hash;
+    let params = [];
+    
+    const route = this.routes.find(candidate => {
+      const match = hash.match(candidate.pattern);
+      if (match) params = match.slice(1);
+      return !!match;
+    });
+    
+    const previous = this.activeRoute;
+    const leaving = previous && previous !== route;
+    if (leaving) {
+      previous.leave?.();
+    }
+    
+    this.activeRoute = route || null;
+    
+    if (route) {
+      if (route.enter(...params) !== false) return;
+      
+      // Same route, stale params (#/work/1 -> #/work/999): what it showed
+      // is still up, so leave it before redirecting
+      if (previous === route) route.leave?.();
+      this.activeRoute = null;
+      if (route.exit) this.navigate(route.exit, { replace: true });
+      return;
+    }
+    
+    // Closing a route back to its own exit (the modal to #work) should not
+    // move the page; any other hash still scrolls once the route is left
+    if (this.fallback && !(leaving && hash === previous.exit)) {
+      this.fallback(hash);
+    }
+  }
+  
+  /**
+   * Stop listening for back/forward. Active routes are not left; the
+   * components that registered them clean up their own state.
+   */
+  destroy() {
+    this.lifecycle.destroy();
+    this.routes = [];
+    this.activeRoute = null;
+    this.fallback = null;
+    this.started = false;
+  }
+}
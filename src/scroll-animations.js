@@ -0,0 +1,130 @@
+// ===================================
+// SCROLL ANIMATIONS
+// ===================================
+
+import { CONFIG } from './config.js';
+import { Lifecycle } from './utils.js';
+
+export class ScrollAnimations {
+  /**
+   * @param {Object} options - { events } EventBus for section:visible
+   */
+  constructor(options = {}) {
+    this.lifecycle = new Lifecycle();
+    this.events = options.events || null;
+    this.observed = new Set();
+    this.observer = null;
+    this.animated = CONFIG.ENABLE_SCROLL_ANIMATIONS && !CONFIG.REDUCED_MOTION;
+    
+    // Without animations the observer is only needed to report sections
+    if (!this.animated && !this.events) return;
+    
+    this.init();
+  }
+  
+  init() {
+    this.setupIntersectionObserver();
+    this.observeSections();
+    
+    if (this.animated) {
+      this.observeElements();
+    }
+  }
+  
+  setupIntersectionObserver() {
+    const options = {
+      threshold: CONFIG.INTERSECTION_THRESHOLD,
+      rootMargin: '0px 0px -50px 0px'
+    };
+    
+    this.observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+        
+        // Sections stay observed so every visit is reported
+        if (entry.target.matches('section[id]')) {
+          this.events?.emit('section:visible', { id: entry.target.id });
+        } else {
+          this.animateElement(entry.target);
+          this.observer.unobserve(entry.target);
+        }
+      });
+    }, options);
+  }
+  
+  observeSections() {
+    if (!this.events) return;
+    
+    document.querySelectorAll('section[id]').forEach(section => this.observer.observe(section));
+  }
+  
+  observeElements() {
+    // Elements to animate on scroll
+    const elements = document.querySelectorAll(`
+      .about-card,
+      .timeline-item,
+      .project-card,
+      .skill-category,
+      .contact-info,
+      .contact-form
+    `);
+    
+    this.observe(elements);
+  }
+  
+  /**
+   * Start fade-in tracking for elements rendered after init
+   * @param {NodeList|Element[]} elements - Elements to observe
+   */
+  observe(elements) {
+    if (!this.observer || !this.animated) return;
+    
+    elements.forEach(element => {
+      element.classList.add('fade-in');
+      this.observer.observe(element);
+      this.observed.add(element);
+    });
+  }
+  
+  animateElement(element) {
+    element.classList.add('animate');
+    
+    // Special handling for timeline items
+    if (element.classList.contains('timeline-item')) {
+      element.classList.add('animate');
+    }
+    
+    // Special handling for skill bars
+    if (element.classList.contains('skill-category')) {
+      this.animateSkillBars(element);
+    }
+  }
+  
+  animateSkillBars(skillCategory) {
+    const skillItems = skillCategory.querySelectorAll('.skill-item');
+    
+    skillItems.forEach((item, index) => {
+      this.lifecycle.setTimeout(() => {
+        item.classList.add('animate');
+        const progressBar = item.querySelector('.skill-progress');
+        const width = progressBar.getAttribute('data-width');
+        
+        if (progressBar && width) {
+          progressBar.style.setProperty('--skill-width', width + '%');
+        }
+      }, index * 200);
+    });
+  }
+  
+  /**
+   * Stop observing and drop the fade-in classes so nothing is left hidden
+   */
+  destroy() {
+    this.lifecycle.destroy();
+    this.observer?.disconnect();
+    this.observer = null;
+    
+    this.observed.forEach(element => element.classList.remove('fade-in', 'animate'));
+    this.observed.clear();
+  }
+}
@@ -0,0 +1,212 @@
+// ===================================
+// SPAM PROTECTION
+// ===================================
+
+import { Lifecycle } from './utils.js';
+import { t } from './i18n.js';
+
+/**
+ * Client-side checks run before a message is handed to a backend.
+ * None of this stops a determined attacker (the code is public), but it
+ * filters out the drive-by bots that fill every field and post instantly.
+ */
+export const SPAM_DEFAULTS = {
+  honeypotField: 'website',
+  minSubmitTime: 3000,             // ms between the form appearing and sending
+  rateLimit: { max: 3, window: 10 * 60 * 1000 },
+  powDifficulty: 12,               // leading zero bits in the SHA-256 stamp
+  storageKey: 'portfolio-contact-sent'
+};
+
+export const SPAM_MESSAGES = {
+  honeypot: 'Your message looks like it was filled in automatically, so it wasn\'t sent. If you\'re a human, please reload the page and try again.',
+  tooFast: 'That was quick! Please take a moment to check your message before sending it.',
+  rateLimited: 'You\'ve sent a few messages recently. Please wait about {count} minute(s) before sending another.',
+  challenge: 'We couldn\'t verify that this message came from a real browser. Please try again.'
+};
+
+export class SpamRejection extends Error {
+  /**
+   * @param {string} reason - Key in SPAM_MESSAGES
+   * @param {string} message - Text shown to the visitor
+   */
+  constructor(reason, message) {
+    super(message);
+    this.name = 'SpamRejection';
+    this.reason = reason;
+  }
+}
+
+/**
+ * SHA-256 hex digest, or null where SubtleCrypto is unavailable
+ * (it is only exposed on HTTPS and localhost)
+ */
+export async function sha256Hex(text) {
+  if (!window.crypto?.subtle) return null;
+  
+  const buffer = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function hasLeadingZeroBits(hex, bits) {
+  const fullDigits = Math.floor(bits / 4);
+  if (!/^0*$/.test(hex.slice(0, fullDigits))) return false;
+  
+  const remaining = bits % 4;
+  return remaining === 0 || parseInt(hex[fullDigits], 16) < (16 >> remaining);
+}
+
+/**
+ * Hashcash-style proof of work: find a nonce so that
+ * sha256("<challenge>:<nonce>") starts with `difficulty` zero bits.
+ * @returns {Promise<string|null>} "<challenge>:<nonce>" stamp, or null if unsupported
+ */
+export async function solveProofOfWork(challenge, difficulty) {
+  for (let nonce = 0; ; nonce++) {
+    const hash = await sha256Hex(`${challenge}:${nonce}`);
+    if (hash === null) return null;
+    if (hasLeadingZeroBits(hash, difficulty)) return `${challenge}:${nonce}`;
+  }
+}
+
+/**
+ * Check a stamp from solveProofOfWork(). This is what a server would run;
+ * MockBackend uses it as the local stand-in.
+ * @param {string} stamp - "<challenge>:<nonce>"
+ * @param {number} difficulty - Required leading zero bits
+ * @param {number} maxAge - Reject stamps whose challenge is older than this (ms)
+ */
+export async function verifyProofOfWork(stamp, difficulty, maxAge = 60 * 60 * 1000) {
+  if (typeof stamp !== 'string') return false;
+  
+  const issuedAt = Number(stamp.split(':')[0]);
+  if (!issuedAt || Date.now() - issuedAt > maxAge) return false;
+  
+  const hash = await sha256Hex(stamp);
+  return hash !== null && hasLeadingZeroBits(hash, difficulty);
+}
+
+/**
+ * Honeypot, minimum time-to-submit, per-browser rate limit and proof of work.
+ * check() throws a SpamRejection with a visitor-friendly message.
+ */
+export class SpamGuard {
+  /**
+   * @param {HTMLFormElement} form - The protected form
+   * @param {Object} options - Overrides for SPAM_DEFAULTS
+   */
+  constructor(form, options = {}) {
+    this.lifecycle = new Lifecycle();
+    this.form = form;
+    this.options = {
+      ...SPAM_DEFAULTS,
+      ...options,
+      rateLimit: { ...SPAM_DEFAULTS.rateLimit, ...options.rateLimit }
+    };
+    this.startedAt = Date.now();
+    this.proof = null;
+    
+    // Solve the challenge in the background once the visitor starts typing
+    this.form.addEventListener('focusin', () => this.prepareChallenge(), { once: true, signal: this.lifecycle.signal });
+  }
+  
+  /**
+   * Start (or return) the proof-of-work for this submission
+   * @returns {Promise<string|null>}
+   */
+  prepareChallenge() {
+    if (!this.proof) {
+      const challenge = `${Date.now()}:${Math.random().toString(36).slice(2)}`;
+      this.proof = solveProofOfWork(challenge, this.options.powDifficulty).catch(error => {
+        console.warn('Proof of work failed:', error);
+        return null;
+      });
+    }
+    
+    return this.proof;
+  }
+  
+  /**
+   * Run every check in order
+   * @param {Object} fields - Form values about to be sent
+   * @returns {Promise<{ challenge: string|null }>} Metadata for the backend
+   */
+  async check(fields) {
+    if (fields[this.options.honeypotField]) {
+      throw this.reject('honeypot');
+    }
+    
+    if (Date.now() - this.startedAt < this.options.minSubmitTime) {
+      throw this.reject('tooFast');
+    }
+    
+    const waitMs = this.getRateLimitWait();
+    if (waitMs > 0) {
+      throw this.reject('rateLimited', { count: Math.ceil(waitMs / 60000) });
+    }
+    
+    const challenge = await this.prepareChallenge();
+    if (challenge === null) {
+      console.warn('SubtleCrypto unavailable; sending without proof of work');
+    } else if (!await verifyProofOfWork(challenge, this.options.powDifficulty)) {
+      this.proof = null;
+      throw this.reject('challenge');
+    }
+    
+    return { challenge };
+  }
+  
+  /**
+   * Strip guard-only fields before the values are sent anywhere
+   */
+  clean(fields) {
+    const { [this.options.honeypotField]: honeypot, ...rest } = fields;
+    return rest;
+  }
+  
+  reject(reason, vars = {}) {
+    return new SpamRejection(reason, t(`spam.${reason}`, vars, SPAM_MESSAGES[reason]));
+  }
+  
+  getHistory() {
+    try {
+      const history = JSON.parse(localStorage.getItem(this.options.storageKey)) || [];
+      const cutoff = Date.now() - this.options.rateLimit.window;
+      return history.filter(time => time > cutoff);
+    } catch (error) {
+      return [];
+    }
+  }
+  
+  /**
+   * @returns {number} ms until another message is allowed (0 if allowed now)
+   */
+  getRateLimitWait() {
+    const history = this.getHistory();
+    const { max, window: windowMs } = this.options.rateLimit;
+    
+    if (history.length < max) return 0;
+    return history[history.length - max] + windowMs - Date.now();
+  }
+  
+  /**
+   * Count a message against the rate limit and arm a fresh challenge/timer
+   */
+  recordSubmission() {
+    const history = [...this.getHistory(), Date.now()];
+    
+    try {
+      localStorage.setItem(this.options.storageKey, JSON.stringify(history));
+    } catch (error) {
+      console.warn('Could not record submission for rate limiting:', error);
+    }
+    
+    this.startedAt = Date.now();
+    this.proof = null;
+  }
+  
+  destroy() {
+    this.lifecycle.destroy();
+    this.proof = null;
+  }
+}
@@ -0,0 +1,236 @@
+// ===================================
+// THEME MANAGER
+// ===================================
+
+import { Lifecycle } from './utils.js';
+import { t } from './i18n.js';
+
+const THEME_STORAGE_KEY = 'portfolio-theme';
+const THEME_PALETTE_KEY = 'portfolio-theme-palette';
+
+/**
+ * Built-in themes. "light" is the :root palette in styles.css and "dark"
+ * the :root[data-theme="dark"] block; registered themes bring their own
+ * CSS-variable palette. The inline script in <head> mirrors resolveTheme()
+ * so the right theme is set before first paint.
+ */
+export const THEMES = {
+  light: { label: 'Light', icon: '☀️', colorScheme: 'light', metaColor: '#FFB86B', palette: {} },
+  dark: { label: 'Dark', icon: '🌙', colorScheme: 'dark', metaColor: '#1C1B29', palette: {} }
+};
+
+const THEME_SYSTEM_OPTION = { label: 'Match system', icon: '🖥️' };
+
+export class ThemeManager {
+  /**
+   * @param {Object} options - { events } EventBus for theme:change
+   */
+  constructor(options = {}) {
+    this.lifecycle = new Lifecycle();
+    this.events = options.events || null;
+    this.themes = { ...THEMES };
+    this.systemQuery = window.matchMedia('(prefers-color-scheme: dark)');
+    this.switcher = document.querySelector('.theme-switcher');
+    this.preference = this.readPreference();
+    this.currentTheme = null;
+    // Variables the <head> script may already have set from the cache
+    this.appliedVars = Object.keys(this.readCachedPalette()?.vars || {});
+    this.init();
+  }
+  
+  init() {
+    this.applyTheme(this.preference, { persist: false });
+    this.setupSystemTracking();
+    this.setupSwitcher();
+  }
+  
+  /**
+   * @returns {string} 'light', 'dark', 'system' or a registered theme name
+   */
+  readPreference() {
+    try {
+      const saved = localStorage.getItem(THEME_STORAGE_KEY);
+      // Earlier versions stored "default" for the light theme
+      if (saved === 'default') return 'light';
+      return saved || 'system';
+    } catch (error) {
+      return 'system';
+    }
+  }
+  
+  readCachedPalette() {
+    try {
+      return JSON.parse(localStorage.getItem(THEME_PALETTE_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Turn a preference into the theme that is actually shown
+   */
+  resolveTheme(preference) {
+    if (preference === 'system') {
+      return this.systemQuery.matches ? 'dark' : 'light';
+    }
+    
+    return this.themes[preference] ? preference : 'light';
+  }
+  
+  /**
+   * Add a named theme
+   * @param {string} name - Used in data-theme and the saved preference
+   * @param {Object} theme - { label, icon, colorScheme, metaColor,
+   *   palette: { '--primary': '#...', ... } }
+   */
+  registerTheme(name, { label = name, icon = '🎨', colorScheme = 'light', metaColor, palette = {} } = {}) {
+    this.themes[name] = { label, icon, colorScheme, metaColor, palette };
+    this.renderSwitcher();
+    
+    // A saved custom theme can only be shown once it has been registered
+    if (this.preference === name) {
+      this.applyTheme(name, { persist: false });
+    }
+  }
+  
+  /**
+   * @param {string} preference - 'light', 'dark', 'system' or a registered name
+   * @param {Object} options - { persist: false } to skip saving the choice
+   */
+  applyTheme(preference, { persist = true } = {}) {
+    const root = document.documentElement;
+    const themeName = this.resolveTheme(preference);
+    const theme = this.themes[themeName];
+    
+    // Swap palettes: drop the previous theme's variables first
+    this.appliedVars.forEach(name => root.style.removeProperty(name));
+    Object.entries(theme.palette).forEach(([name, value]) => root.style.setProperty(name, value));
+    this.appliedVars = Object.keys(theme.palette);
+    
+    root.setAttribute('data-theme', themeName);
+    root.style.colorScheme = theme.colorScheme;
+    
+    const metaThemeColor = document.querySelector('meta[name="theme-color"]');
+    if (metaThemeColor && theme.metaColor) {
+      metaThemeColor.setAttribute('content', theme.metaColor);
+    }
+    
+    const previous = { theme: this.currentTheme, preference: this.preference };
+    this.preference = preference;
+    this.currentTheme = themeName;
+    
+    try {
+      if (persist) {
+        localStorage.setItem(THEME_STORAGE_KEY, preference);
+      }
+      
+      if (this.appliedVars.length) {
+        localStorage.setItem(THEME_PALETTE_KEY, JSON.stringify({ theme: themeName, vars: theme.palette }));
+      } else {
+        localStorage.removeItem(THEME_PALETTE_KEY);
+      }
+    } catch (error) {
+      console.warn('Could not save theme preference:', error);
+    }
+    
+    this.updateSwitcher();
+    
+    if (previous.theme !== themeName || previous.preference !== preference) {
+      this.events?.emit('theme:change', { theme: themeName, preference, previous: previous.theme });
+    }
+  }
+  
+  toggleTheme() {
+    const newTheme = this.currentTheme === 'dark' ? 'light' : 'dark';
+    this.applyTheme(newTheme);
+  }
+  
+  setupSystemTracking() {
+    this.systemQuery.addEventListener?.('change', () => {
+      if (this.preference === 'system') {
+        this.applyTheme('system', { persist: false });
+      }
+    }, { signal: this.lifecycle.signal });
+  }
+  
+  setupSwitcher() {
+    if (!this.switcher) return;
+    
+    this.renderSwitcher();
+    this.switcher.hidden = false;
+    
+    const { signal } = this.lifecycle;
+    
+    this.switcher.addEventListener('click', (e) => {
+      const option = e.target.closest('[data-theme-option]');
+      if (option) {
+        this.applyTheme(option.getAttribute('data-theme-option'));
+      }
+    }, { signal });
+    
+    // Radio group keyboard pattern: arrows move and select
+    this.switcher.addEventListener('keydown', (e) => {
+      const keys = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+      if (!(e.key in keys)) return;
+      
+      e.preventDefault();
+      const options = Array.from(this.switcher.querySelectorAll('[data-theme-option]'));
+      const index = options.indexOf(document.activeElement);
+      const next = options[(index + keys[e.key] + options.length) % options.length];
+      
+      this.applyTheme(next.getAttribute('data-theme-option'));
+      next.focus();
+    }, { signal });
+  }
+  
+  renderSwitcher() {
+    if (!this.switcher) return;
+    
+    const options = [
+      ['light', this.themes.light],
+      ['dark', this.themes.dark],
+      ['system', THEME_SYSTEM_OPTION],
+      ...Object.entries(this.themes).filter(([name]) => !THEMES[name])
+    ];
+    
+    this.switcher.innerHTML = '';
+    options.forEach(([name, { label, icon }]) => {
+      label = t(`theme.${name}`, {}, label);
+      
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'theme-option';
+      button.setAttribute('role', 'radio');
+      button.setAttribute('data-theme-option', name);
+      button.setAttribute('aria-label', label);
+      button.title = label;
+      button.textContent = icon;
+      this.switcher.appendChild(button);
+    });
+    
+    this.updateSwitcher();
+  }
+  
+  updateSwitcher() {
+    if (!this.switcher) return;
+    
+    this.switcher.querySelectorAll('[data-theme-option]').forEach(button => {
+      const checked = button.getAttribute('data-theme-option') === this.preference;
+      button.setAttribute('aria-checked', String(checked));
+      button.tabIndex = checked ? 0 : -1;
+    });
+  }
+  
+  /**
+   * Stop tracking the system setting and hide the switcher. The current
+   * theme stays applied, as the <head> script would apply it anyway.
+   */
+  destroy() {
+    this.lifecycle.destroy();
+    
+    if (this.switcher) {
+      this.switcher.innerHTML = '';
+      this.switcher.hidden = true;
+    }
+  }
+}
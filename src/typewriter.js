@@ -0,0 +1,119 @@
+// ===================================
+// TYPEWRITER EFFECT
+// ===================================
+
+import { Lifecycle } from './utils.js';
+
+export class TypewriterEffect {
+  /**
+   * @param {Object} options - { events } EventBus; lines still being typed
+   *   start over in the new language on locale:change
+   */
+  constructor(options = {}) {
+    const { events = null } = options;
+    
+    this.lifecycle = new Lifecycle();
+    this.events = events;
+    // element -> { text, typed, timer }, so destroy() can put the full text back
+    this.typedLines = new Map();
+    this.init();
+  }
+  
+  init() {
+    this.setupHeroTypewriter();
+    
+    if (this.events) {
+      this.lifecycle.onDestroy(this.events.on('locale:change', () => this.retype()));
+    }
+  }
+  
+  setupHeroTypewriter() {
+    const heroTitle = document.querySelector('.hero-title');
+    if (!heroTitle) return;
+    
+    // Preserve existing markup; type only plain-text lines.
+    const lineEls = heroTitle.querySelectorAll('.title-line');
+    lineEls.forEach((lineEl, index) => {
+      const hasNestedMarkup = lineEl.children.length > 0;
+      
+      if (hasNestedMarkup || !lineEl.textContent.trim()) {
+        // If the line contains nested elements (e.g., <span class="highlight">),
+        // do not type to avoid printing raw HTML. Just reveal it after a delay.
+        lineEl.style.visibility = 'hidden';
+        this.lifecycle.setTimeout(() => {
+          lineEl.style.visibility = '';
+        }, index * 800);
+        return;
+      }
+      
+      // Type text content safely (read late so a translated line is used)
+      this.lifecycle.setTimeout(() => {
+        const original = lineEl.textContent;
+        lineEl.textContent = '';
+        this.typeText(lineEl, original, 50);
+      }, index * 800);
+    });
+  }
+  
+  typeText(element, text, speed) {
+    const line = { text, typed: '', timer: null };
+    this.typedLines.set(element, line);
+    
+    // One timeout per character, so retype() can cancel the next one
+    const typeNext = () => {
+      if (line.typed.length < text.length) {
+        line.typed = text.slice(0, line.typed.length + 1);
+        element.textContent = line.typed;
+        line.timer = this.lifecycle.setTimeout(typeNext, speed);
+      } else {
+        line.timer = null;
+        
+        // Add cursor blink effect
+        const cursor = document.createElement('span');
+        cursor.className = 'cursor';
+        cursor.textContent = '|';
+        element.append(cursor);
+        
+        // Remove cursor after 2 seconds
+        this.lifecycle.setTimeout(() => {
+          cursor.remove();
+          if (this.typedLines.get(element) === line) this.typedLines.delete(element);
+        }, 2000);
+      }
+    };
+    
+    line.timer = this.lifecycle.setTimeout(typeNext, speed);
+  }
+  
+  /**
+   * translatePage() has just put the whole new text into lines that were
+   * mid-way, so type those again from the start
+   */
+  retype() {
+    this.typedLines.forEach((line, element) => {
+      // Finished lines keep the translated text (which replaced the cursor)
+      if (!line.timer) {
+        if (!element.querySelector('.cursor')) line.text = element.textContent;
+        return;
+      }
+      
+      this.lifecycle.clearTimeout(line.timer);
+      
+      // A line with no translation still holds what was typed so far
+      const text = element.textContent === line.typed ? line.text : element.textContent;
+      element.textContent = '';
+      this.typeText(element, text, 50);
+    });
+  }
+  
+  /**
+   * Stop typing and show every line in full
+   */
+  destroy() {
+    this.lifecycle.destroy();
+    
+    this.typedLines.forEach(({ text }, element) => element.textContent = text);
+    this.typedLines.clear();
+    document.querySelectorAll('.hero-title .title-line').forEach(line => line.style.visibility = '');
+  }
+}
@@ -0,0 +1,202 @@
+// ===================================
+// UTILITY FUNCTIONS
+// ===================================
+
+/**
+ * Throttle function to limit function calls
+ * @param {Function} func - Function to throttle
+ * @param {number} limit - Time limit in milliseconds
+ */
+export function throttle(func, limit) {
+  let inThrottle;
+  return function() {
+    const args = arguments;
+    const context = this;
+    if (!inThrottle) {
+      func.apply(context, args);
+      inThrottle = true;
+      setTimeout(() => inThrottle = false, limit);
+    }
+  };
+}
+
+/**
+ * Debounce function to delay function calls
+ * @param {Function} func - Function to debounce
+ * @param {number} wait - Wait time in milliseconds
+ */
+export function debounce(func, wait) {
+  let timeout;
+  const executedFunction = function(...args) {
+    const later = () => {
+      clearTimeout(timeout);
+      func(...args);
+    };
+    clearTimeout(timeout);
+    timeout = setTimeout(later, wait);
+  };
+  executedFunction.cancel = () => clearTimeout(timeout);
+  return executedFunction;
+}
+
+/**
+ * Check if element is in viewport
+ * @param {Element} element - Element to check
+ * @returns {boolean}
+ */
+export function isInViewport(element) {
+  const rect = element.getBoundingClientRect();
+  return (
+    rect.top >= 0 &&
+    rect.left >= 0 &&
+    rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
+    rect.right <= (window.innerWidth || document.documentElement.clientWidth)
+  );
+}
+
+/**
+ * Elements that can receive keyboard focus
+ */
+export const FOCUSABLE_SELECTOR = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Keep Tab / Shift+Tab cycling inside a container (modals, dialogs)
+ * @param {Element} container - Element to trap focus in
+ * @param {KeyboardEvent} e - The Tab keydown event
+ */
+export function trapFocus(container, e) {
+  const focusableElements = Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+    .filter(element => !element.disabled && !element.closest('[hidden]'));
+  
+  if (!focusableElements.length) return;
+  
+  const firstElement = focusableElements[0];
+  const lastElement = focusableElements[focusableElements.length - 1];
+  
+  if (e.shiftKey && document.activeElement === firstElement) {
+    e.preventDefault();
+    lastElement.focus();
+  } else if (!e.shiftKey && document.activeElement === lastElement) {
+    e.preventDefault();
+    firstElement.focus();
+  }
+}
+
+/**
+ * Smooth scroll to element
+ * @param {string} targetId - ID of target element
+ */
+export function smoothScrollTo(targetId) {
+  const target = document.getElementById(targetId);
+  if (target) {
+    const offsetTop = target.offsetTop - 80; // Account for fixed navbar
+    window.scrollTo({
+      top: offsetTop,
+      behavior: 'smooth'
+    });
+  }
+}
+
+/**
+ * POST a JSON payload in a way that survives the page being closed:
+ * navigator.sendBeacon, or fetch with keepalive when the beacon is refused
+ * (too large, or unsupported). Best effort; failures are ignored.
+ * @param {string} url - Collector endpoint
+ * @param {Object} data - JSON-serializable payload
+ */
+export function sendBeacon(url, data) {
+  const payload = JSON.stringify(data);
+  
+  // text/plain keeps the beacon a "simple" request, so no CORS preflight
+  if (navigator.sendBeacon?.(url, new Blob([payload], { type: 'text/plain' }))) return;
+  
+  fetch(url, {
+    method: 'POST',
+    body: payload,
+    headers: { 'Content-Type': 'text/plain' },
+    keepalive: true
+  }).catch(() => {
+    // Reporting is best effort
+  });
+}
+
+/**
+ * Tracks everything a component sets up so destroy() can undo it.
+ * Pass lifecycle.signal to addEventListener and use its timer methods
+ * instead of the globals; onDestroy() registers any other cleanup.
+ */
+export class Lifecycle {
+  constructor() {
+    this.controller = new AbortController();
+    this.timeouts = new Set();
+    this.intervals = new Set();
+    this.frames = new Set();
+    this.cleanups = [];
+  }
+  
+  get signal() {
+    return this.controller.signal;
+  }
+  
+  get destroyed() {
+    return this.controller.signal.aborted;
+  }
+  
+  setTimeout(callback, delay) {
+    const id = setTimeout(() => {
+      this.timeouts.delete(id);
+      callback();
+    }, delay);
+    this.timeouts.add(id);
+    return id;
+  }
+  
+  clearTimeout(id) {
+    clearTimeout(id);
+    this.timeouts.delete(id);
+  }
+  
+  setInterval(callback, delay) {
+    const id = setInterval(callback, delay);
+    this.intervals.add(id);
+    return id;
+  }
+  
+  clearInterval(id) {
+    clearInterval(id);
+    this.intervals.delete(id);
+  }
+  
+  requestAnimationFrame(callback) {
+    const id = requestAnimationFrame((time) => {
+      this.frames.delete(id);
+      callback(time);
+    });
+    this.frames.add(id);
+    return id;
+  }
+  
+  cancelAnimationFrame(id) {
+    cancelAnimationFrame(id);
+    this.frames.delete(id);
+  }
+  
+  onDestroy(cleanup) {
+    this.cleanups.push(cleanup);
+  }
+  
+  destroy() {
+    if (this.destroyed) return;
+    
+    this.controller.abort();
+    this.timeouts.forEach(id => clearTimeout(id));
+    this.intervals.forEach(id => clearInterval(id));
+    this.frames.forEach(id => cancelAnimationFrame(id));
+    this.timeouts.clear();
+    this.intervals.clear();
+    this.frames.clear();
+    
+    // Undo in reverse order of setup
+    this.cleanups.splice(0).reverse().forEach(cleanup => cleanup());
+  }
+}
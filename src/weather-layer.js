@@ -0,0 +1,151 @@
+// ===================================
+// WEATHER LAYER
+// ===================================
+
+// Speeds are per 60fps frame, as in ParticleEngine
+const FRAME_MS = 1000 / 60;
+
+/**
+ * Per kind: share of the pool in use, and how it moves. Drops are recycled
+ * at the top (or bottom, for rising motes) instead of dying, so a running
+ * weather keeps a steady count.
+ */
+const WEATHER_KINDS = {
+  rainy: { share: 1, speed: [9, 14], drift: 2, size: [10, 18] },
+  snowy: { share: 0.6, speed: [0.6, 1.6], drift: 0.6, size: [1.5, 4] },
+  sunny: { share: 0.15, speed: [-0.4, -0.1], drift: 0.3, size: [1, 3] }
+};
+
+function between([min, max]) {
+  return min + Math.random() * (max - min);
+}
+
+/**
+ * Ambient rain, snow or sunshine drawn on the particle canvas. Like
+ * ParticleEngine it has no DOM access, so particle-worker.js runs it too.
+ */
+export class WeatherLayer {
+  /**
+   * @param {Object} options - { capacity } drops at full density
+   */
+  constructor({ capacity = 200 } = {}) {
+    this.capacity = capacity;
+    this.kind = null;
+    this.density = 1;
+    this.count = 0;
+    this.width = 0;
+    this.height = 0;
+    this.drops = Array.from({ length: capacity }, () => ({ x: 0, y: 0, vx: 0, vy: 0, size: 0, phase: 0 }));
+  }
+  
+  get active() {
+    return this.kind !== null;
+  }
+  
+  /**
+   * @param {string|null} kind - "rainy", "snowy", "sunny" or null for clear skies
+   */
+  setWeather(kind) {
+    this.kind = Object.hasOwn(WEATHER_KINDS, kind) ? kind : null;
+    this.scatter();
+  }
+  
+  /**
+   * @param {number} density - Share of the pool to use (0-1), from the quality tier
+   */
+  setDensity(density) {
+    this.density = density;
+    this.scatter();
+  }
+  
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.scatter();
+  }
+  
+  // Spread drops over the whole screen so weather doesn't start as a wall at the top
+  scatter() {
+    if (!this.kind) {
+      this.count = 0;
+      return;
+    }
+    
+    this.count = Math.round(this.capacity * this.density * WEATHER_KINDS[this.kind].share);
+    for (let i = 0; i < this.count; i++) {
+      this.recycle(this.drops[i], Math.random() * this.height);
+    }
+  }
+  
+  recycle(drop, y) {
+    const kind = WEATHER_KINDS[this.kind];
+    
+    drop.x = Math.random() * this.width;
+    drop.y = y;
+    drop.vy = between(kind.speed);
+    drop.vx = (Math.random() - 0.5) * kind.drift + (this.kind === 'rainy' ? -1 : 0);
+    drop.size = between(kind.size);
+    drop.phase = Math.random() * Math.PI * 2;
+  }
+  
+  /**
+   * @param {number} elapsed - ms since the last step
+   */
+  step(elapsed = FRAME_MS) {
+    const dt = Math.min(elapsed, FRAME_MS * 3) / FRAME_MS;
+    
+    for (let i = 0; i < this.count; i++) {
+      const drop = this.drops[i];
+      
+      drop.phase += 0.03 * dt;
+      drop.x += (drop.vx + (this.kind === 'rainy' ? 0 : Math.sin(drop.phase) * 0.5)) * dt;
+      drop.y += drop.vy * dt;
+      
+      if (drop.y > this.height + 20) {
+        this.recycle(drop, -20);
+      } else if (drop.y < -20) {
+        this.recycle(drop, this.height + 20);
+      }
+    }
+  }
+  
+  /**
+   * Draw on top of whatever is on the canvas (call after ParticleEngine#render).
+   * Each kind is a single path, so a frame is one stroke or fill.
+   */
+  render(ctx) {
+    if (!this.kind) return;
+    
+    if (this.kind === 'sunny') {
+      // Warm light from the top corner
+      const glow = ctx.createRadialGradient(this.width, 0, 0, this.width, 0, Math.max(this.width, this.height) * 0.8);
+      glow.addColorStop(0, 'rgba(255, 214, 102, 0.35)');
+      glow.addColorStop(1, 'rgba(255, 214, 102, 0)');
+      ctx.fillStyle = glow;
+      ctx.fillRect(0, 0, this.width, this.height);
+    }
+    
+    ctx.beginPath();
+    
+    for (let i = 0; i < this.count; i++) {
+      const drop = this.drops[i];
+      
+      if (this.kind === 'rainy') {
+        ctx.moveTo(drop.x, drop.y);
+        ctx.lineTo(drop.x + drop.vx * 1.5, drop.y + drop.size);
+      } else {
+        ctx.moveTo(drop.x + drop.size, drop.y);
+        ctx.arc(drop.x, drop.y, drop.size, 0, Math.PI * 2);
+      }
+    }
+    
+    if (this.kind === 'rainy') {
+      ctx.strokeStyle = 'rgba(122, 150, 200, 0.55)';
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+    } else {
+      ctx.fillStyle = this.kind === 'snowy' ? 'rgba(255, 255, 255, 0.85)' : 'rgba(255, 200, 90, 0.6)';
+      ctx.fill();
+    }
+  }
+}
@@ -0,0 +1,192 @@
+// ===================================
+// WEATHER & AMBIENT MOOD
+// ===================================
+
+import { CONFIG } from './config.js';
+import { Lifecycle } from './utils.js';
+import { t } from './i18n.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Moods for weather(). The palette is the :root[data-weather] blocks in
+ * styles.css; `accessory` is drawn on the hero mascot in its viewBox
+ * (300x300), and `reaction` is what it says about the change.
+ */
+export const WEATHER_TYPES = {
+  sunny: {
+    label: 'Sunny',
+    icon: '☀️',
+    reaction: '😎 "Sunglasses on!" - Mascot',
+    accessory: `
+      <rect x="120" y="101" width="28" height="17" rx="7" fill="#1E1E28"/>
+      <rect x="152" y="101" width="28" height="17" rx="7" fill="#1E1E28"/>
+      <path d="M148 108 L152 108" stroke="#1E1E28" stroke-width="3"/>
+    `
+  },
+  rainy: {
+    label: 'Rainy',
+    icon: '🌧️',
+    reaction: '☔ "Good thing I brought an umbrella!" - Mascot',
+    accessory: `
+      <path d="M88 62 Q150 -8 212 62 Q196 52 181 62 Q165 52 150 62 Q135 52 119 62 Q104 52 88 62 Z" fill="#7A5CFF" stroke="#1E1E28" stroke-width="3"/>
+      <path d="M150 20 L150 70" stroke="#1E1E28" stroke-width="3"/>
+    `
+  },
+  snowy: {
+    label: 'Snowy',
+    icon: '❄️',
+    reaction: '🥶 "Brrr! Where\'s my scarf?" - Mascot',
+    accessory: `
+      <path d="M108 160 Q150 182 192 160 L192 174 Q150 196 108 174 Z" fill="#E94F4F" stroke="#1E1E28" stroke-width="3"/>
+      <path d="M176 172 L182 212 L168 212 L164 176 Z" fill="#E94F4F" stroke="#1E1E28" stroke-width="3"/>
+    `
+  }
+};
+
+export class WeatherManager {
+  /**
+   * @param {Object} options - { particles } ParticleSystem to draw on,
+   *   { easterEggs } to register weather() and follow reset(),
+   *   { notifications } for the mascot's reaction, { events } EventBus
+   *   for weather:change
+   */
+  constructor(options = {}) {
+    const { particles = null, easterEggs = null, notifications = null, events = null } = options;
+    
+    this.lifecycle = new Lifecycle();
+    this.particles = particles;
+    this.easterEggs = easterEggs;
+    this.notifications = notifications;
+    this.events = events;
+    this.type = null;
+    this.accessory = null;
+    this.picker = document.getElementById('weather-select');
+    
+    this.init();
+  }
+  
+  init() {
+    this.setupCommand();
+    this.setupPicker();
+    
+    // Reduced motion switched off mid-visit: start the canvas effect after all
+    window.matchMedia('(prefers-reduced-motion: reduce)').addEventListener('change', (e) => {
+      if (!e.matches && this.type) this.particles?.setWeather(this.type);
+    }, { signal: this.lifecycle.signal });
+  }
+  
+  setupCommand() {
+    if (!this.easterEggs) return;
+    
+    const removeCommand = this.easterEggs.addCommand('weather', (type) => {
+      if (!this.set(type)) {
+        console.log(`Try weather(${Object.keys(WEATHER_TYPES).map(name => `"${name}"`).join('|')})`);
+      }
+    }, {
+      icon: '🌦️',
+      keywords: 'weather mood',
+      variants: [
+        ...Object.entries(WEATHER_TYPES).map(([name, { label, icon }]) => ({
+          args: [name],
+          icon,
+          label: () => `${t('weather.label', {}, 'Weather')}: ${t(`weather.${name}.label`, {}, label)}`
+        })),
+        { args: [], label: () => `${t('weather.label', {}, 'Weather')}: ${t('weather.clear', {}, 'Clear skies')}` }
+      ]
+    });
+    
+    this.lifecycle.onDestroy(removeCommand);
+    this.lifecycle.onDestroy(this.easterEggs.onReset(() => this.clear()));
+  }
+  
+  /**
+   * Change the mood: palette, mascot and (motion allowing) the canvas effect
+   * @param {string|null} type - Key of WEATHER_TYPES, or null/"clear" for none
+   * @returns {boolean} false for an unknown type
+   */
+  set(type) {
+    const next = type === 'clear' || type == null ? null : type;
+    if (next !== null && !Object.hasOwn(WEATHER_TYPES, next)) return false;
+    
+    const previous = this.type;
+    this.type = next;
+    
+    if (next) {
+      document.documentElement.dataset.weather = next;
+    } else {
+      delete document.documentElement.dataset.weather;
+    }
+    
+    // Palette and mascot still change under reduced motion; nothing falls
+    this.particles?.setWeather(next && !CONFIG.REDUCED_MOTION ? next : null);
+    this.dressMascot(next);
+    this.renderPicker();
+    
+    if (next !== previous) {
+      if (next) {
+        this.notifications?.info(t(`weather.${next}.reaction`, {}, WEATHER_TYPES[next].reaction), {
+          icon: '',
+          className: 'toast-secret',
+          duration: 3000
+        });
+      }
+      
+      this.events?.emit('weather:change', { type: next, previous });
+    }
+    
+    return true;
+  }
+  
+  clear() {
+    this.set(null);
+  }
+  
+  dressMascot(type) {
+    this.accessory?.remove();
+    this.accessory = null;
+    
+    const mascot = document.querySelector('.mascot-main');
+    if (!mascot || !type) return;
+    
+    this.accessory = document.createElementNS(SVG_NS, 'g');
+    this.accessory.setAttribute('class', 'mascot-weather');
+    this.accessory.innerHTML = WEATHER_TYPES[type].accessory;
+    mascot.appendChild(this.accessory);
+  }
+  
+  setupPicker() {
+    if (!this.picker) return;
+    
+    this.renderPicker();
+    this.picker.closest('.weather-picker')?.removeAttribute('hidden');
+    this.picker.addEventListener('change', () => this.set(this.picker.value || null), { signal: this.lifecycle.signal });
+  }
+  
+  /**
+   * List "Clear skies" and the moods; also called on locale change
+   */
+  renderPicker() {
+    if (!this.picker) return;
+    
+    this.picker.replaceChildren(
+      new Option(t('weather.clear', {}, 'Clear skies'), ''),
+      ...Object.entries(WEATHER_TYPES).map(([name, { label, icon }]) => (
+        new Option(`${icon} ${t(`weather.${name}.label`, {}, label)}`, name)
+      ))
+    );
+    this.picker.value = this.type || '';
+  }
+  
+  /**
+   * Clear the weather, hide the picker and drop the console command
+   */
+  destroy() {
+    this.lifecycle.destroy();
+    this.particles?.setWeather(null);
+    this.accessory?.remove();
+    this.accessory = null;
+    delete document.documentElement.dataset.weather;
+    this.picker?.closest('.weather-picker')?.setAttribute('hidden', '');
+  }
+}
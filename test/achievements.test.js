@@ -0,0 +1,112 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, createNotifications, createEvents } from './helpers/dom.js';
+import { Achievements, ACHIEVEMENTS } from '../src/achievements.js';
+
+const STORAGE_KEY = 'portfolio-achievements';
+
+describe('Achievements', () => {
+  let window;
+  let events;
+  let notifications;
+  let achievements;
+  
+  const create = (options = {}) => {
+    achievements = new Achievements({ events, notifications, ...options });
+    return achievements;
+  };
+  const emitted = (eventType) => events.emitted.filter(({ type }) => type === eventType).map(({ detail }) => detail);
+  const saved = () => JSON.parse(localStorage.getItem(STORAGE_KEY));
+  const count = () => document.querySelector('.trophy-count').textContent;
+  
+  beforeEach(() => {
+    window = loadPage();
+    localStorage.clear();
+    events = createEvents();
+    notifications = createNotifications();
+  });
+  
+  afterEach(() => {
+    achievements?.destroy();
+    achievements = null;
+    window.close();
+  });
+  
+  it('unlocks a badge once its event and condition match', () => {
+    create();
+    events.emit('easter-egg:unlocked', { name: 'mascot', clicks: 4 });
+    assert.equal(achievements.isUnlocked('mascot-poke'), false);
+    
+    events.emit('easter-egg:unlocked', { name: 'mascot', clicks: 5 });
+    assert.equal(achievements.isUnlocked('mascot-poke'), true);
+    assert.equal(achievements.isUnlocked('mascot-lullaby'), false);
+    assert.deepEqual(emitted('achievement:unlocked'), [{ id: 'mascot-poke', unlocked: 1, total: ACHIEVEMENTS.length }]);
+    assert.equal(count(), `1/${ACHIEVEMENTS.length}`);
+    assert.equal(notifications.shown.length, 1);
+  });
+  
+  it('announces each badge only once', () => {
+    create();
+    events.emit('weather:change', { type: 'rainy' });
+    events.emit('weather:change', { type: 'snowy' });
+    achievements.unlock('weather');
+    
+    assert.equal(emitted('achievement:unlocked').length, 1);
+    assert.equal(notifications.shown.length, 1);
+  });
+  
+  it('keeps unlocks across page loads and forgets them on clear()', () => {
+    create();
+    achievements.unlock('konami');
+    assert.equal(typeof saved().konami, 'number');
+    
+    achievements.destroy();
+    create();
+    assert.equal(achievements.isUnlocked('konami'), true);
+    assert.equal(count(), `1/${ACHIEVEMENTS.length}`);
+    
+    achievements.clear();
+    assert.deepEqual(saved(), {});
+    assert.equal(achievements.isUnlocked('konami'), false);
+  });
+  
+  it('does not count inherited keys as unlocked', () => {
+    create({ achievements: [{ id: 'toString', title: 'Inherited' }, { id: 'constructor', title: 'Inherited' }] });
+    
+    assert.equal(achievements.isUnlocked('toString'), false);
+    assert.equal(achievements.isUnlocked('constructor'), false);
+    assert.equal(achievements.getProgress().unlocked, 0);
+    
+    achievements.unlock('toString');
+    assert.equal(achievements.isUnlocked('toString'), true);
+    assert.deepEqual(emitted('achievement:unlocked').map(({ id }) => id), ['toString']);
+  });
+  
+  it('ignores saved data that is not a map of unlock times', () => {
+    [
+      ['konami', 'dance'],
+      { konami: true, dance: '2024-01-01', party: null, weather: {} },
+      'konami'
+    ].forEach(value => {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(value));
+      create();
+      
+      assert.equal(achievements.getProgress().unlocked, 0, JSON.stringify(value));
+      achievements.destroy();
+    });
+    
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ konami: 1700000000000, dance: 'yes' }));
+    create();
+    assert.deepEqual(achievements.unlocked, { konami: 1700000000000 });
+  });
+  
+  it('celebrates when the last badge is found', () => {
+    create();
+    
+    ACHIEVEMENTS.forEach(({ id }) => achievements.unlock(id));
+    
+    assert.deepEqual(emitted('achievements:complete'), [{ unlocked: ACHIEVEMENTS.length, total: ACHIEVEMENTS.length }]);
+    assert.equal(notifications.shown.at(-1).type, 'success');
+    assert.ok(document.getElementById('trophyDrawer').classList.contains('trophy-drawer-complete'));
+  });
+});
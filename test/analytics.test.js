@@ -0,0 +1,151 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, createEvents } from './helpers/dom.js';
+import { Analytics } from '../src/analytics.js';
+import { ConsentManager } from '../src/consent.js';
+
+describe('Analytics', () => {
+  let window;
+  let events;
+  let consent;
+  let analytics;
+  let sent;
+  
+  const create = (options = {}) => {
+    analytics = new Analytics({ events, consent, ...options });
+    return analytics;
+  };
+  // Events from every beacon so far, without the per-event time and path
+  const recorded = () => sent.flatMap(batch => batch.events).map(({ time, path, ...event }) => event);
+  const types = () => recorded().map(({ type }) => type);
+  const clickLink = (href) => {
+    const link = document.createElement('a');
+    link.href = href;
+    document.body.append(link);
+    link.click();
+  };
+  
+  beforeEach(() => {
+    window = loadPage();
+    localStorage.clear();
+    events = createEvents();
+    consent = new ConsentManager();
+    sent = [];
+    // jsdom has no sendBeacon, so sendBeacon() falls back to fetch
+    mock.method(globalThis, 'fetch', async (url, { body }) => {
+      sent.push({ url, ...JSON.parse(body) });
+      return { ok: true };
+    });
+    // Keep jsdom from trying to follow outbound links
+    document.addEventListener('click', e => e.preventDefault());
+  });
+  
+  afterEach(() => {
+    analytics?.destroy();
+    analytics = null;
+    consent.destroy();
+    mock.restoreAll();
+    window.close();
+  });
+  
+  it('records nothing until analytics consent is given', () => {
+    create();
+    events.emit('section:visible', { id: 'about' });
+    analytics.flush();
+    assert.deepEqual(sent, []);
+    
+    consent.update({ analytics: true });
+    events.emit('section:visible', { id: 'about' });
+    analytics.flush();
+    
+    assert.deepEqual(types(), ['page_view', 'section_view']);
+    assert.equal(sent[0].url, '/analytics');
+    assert.equal(sent[0].session, analytics.session);
+  });
+  
+  it('drops what is queued when consent is withdrawn', () => {
+    consent.update({ analytics: true });
+    create();
+    events.emit('section:visible', { id: 'work' });
+    
+    consent.update({ analytics: false });
+    analytics.flush();
+    events.emit('section:visible', { id: 'contact' });
+    analytics.flush();
+    
+    assert.deepEqual(sent, []);
+  });
+  
+  it('stays off with Do Not Track, even without a consent requirement', () => {
+    Object.defineProperty(navigator, 'doNotTrack', { value: '1', configurable: true });
+    create({ consent: null, requireConsent: false });
+    events.emit('section:visible', { id: 'about' });
+    analytics.flush();
+    
+    assert.deepEqual(sent, []);
+  });
+  
+  it('counts each section once, from either source', () => {
+    consent.update({ analytics: true });
+    create();
+    events.emit('section:visible', { id: 'about' });
+    events.emit('section:enter', { id: 'about' });
+    events.emit('section:enter', { id: 'work' });
+    analytics.flush();
+    
+    assert.deepEqual(recorded().filter(({ type }) => type === 'section_view').map(({ section }) => section), ['about', 'work']);
+  });
+  
+  it('follows a project from open, through its slides, to close', () => {
+    consent.update({ analytics: true });
+    create();
+    events.emit('modal:open', { projectId: 2 });
+    events.emit('carousel:slide', { index: 1, total: 3 });
+    events.emit('modal:close', { projectId: 2 });
+    analytics.flush();
+    
+    const [open, slide, close] = recorded().slice(1);
+    assert.deepEqual(open, { type: 'project_open', project: 2 });
+    assert.deepEqual(slide, { type: 'slide_view', project: 2, index: 1, total: 3, media: 'image' });
+    assert.equal(close.type, 'project_close');
+    assert.equal(close.project, 2);
+    assert.equal(typeof close.duration, 'number');
+  });
+  
+  it('records form steps with field names, never values', () => {
+    consent.update({ analytics: true });
+    create();
+    events.emit('form:start', {});
+    events.emit('form:invalid', { fields: ['email'], values: { email: 'me@example.com' } });
+    events.emit('form:submit:error', { reason: 'network' });
+    analytics.flush();
+    
+    assert.deepEqual(recorded().slice(1), [
+      { type: 'form_step', step: 'start' },
+      { type: 'form_step', step: 'invalid', fields: ['email'] },
+      { type: 'form_step', step: 'error', reason: 'network' }
+    ]);
+  });
+  
+  it('records outbound links without their query or fragment', () => {
+    consent.update({ analytics: true });
+    create();
+    clickLink('https://github.com/someone/repo?token=secret#readme');
+    clickLink('/#contact');
+    clickLink('mailto:someone@example.com');
+    analytics.flush();
+    
+    assert.deepEqual(recorded().slice(1), [{ type: 'outbound_click', url: 'https://github.com/someone/repo', link: null, project: null }]);
+  });
+  
+  it('sends a full batch right away', () => {
+    consent.update({ analytics: true });
+    create({ batchSize: 3 });
+    events.emit('section:visible', { id: 'about' });
+    assert.equal(sent.length, 0);
+    
+    events.emit('section:visible', { id: 'work' });
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].events.length, 3);
+  });
+});
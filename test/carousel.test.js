@@ -0,0 +1,107 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, createEvents } from './helpers/dom.js';
+import { Carousel } from '../src/carousel.js';
+
+describe('Carousel', () => {
+  let window;
+  let carousel;
+  let events;
+  
+  const active = () => [...carousel.slides].findIndex(slide => slide.classList.contains('active'));
+  
+  beforeEach(() => {
+    window = loadPage();
+    events = createEvents();
+    carousel = new Carousel(document.querySelector('.modal-carousel'), { events });
+    carousel.setSlides(['one.png', 'two.png', 'three.png']);
+  });
+  
+  afterEach(() => {
+    carousel.destroy();
+    window.close();
+  });
+  
+  it('starts on the first slide', () => {
+    assert.equal(carousel.currentSlide, 0);
+    assert.equal(active(), 0);
+    assert.equal(carousel.dots[0].getAttribute('aria-current'), 'true');
+  });
+  
+  it('wraps from the last slide to the first going forward', () => {
+    carousel.nextSlide();
+    carousel.nextSlide();
+    assert.equal(carousel.currentSlide, 2);
+    
+    carousel.nextSlide();
+    assert.equal(carousel.currentSlide, 0);
+    assert.equal(active(), 0);
+  });
+  
+  it('wraps from the first slide to the last going back', () => {
+    carousel.previousSlide();
+    assert.equal(carousel.currentSlide, 2);
+    assert.equal(active(), 2);
+    assert.equal(carousel.slides[0].getAttribute('aria-hidden'), 'true');
+    
+    carousel.previousSlide();
+    assert.equal(carousel.currentSlide, 1);
+  });
+  
+  it('announces each change and emits carousel:slide', () => {
+    carousel.previousSlide();
+    
+    assert.match(carousel.liveRegion.textContent, /^Slide 3 of 3/);
+    assert.deepEqual(events.emitted.map(({ detail }) => detail.index), [2]);
+  });
+  
+  it('stays put with a single slide', () => {
+    carousel.setSlides(['only.png']);
+    carousel.nextSlide();
+    carousel.previousSlide();
+    
+    assert.equal(carousel.currentSlide, 0);
+    assert.equal(carousel.nextBtn.hidden, true);
+  });
+});
+
+describe('Carousel autoplay with the lightbox open', () => {
+  let window;
+  let carousel;
+  
+  beforeEach(() => {
+    window = loadPage();
+    mock.timers.enable({ apis: ['setTimeout'] });
+    carousel = new Carousel(document.querySelector('.modal-carousel'));
+    carousel.setSlides(['one.png', 'two.png', 'three.png'], { autoplay: true, interval: 1000 });
+  });
+  
+  afterEach(() => {
+    carousel.destroy();
+    mock.timers.reset();
+    window.close();
+  });
+  
+  it('advances on its own', () => {
+    mock.timers.tick(1000);
+    assert.equal(carousel.currentSlide, 1);
+  });
+  
+  it('stays on the viewed image when the pointer or focus leaves the carousel', () => {
+    carousel.openLightbox();
+    carousel.root.dispatchEvent(new MouseEvent('mouseleave'));
+    carousel.root.dispatchEvent(new FocusEvent('focusout', { relatedTarget: document.body }));
+    mock.timers.tick(5000);
+    
+    assert.equal(carousel.currentSlide, 0);
+    assert.equal(carousel.lightbox.isOpen(), true);
+  });
+  
+  it('picks up again once the lightbox closes', () => {
+    carousel.openLightbox();
+    carousel.lightbox.close();
+    mock.timers.tick(1000);
+    
+    assert.equal(carousel.currentSlide, 1);
+  });
+});
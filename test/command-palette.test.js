@@ -0,0 +1,153 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, createEvents } from './helpers/dom.js';
+import { CommandPalette, fuzzyScore } from '../src/command-palette.js';
+
+describe('fuzzyScore', () => {
+  it('matches characters in order, wherever they are', () => {
+    assert.equal(typeof fuzzyScore('wrk', 'Work'), 'number');
+    assert.equal(fuzzyScore('krow', 'Work'), null);
+    assert.equal(fuzzyScore('x', 'Work'), null);
+  });
+  
+  it('matches everything with an empty query', () => {
+    assert.equal(fuzzyScore('', 'Work'), 0);
+    assert.equal(fuzzyScore('   ', 'Work'), 0);
+  });
+  
+  it('ignores case and spaces in the query', () => {
+    assert.equal(fuzzyScore('DARK  mode', 'Dark mode'), fuzzyScore('darkmode', 'Dark mode'));
+  });
+  
+  it('ranks consecutive characters and word starts higher', () => {
+    assert.ok(fuzzyScore('con', 'contact') > fuzzyScore('con', 'cocoon'));
+    assert.ok(fuzzyScore('m', 'Dark mode') > fuzzyScore('m', 'Summer'));
+  });
+});
+
+describe('CommandPalette', () => {
+  let window;
+  let events;
+  let palette;
+  let router;
+  let commands;
+  
+  const input = () => document.querySelector('.palette-input');
+  const labels = () => [...document.querySelectorAll('.palette-results .palette-label')].map(label => label.textContent);
+  const selected = () => document.querySelector('.palette-results [aria-selected="true"] .palette-label')?.textContent;
+  const press = (key, modifiers = {}) => {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...modifiers });
+    (document.activeElement || document.body).dispatchEvent(event);
+    return event;
+  };
+  const type = (text) => {
+    input().value = text;
+    input().dispatchEvent(new window.Event('input'));
+  };
+  
+  beforeEach(() => {
+    window = loadPage();
+    events = createEvents();
+    router = { navigate: mock.fn() };
+    commands = { party: mock.fn(), weather: mock.fn() };
+    palette = new CommandPalette({
+      router,
+      events,
+      projectModal: { projects: { 1: { title: 'Shop front', tags: ['react'] } }, requestOpen: mock.fn() },
+      easterEggs: {
+        commands,
+        commandInfo: {
+          party: { icon: '🎉', label: 'Party mode' },
+          weather: { icon: '🌦️', variants: [{ args: ['rainy'], label: () => 'Make it rain' }, { args: [null], label: 'Clear skies' }] }
+        }
+      }
+    });
+  });
+  
+  afterEach(() => {
+    palette.destroy();
+    window.close();
+  });
+  
+  it('opens and closes with Ctrl/Cmd+K', () => {
+    assert.equal(press('k', { ctrlKey: true }).defaultPrevented, true);
+    assert.equal(palette.isOpen(), true);
+    assert.equal(document.activeElement, input());
+    assert.deepEqual(labels().slice(0, 5), ['home', 'about', 'work', 'skills', 'contact']);
+    
+    press('K', { metaKey: true });
+    assert.equal(palette.isOpen(), false);
+    assert.deepEqual(events.emitted.map(({ type }) => type), ['palette:open', 'palette:close']);
+  });
+  
+  it('lists projects and each variant of a console command', () => {
+    palette.open();
+    
+    assert.ok(labels().includes('Shop front'));
+    assert.deepEqual(labels().slice(-3), ['Party mode', 'Make it rain', 'Clear skies']);
+  });
+  
+  it('filters and ranks as you type, best match selected', () => {
+    palette.open();
+    type('rain');
+    
+    assert.equal(labels()[0], 'Make it rain');
+    assert.equal(selected(), 'Make it rain');
+    assert.equal(input().getAttribute('aria-activedescendant'), 'palette-option-0');
+    
+    type('zzzz');
+    assert.deepEqual(labels(), []);
+    assert.equal(document.querySelector('.palette-empty').hidden, false);
+    assert.equal(input().hasAttribute('aria-activedescendant'), false);
+  });
+  
+  it('moves through the results with the arrow keys, wrapping at the ends', () => {
+    palette.open();
+    type('skies');
+    const count = labels().length;
+    
+    press('ArrowUp');
+    assert.equal(palette.activeIndex, count - 1);
+    
+    press('ArrowDown');
+    assert.equal(palette.activeIndex, 0);
+    press('ArrowDown');
+    assert.equal(selected(), labels()[1 % count]);
+  });
+  
+  it('runs the selected result with Enter after closing', () => {
+    palette.open();
+    type('rain');
+    press('Enter');
+    
+    assert.equal(palette.isOpen(), false);
+    assert.deepEqual(commands.weather.mock.calls[0].arguments, ['rainy']);
+    assert.deepEqual(events.emitted.at(-1), { type: 'palette:run', detail: { id: 'command:weather("rainy")' } });
+  });
+  
+  it('navigates to sections through the router', () => {
+    palette.open();
+    type('contact');
+    press('Enter');
+    
+    assert.deepEqual(router.navigate.mock.calls[0].arguments, ['#contact']);
+  });
+  
+  it('keeps its keys from the page underneath and returns focus on Escape', () => {
+    const trigger = document.querySelector('.hero a[href]');
+    const pageKeys = [];
+    document.addEventListener('keydown', e => pageKeys.push(e.key));
+    trigger.focus();
+    
+    palette.open();
+    press('ArrowDown');
+    press('Escape');
+    
+    assert.deepEqual(pageKeys, []);
+    assert.equal(palette.isOpen(), false);
+    assert.equal(document.activeElement, trigger);
+    
+    press('Escape');
+    assert.deepEqual(pageKeys, ['Escape']);
+  });
+});
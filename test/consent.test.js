@@ -0,0 +1,82 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, createEvents } from './helpers/dom.js';
+import { ConsentManager } from '../src/consent.js';
+
+const STORAGE_KEY = 'portfolio-consent';
+const FETCHING_RELS = ['stylesheet', 'preconnect', 'dns-prefetch', 'preload', 'prefetch'];
+
+describe('ConsentManager', () => {
+  let window;
+  let consent;
+  
+  // Links that make the browser contact another host (canonical and
+  // alternate links only name one)
+  const thirdPartyLinks = () => [...document.querySelectorAll('head link[href]')]
+    .filter(link => FETCHING_RELS.includes(link.rel) && new URL(link.href, location.href).host !== location.host);
+  
+  beforeEach(() => {
+    window = loadPage();
+    localStorage.clear();
+  });
+  
+  afterEach(() => {
+    consent?.destroy();
+    consent = null;
+    window.close();
+  });
+  
+  it('starts undecided with only the necessary category on', () => {
+    consent = new ConsentManager();
+    
+    assert.equal(consent.decided, false);
+    assert.equal(document.getElementById('consentBanner').hidden, false);
+    assert.deepEqual(consent.getState(), { necessary: true, analytics: false, thirdParty: false });
+  });
+  
+  it('contacts no third-party host, DNS included, before consent', () => {
+    consent = new ConsentManager();
+    
+    assert.deepEqual(thirdPartyLinks(), []);
+    
+    consent.rejectAll();
+    assert.deepEqual(thirdPartyLinks(), []);
+  });
+  
+  it('loads the fonts and prefetches their hosts once third parties are allowed', () => {
+    consent = new ConsentManager();
+    consent.update({ thirdParty: true });
+    
+    const hosts = thirdPartyLinks().map(link => `${link.rel} ${new URL(link.href).host}`);
+    assert.deepEqual(hosts.sort(), [
+      'dns-prefetch api.web3forms.com',
+      'dns-prefetch fonts.googleapis.com',
+      'dns-prefetch fonts.gstatic.com',
+      'stylesheet fonts.googleapis.com'
+    ]);
+  });
+  
+  it('saves choices, keeps the ones not given and announces the change', () => {
+    const events = createEvents();
+    consent = new ConsentManager({ events });
+    consent.update({ analytics: true });
+    consent.update({ thirdParty: true });
+    
+    assert.deepEqual(JSON.parse(localStorage.getItem(STORAGE_KEY)).choices, { analytics: true, thirdParty: true });
+    assert.deepEqual(events.emitted.at(-1).detail.previous, { necessary: true, analytics: true, thirdParty: false });
+    
+    consent.destroy();
+    consent = new ConsentManager();
+    assert.equal(consent.decided, true);
+    assert.equal(document.getElementById('consentBanner').hidden, true);
+    assert.equal(consent.has('thirdParty'), true);
+  });
+  
+  it('asks again when the saved choices are from another version', () => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: 0, choices: { thirdParty: true } }));
+    consent = new ConsentManager();
+    
+    assert.equal(consent.decided, false);
+    assert.equal(consent.has('thirdParty'), false);
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, createNotifications, createEvents } from './helpers/dom.js';
+import { ContactForm } from '../src/contact-form.js';
+import { SubmissionQueue } from '../src/contact-backends.js';
+
+describe('ContactForm#handleSubmit', () => {
+  let window;
+  let form;
+  let contactForm;
+  let notifications;
+  let events;
+  let requests;
+  
+  const fill = () => {
+    form.elements.namedItem('name').value = 'Ada Lovelace';
+    form.elements.namedItem('email').value = 'ada@example.com';
+    form.elements.namedItem('message').value = 'Hello there, nice portfolio!';
+  };
+  
+  // Web3Forms (the form's data-backend) posts with fetch
+  const stubFetch = (respond) => {
+    globalThis.fetch = async (url, options) => {
+      requests.push({ url, options });
+      return respond();
+    };
+  };
+  
+  beforeEach(() => {
+    window = loadPage();
+    localStorage.clear();
+    form = document.getElementById('contactForm');
+    notifications = createNotifications();
+    events = createEvents();
+    requests = [];
+    contactForm = new ContactForm({ notifications, events, spam: false, queue: new SubmissionQueue('test-queue') });
+  });
+  
+  afterEach(() => {
+    contactForm.destroy();
+    delete globalThis.fetch;
+    window.close();
+  });
+  
+  it('posts the fields and resets the form on success', async () => {
+    stubFetch(() => ({ ok: true, json: async () => ({ success: true }) }));
+    fill();
+    
+    await contactForm.handleSubmit();
+    
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, form.getAttribute('action'));
+    assert.equal(requests[0].options.body.get('email'), 'ada@example.com');
+    assert.equal(form.elements.namedItem('name').value, '');
+    assert.ok(document.getElementById('successMessage').classList.contains('show'));
+    assert.deepEqual(events.emitted.map(({ type }) => type), ['form:submit', 'form:submit:success']);
+  });
+  
+  it('keeps the fields and offers a retry when the service refuses', async () => {
+    stubFetch(() => ({ ok: true, json: async () => ({ success: false, message: 'Quota exceeded' }) }));
+    fill();
+    
+    await contactForm.handleSubmit();
+    
+    assert.equal(form.elements.namedItem('name').value, 'Ada Lovelace');
+    assert.equal(notifications.shown.length, 1);
+    assert.equal(notifications.shown[0].type, 'error');
+    assert.equal(notifications.shown[0].message, 'Quota exceeded');
+    assert.equal(notifications.shown[0].options.actions[0].label, 'Retry');
+    assert.deepEqual(events.emitted.at(-1), { type: 'form:submit:error', detail: { reason: 'failed', message: 'Quota exceeded' } });
+    assert.equal(contactForm.submitBtn.disabled, false);
+  });
+  
+  it('queues the message when the request never reaches the server', async () => {
+    stubFetch(() => { throw new TypeError('Failed to fetch'); });
+    fill();
+    
+    await contactForm.handleSubmit();
+    
+    assert.equal(contactForm.queue.size, 1);
+    assert.equal(events.emitted.at(-1).type, 'form:submit:queued');
+    assert.equal(notifications.shown[0].type, 'info');
+  });
+  
+  it('does not send an invalid form', async () => {
+    const fetch = mock.fn();
+    globalThis.fetch = fetch;
+    form.elements.namedItem('email').value = 'not-an-email';
+    
+    await contactForm.handleSubmit();
+    
+    assert.equal(fetch.mock.callCount(), 0);
+    const invalid = events.emitted.find(({ type }) => type === 'form:invalid');
+    assert.deepEqual(invalid.detail, { fields: ['name', 'email', 'message'] });
+    assert.equal(document.activeElement, form.elements.namedItem('name'));
+  });
+});
+
+describe('ContactForm offline queue', () => {
+  let window;
+  let contactForm;
+  let queue;
+  let backend;
+  let granted;
+  
+  const fields = { name: 'Ada', email: 'ada@example.com', message: 'Saved while offline' };
+  
+  beforeEach(() => {
+    window = loadPage();
+    localStorage.clear();
+    mock.method(console, 'log', () => {});
+    queue = new SubmissionQueue('test-queue');
+    // Local and slow enough for a second flush to start mid-way
+    backend = {
+      name: 'local',
+      thirdParty: false,
+      submit: mock.fn(() => new Promise(resolve => setTimeout(() => resolve({ success: true }), 5)))
+    };
+    granted = false;
+    const consent = { has: () => granted };
+    contactForm = new ContactForm({ backend, queue, consent, spam: false, notifications: createNotifications() });
+  });
+  
+  afterEach(() => {
+    contactForm.destroy();
+    delete globalThis.fetch;
+    mock.restoreAll();
+    window.close();
+  });
+  
+  it('sends each queued message once when flushes overlap', async () => {
+    queue.add(fields, 'local');
+    queue.add(fields, 'local');
+    
+    const first = contactForm.flushQueue();
+    window.dispatchEvent(new Event('online'));
+    await Promise.all([first, contactForm.flushQueue()]);
+    
+    assert.equal(backend.submit.mock.callCount(), 2);
+    assert.equal(queue.size, 0);
+  });
+  
+  it('keeps messages for a third-party backend queued until it is allowed', async () => {
+    const fetch = mock.fn(async () => ({ ok: true, json: async () => ({ success: true }) }));
+    globalThis.fetch = fetch;
+    queue.add(fields, 'web3forms');
+    queue.add(fields, 'local');
+    
+    await contactForm.flushQueue();
+    assert.equal(fetch.mock.callCount(), 0);
+    assert.equal(backend.submit.mock.callCount(), 1);
+    assert.deepEqual(queue.getAll().map(item => item.backend), ['web3forms']);
+    
+    granted = true;
+    await contactForm.flushQueue();
+    assert.equal(fetch.mock.callCount(), 1);
+    assert.equal(queue.size, 0);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, createNotifications } from './helpers/dom.js';
+import { EasterEggs } from '../src/easter-eggs.js';
+
+const KONAMI = ['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight', 'KeyB', 'KeyA'];
+
+describe('Konami code', () => {
+  let window;
+  let eggs;
+  
+  // Feed keys in order; the result for the last one
+  const type = (codes) => codes.map(code => eggs.recordKey(code)).at(-1);
+  
+  beforeEach(() => {
+    window = loadPage();
+    // The console banner
+    mock.method(console, 'log', () => {});
+    eggs = new EasterEggs(createNotifications());
+  });
+  
+  afterEach(() => {
+    eggs.destroy();
+    mock.restoreAll();
+    window.close();
+  });
+  
+  it('matches the full sequence', () => {
+    assert.equal(type(KONAMI), true);
+  });
+  
+  it('only matches on the final key', () => {
+    assert.deepEqual(KONAMI.map(code => eggs.recordKey(code)), [...Array(9).fill(false), true]);
+  });
+  
+  it('matches after unrelated keys', () => {
+    assert.equal(type(['KeyX', 'ArrowUp', 'Enter', ...KONAMI]), true);
+  });
+  
+  it('fails when a key in the middle is wrong', () => {
+    const wrong = [...KONAMI];
+    wrong[4] = 'ArrowRight';
+    assert.equal(type(wrong), false);
+  });
+  
+  it('needs the whole sequence again after a match', () => {
+    type(KONAMI);
+    assert.equal(type(['KeyB', 'KeyA']), false);
+    assert.equal(type(KONAMI), true);
+  });
+  
+  it('turns on rainbow mode from real keydown events', () => {
+    KONAMI.forEach(code => document.dispatchEvent(new KeyboardEvent('keydown', { code })));
+    
+    assert.ok(document.body.classList.contains('rainbow-mode'));
+    assert.equal(eggs.effects.isActive('rainbow'), true);
+  });
+});
+
+describe('Party during rainbow mode', () => {
+  let window;
+  let eggs;
+  let notifications;
+  let mascotStyle;
+  
+  beforeEach(() => {
+    window = loadPage();
+    mock.method(console, 'log', () => {});
+    mock.timers.enable({ apis: ['setTimeout'] });
+    notifications = createNotifications();
+    eggs = new EasterEggs(notifications);
+    mascotStyle = document.querySelector('.mascot-main').style.cssText;
+    eggs.activateSecretMode();
+  });
+  
+  afterEach(() => {
+    eggs.destroy();
+    mock.timers.reset();
+    mock.restoreAll();
+    window.close();
+  });
+  
+  it('takes over from rainbow mode while it lasts', () => {
+    eggs.startPartyMode();
+    
+    assert.equal(eggs.effects.isActive('rainbow'), false);
+    assert.ok(document.body.classList.contains('party-mode'));
+    assert.ok(!document.body.classList.contains('rainbow-mode'));
+  });
+  
+  it('brings rainbow mode back when the party runs out', () => {
+    eggs.startPartyMode();
+    mock.timers.tick(10000);
+    
+    assert.equal(eggs.effects.isActive('party'), false);
+    assert.equal(eggs.effects.isActive('rainbow'), true);
+    assert.ok(document.body.classList.contains('rainbow-mode'));
+    assert.ok(!document.body.classList.contains('party-mode'));
+    assert.equal(notifications.shown.at(-1).type, 'info');
+  });
+  
+  it('leaves nothing behind after reset(), even mid-party', () => {
+    eggs.startPartyMode();
+    eggs.commands.reset();
+    mock.timers.tick(10000);
+    
+    assert.equal(eggs.effects.isActive('rainbow'), false);
+    assert.ok(!document.body.classList.contains('rainbow-mode'));
+    assert.ok(!document.body.classList.contains('party-mode'));
+    assert.equal(document.querySelector('.mascot-main').style.cssText, mascotStyle);
+  });
+});
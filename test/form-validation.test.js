@@ -0,0 +1,89 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/dom.js';
+import { FormValidator } from '../src/form-validation.js';
+
+describe('FormValidator#validateField', () => {
+  let window;
+  let form;
+  let validator;
+  
+  const field = (name) => form.elements.namedItem(name);
+  const check = async (name, value) => {
+    field(name).value = value;
+    return validator.validateField(field(name));
+  };
+  
+  beforeEach(() => {
+    window = loadPage();
+    form = document.getElementById('contactForm');
+    validator = new FormValidator(form);
+  });
+  
+  afterEach(() => window.close());
+  
+  it('treats whitespace-only input as empty for required fields', async () => {
+    const result = await check('name', '   ');
+    assert.equal(result.valid, false);
+    assert.match(result.message, /is required/);
+  });
+  
+  it('checks minlength against the trimmed value and names the label', async () => {
+    const label = form.querySelector('label[for="name"]').textContent.trim();
+    
+    const short = await check('name', ' A ');
+    assert.equal(short.valid, false);
+    assert.equal(short.message, `${label} must be at least 2 characters long.`);
+    
+    assert.equal((await check('name', 'Al')).valid, true);
+  });
+  
+  it('rejects malformed email addresses', async () => {
+    for (const value of ['plainaddress', 'a@b', 'a @b.co', '@b.co']) {
+      assert.equal((await check('email', value)).valid, false, value);
+    }
+    assert.equal((await check('email', 'ada@example.com')).valid, true);
+  });
+  
+  it('skips the other rules when an optional field is empty', async () => {
+    form.insertAdjacentHTML('beforeend', '<input type="url" name="site" minlength="5">');
+    
+    assert.deepEqual(await check('site', ''), { valid: true, message: '' });
+    assert.equal((await check('site', 'ftp://example.com')).valid, false);
+  });
+  
+  it('anchors pattern matches to the whole value', async () => {
+    form.insertAdjacentHTML('beforeend', '<input name="code" pattern="[0-9]{3}">');
+    
+    assert.equal((await check('code', '123')).valid, true);
+    assert.equal((await check('code', '1234')).valid, false);
+  });
+  
+  it('compares data-match fields and names the other one', async () => {
+    form.insertAdjacentHTML('beforeend', '<input name="confirm" data-match="email" data-label="Confirmation">');
+    field('email').value = 'ada@example.com';
+    
+    const result = await check('confirm', 'ada@example.org');
+    assert.equal(result.valid, false);
+    assert.match(result.message, /^Confirmation must match /);
+    assert.equal((await check('confirm', 'ada@example.com')).valid, true);
+  });
+  
+  it('prefers data-msg-* overrides over the default message', async () => {
+    field('message').setAttribute('data-msg-min-length', 'Tell me a bit more.');
+    assert.equal((await check('message', 'Hi')).message, 'Tell me a bit more.');
+  });
+  
+  it('fails a rule that throws, and skips unknown rules with a warning', async () => {
+    mock.method(console, 'error', () => {});
+    const warn = mock.method(console, 'warn', () => {});
+    validator.registerRule('explodes', () => { throw new Error('boom'); }, 'Exploded.');
+    form.insertAdjacentHTML('beforeend', '<input name="a" data-rules="explodes"><input name="b" data-rules="nope">');
+    
+    assert.deepEqual(await check('a', 'x'), { valid: false, message: 'Exploded.' });
+    assert.equal((await check('b', 'x')).valid, true);
+    assert.equal(warn.mock.callCount(), 1);
+    
+    mock.restoreAll();
+  });
+});
@@ -0,0 +1,77 @@
+// ===================================
+// TEST DOM
+// ===================================
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import { EventBus } from '../../src/events.js';
+
+const INDEX_HTML = readFileSync(new URL('../../index.html', import.meta.url), 'utf8');
+
+// Browser globals the modules in src/ use. AbortController has to be the
+// window's own, or jsdom rejects the signals Lifecycle hands to listeners.
+const GLOBALS = [
+  'window', 'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+  'Node', 'Element', 'HTMLElement', 'HTMLFormElement', 'Event', 'CustomEvent', 'KeyboardEvent',
+  'MouseEvent', 'FocusEvent', 'FormData', 'Option', 'Image', 'AbortController', 'AbortSignal',
+  'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame', 'matchMedia',
+  'IntersectionObserver'
+];
+
+/**
+ * Load index.html into a fresh jsdom window and expose it as the globals
+ * src/ expects. Scripts don't run, so nothing is wired up until a test
+ * constructs it.
+ * @param {Object} options - { url } of the page
+ * @returns {Window} Call window.close() when done
+ */
+export function loadPage({ url = 'http://localhost/' } = {}) {
+  const { window } = new JSDOM(INDEX_HTML, { url, pretendToBeVisual: true });
+  
+  window.matchMedia = (query) => ({
+    matches: false,
+    media: query,
+    addEventListener() {},
+    removeEventListener() {}
+  });
+  window.IntersectionObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  window.scrollTo = () => {};
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+  
+  GLOBALS.forEach(key => {
+    Object.defineProperty(globalThis, key, { value: window[key], configurable: true, writable: true });
+  });
+  
+  return window;
+}
+
+/**
+ * NotificationManager stand-in that records what was shown
+ */
+export function createNotifications() {
+  const shown = [];
+  const record = (type) => (message, options = {}) => shown.push({ type, message, options });
+  
+  return {
+    shown,
+    success: record('success'),
+    error: record('error'),
+    info: record('info'),
+    destroy() {}
+  };
+}
+
+/**
+ * A real EventBus that also keeps a log of what was emitted
+ * @returns {EventBus} with `emitted` ({ type, detail } entries)
+ */
+export function createEvents() {
+  const events = new EventBus();
+  events.emitted = [];
+  events.on('*', (detail, type) => events.emitted.push({ type, detail }));
+  return events;
+}
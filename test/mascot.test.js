@@ -0,0 +1,117 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, createEvents } from './helpers/dom.js';
+import { MascotController, MASCOT_DEFAULTS } from '../src/mascot.js';
+
+const { sleepAfter, reactionDuration, bubbleDuration } = MASCOT_DEFAULTS;
+
+describe('MascotController', () => {
+  let window;
+  let events;
+  let mascot;
+  
+  const states = () => [...document.querySelectorAll('.mascot-main, .footer-mascot')].map(element => element.dataset.state);
+  const bubble = () => document.querySelector('.hero-mascot .mascot-bubble');
+  const transitions = () => events.emitted.filter(({ type }) => type === 'mascot:state').map(({ detail }) => `${detail.previous} -${detail.event}-> ${detail.state}`);
+  const pointer = (type, target, relatedTarget = null) => {
+    target.dispatchEvent(new window.MouseEvent(type, { bubbles: true, relatedTarget }));
+  };
+  
+  beforeEach(() => {
+    window = loadPage();
+    mock.timers.enable({ apis: ['setTimeout'] });
+    events = createEvents();
+    mascot = new MascotController({ events });
+  });
+  
+  afterEach(() => {
+    mascot.destroy();
+    mock.timers.reset();
+    window.close();
+  });
+  
+  it('starts idle on both mascots, each with a hidden bubble', () => {
+    assert.deepEqual(states(), ['idle', 'idle']);
+    assert.equal(document.querySelectorAll('.mascot-bubble').length, 2);
+    assert.equal(bubble().hidden, true);
+  });
+  
+  it('ignores events the current state has no transition for', () => {
+    assert.equal(mascot.send('done'), false);
+    assert.equal(mascot.send('wake'), false);
+    assert.equal(mascot.send('unlook'), false);
+    assert.equal(mascot.state, 'idle');
+    assert.deepEqual(transitions(), []);
+  });
+  
+  it('reacts to the bus, says so and settles back to idle', () => {
+    events.emit('form:submit:success', {});
+    
+    assert.deepEqual(states(), ['happy', 'happy']);
+    assert.equal(bubble().hidden, false);
+    assert.equal(bubble().textContent, '🎉 Yay! Message sent!');
+    
+    mock.timers.tick(reactionDuration);
+    assert.equal(mascot.state, 'idle');
+    assert.deepEqual(transitions(), ['idle -success-> happy', 'happy -done-> idle']);
+    
+    mock.timers.tick(bubbleDuration - reactionDuration);
+    assert.equal(bubble().hidden, true);
+  });
+  
+  it('lets a new reaction replace the running one, with its own time', () => {
+    events.emit('modal:open', {});
+    mock.timers.tick(reactionDuration - 500);
+    events.emit('form:invalid', {});
+    
+    mock.timers.tick(500);
+    assert.equal(mascot.state, 'worried');
+    
+    mock.timers.tick(reactionDuration - 500);
+    assert.equal(mascot.state, 'idle');
+  });
+  
+  it('falls asleep without input and wakes on the next one', () => {
+    mock.timers.tick(sleepAfter);
+    assert.equal(mascot.state, 'sleeping');
+    assert.equal(bubble().textContent, '💤 Zzz…');
+    
+    window.dispatchEvent(new window.Event('keydown'));
+    assert.equal(mascot.state, 'idle');
+    assert.equal(bubble().textContent, '😳 Huh? I\'m awake!');
+  });
+  
+  it('puts off sleep while there is input', () => {
+    mock.timers.tick(sleepAfter - 1000);
+    window.dispatchEvent(new window.Event('scroll'));
+    mock.timers.tick(1000);
+    
+    assert.equal(mascot.state, 'idle');
+  });
+  
+  it('looks at what is hovered until the pointer leaves it', () => {
+    const button = document.createElement('button');
+    const label = document.createElement('span');
+    button.append(label);
+    document.body.append(button);
+    
+    pointer('pointerover', button);
+    assert.equal(mascot.state, 'looking');
+    
+    // Moving onto the target's own children isn't leaving it
+    pointer('pointerout', button, label);
+    assert.equal(mascot.state, 'looking');
+    
+    pointer('pointerout', button, document.body);
+    assert.equal(mascot.state, 'idle');
+  });
+  
+  it('takes its state and bubbles off the page on destroy', () => {
+    mascot.send('modal');
+    mascot.destroy();
+    
+    assert.deepEqual(states(), [undefined, undefined]);
+    assert.equal(document.querySelector('.mascot-bubble'), null);
+    assert.equal(document.querySelector('.mascot-anchor'), null);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, createEvents } from './helpers/dom.js';
+import { Navigation } from '../src/navigation.js';
+
+// jsdom has no layout: give each section a position and height by hand
+const LAYOUT = {
+  home: [0, 800],
+  about: [800, 600],
+  work: [1400, 1000],
+  skills: [2400, 500],
+  contact: [2900, 700]
+};
+
+describe('Navigation active link', () => {
+  let window;
+  let navigation;
+  let events;
+  
+  const activeLinks = () => [...document.querySelectorAll('.nav-menu a.active')].map(link => link.getAttribute('href'));
+  
+  beforeEach(() => {
+    window = loadPage();
+    
+    document.querySelectorAll('section[id]').forEach(section => {
+      const [top, height] = LAYOUT[section.id] || [-10000, 0];
+      Object.defineProperty(section, 'offsetTop', { value: top });
+      Object.defineProperty(section, 'clientHeight', { value: height });
+    });
+    
+    events = createEvents();
+    navigation = new Navigation(null, { events });
+  });
+  
+  afterEach(() => {
+    navigation.destroy();
+    window.close();
+  });
+  
+  it('picks the section under the navbar', () => {
+    assert.equal(navigation.getCurrentSection(0), 'home');
+    assert.equal(navigation.getCurrentSection(1000), 'about');
+    assert.equal(navigation.getCurrentSection(2500), 'skills');
+  });
+  
+  it('switches 100px before a section reaches the top', () => {
+    assert.equal(navigation.getCurrentSection(599), 'home');
+    assert.equal(navigation.getCurrentSection(700), 'about');
+  });
+  
+  it('returns nothing past the last section', () => {
+    assert.equal(navigation.getCurrentSection(5000), '');
+  });
+  
+  it('marks exactly one matching link active', () => {
+    navigation.updateActiveLink(navigation.getCurrentSection(1500));
+    assert.deepEqual(activeLinks(), ['#work']);
+    
+    navigation.updateActiveLink(navigation.getCurrentSection(3000));
+    assert.deepEqual(activeLinks(), ['#contact']);
+    
+    navigation.updateActiveLink('');
+    assert.deepEqual(activeLinks(), []);
+  });
+  
+  it('emits section:enter only when the section changes', () => {
+    navigation.updateActiveLink('about');
+    navigation.updateActiveLink('about');
+    navigation.updateActiveLink('work');
+    
+    assert.deepEqual(events.emitted.map(({ type, detail }) => [type, detail]), [
+      ['section:enter', { id: 'about', previous: null }],
+      ['section:enter', { id: 'work', previous: 'about' }]
+    ]);
+  });
+});
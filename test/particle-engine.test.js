@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ParticleEngine } from '../src/particle-engine.js';
+import { createStubContext } from '../tools/particles-benchmark.mjs';
+
+const FRAME_MS = 1000 / 60;
+
+describe('ParticleEngine', () => {
+  it('never holds more live particles than its capacity', () => {
+    const engine = new ParticleEngine({ capacity: 5 });
+    const spawned = Array.from({ length: 8 }, () => engine.spawn(10, 10, 'burst'));
+    
+    assert.deepEqual(spawned, [true, true, true, true, true, false, false, false]);
+    assert.equal(engine.count, 5);
+    assert.equal(engine.particles.length, 5);
+  });
+  
+  it('clamps the budget to 0..capacity and drops particles over it', () => {
+    const engine = new ParticleEngine({ capacity: 10 });
+    for (let i = 0; i < 10; i++) engine.spawn(0, 0);
+    
+    engine.setBudget(3.4);
+    assert.equal(engine.budget, 3);
+    assert.equal(engine.count, 3);
+    assert.equal(engine.spawn(0, 0), false);
+    
+    engine.setBudget(-5);
+    assert.equal(engine.budget, 0);
+    assert.equal(engine.count, 0);
+    
+    engine.setBudget(500);
+    assert.equal(engine.budget, 10);
+    assert.equal(engine.spawn(0, 0), true);
+  });
+  
+  it('reuses the same particle objects instead of allocating', () => {
+    const engine = new ParticleEngine({ capacity: 4 });
+    const pool = new Set(engine.particles);
+    
+    for (let frame = 0; frame < 200; frame++) {
+      engine.spawn(50, 50);
+      engine.step();
+    }
+    
+    assert.equal(engine.particles.length, 4);
+    assert.ok(engine.particles.every(particle => pool.has(particle)));
+  });
+  
+  it('keeps live particles packed at the front as others die', () => {
+    const engine = new ParticleEngine({ capacity: 4 });
+    for (let i = 0; i < 4; i++) engine.spawn(i, 0);
+    // Only the second and last die this step
+    engine.particles.forEach((particle, index) => { particle.life = index % 2 ? 0.001 : 1; });
+    const survivors = [engine.particles[0], engine.particles[2]];
+    
+    engine.step();
+    
+    assert.equal(engine.count, 2);
+    const live = engine.particles.slice(0, engine.count);
+    assert.ok(survivors.every(particle => live.includes(particle)));
+  });
+  
+  it('scales motion by elapsed time and caps long stalls at three frames', () => {
+    const engine = new ParticleEngine({ capacity: 1 });
+    engine.spawn(0, 0);
+    const particle = engine.particles[0];
+    Object.assign(particle, { vx: 1, vy: 0, decay: 0 });
+    
+    engine.step(FRAME_MS * 2);
+    assert.equal(particle.x, 2);
+    
+    engine.step(5000);
+    assert.equal(particle.x, 5);
+  });
+  
+  it('draws each live particle once and restores the alpha', () => {
+    const engine = new ParticleEngine({ capacity: 10 });
+    const ctx = createStubContext();
+    let drawn = 0;
+    ctx.fill = () => drawn++;
+    for (let i = 0; i < 6; i++) engine.spawn(0, 0);
+    
+    engine.render(ctx, 100, 100);
+    
+    assert.equal(drawn, 6);
+    assert.equal(ctx.globalAlpha, 1);
+  });
+});
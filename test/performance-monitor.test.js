@@ -0,0 +1,91 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { loadPage, createEvents } from './helpers/dom.js';
+import { PerformanceMonitor, rateMetric } from '../src/performance-monitor.js';
+import { I18n } from '../src/i18n.js';
+
+describe('rateMetric', () => {
+  it('rates against the web.dev boundaries, inclusive', () => {
+    assert.equal(rateMetric('LCP', 2500), 'good');
+    assert.equal(rateMetric('LCP', 2501), 'needs-improvement');
+    assert.equal(rateMetric('LCP', 4001), 'poor');
+    assert.equal(rateMetric('CLS', 0.1), 'good');
+    assert.equal(rateMetric('CLS', 0.3), 'poor');
+  });
+});
+
+describe('PerformanceMonitor', () => {
+  let window;
+  let events;
+  let monitor;
+  
+  const longTask = { duration: 180, blockingDuration: 130, scripts: [{ sourceURL: 'http://localhost/src/particles.js', duration: 150 }] };
+  // The overlay's <dt>/<dd> pairs as [label, value]
+  const rows = () => [...document.querySelectorAll('.perf-overlay dt')].map(term => [term.textContent, term.nextElementSibling.textContent]);
+  
+  const NodePerformanceObserver = globalThis.PerformanceObserver;
+  
+  beforeEach(() => {
+    window = loadPage();
+    events = createEvents();
+    // Node's own observer supports none of the web-vitals entry types
+    globalThis.PerformanceObserver = class {
+      static supportedEntryTypes = ['navigation', 'paint', 'largest-contentful-paint', 'layout-shift', 'event', 'long-animation-frame'];
+      observe() {}
+      disconnect() {}
+    };
+  });
+  
+  afterEach(() => {
+    monitor?.destroy();
+    monitor = null;
+    mock.restoreAll();
+    globalThis.PerformanceObserver = NodePerformanceObserver;
+    window.close();
+  });
+  
+  it('measures nothing when nothing would see the numbers', () => {
+    monitor = new PerformanceMonitor({ events });
+    
+    assert.equal(monitor.overlay, null);
+    assert.equal(document.querySelector('.perf-overlay'), null);
+    assert.equal(monitor.observers.length, 0);
+  });
+  
+  it('shows the overlay with ?perf', () => {
+    window.close();
+    window = loadPage({ url: 'http://localhost/?perf' });
+    monitor = new PerformanceMonitor({ events });
+    
+    assert.ok(document.querySelector('.perf-overlay'));
+    assert.ok(monitor.observers.length > 0);
+    assert.deepEqual(rows().map(([label]) => label), ['LCP', 'FCP', 'CLS', 'INP', 'TTFB', 'Long tasks']);
+  });
+  
+  it('pins long tasks on the component whose script ran longest', () => {
+    monitor = new PerformanceMonitor({ events, overlay: true });
+    monitor.recordLongTask(longTask);
+    
+    assert.deepEqual(monitor.getReport().longTasks, { count: 1, blockingTime: 130, byComponent: { particleSystem: 180 } });
+    assert.deepEqual(events.emitted.at(-1), { type: 'perf:longtask', detail: { duration: 180, blocking: 130, component: 'particleSystem' } });
+    assert.deepEqual(rows().at(-1), ['Long tasks', '1 · 130 ms · particleSystem']);
+  });
+  
+  it('labels the long-task row in the current language', async () => {
+    mock.method(globalThis, 'fetch', async (url) => ({
+      ok: true,
+      json: async () => JSON.parse(readFileSync(new URL(`../${url}`, import.meta.url), 'utf8'))
+    }));
+    const i18n = new I18n();
+    await i18n.ready;
+    monitor = new PerformanceMonitor({ events, overlay: true });
+    
+    await i18n.setLocale('es');
+    events.emit('locale:change', { locale: 'es' });
+    
+    assert.equal(rows().at(-1)[0], 'Tareas largas');
+    assert.equal(document.querySelector('.perf-overlay').getAttribute('aria-label'), 'Métricas de rendimiento');
+    i18n.destroy();
+  });
+});
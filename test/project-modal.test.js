@@ -0,0 +1,172 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, createEvents } from './helpers/dom.js';
+import { ProjectModal } from '../src/project-modal.js';
+import { Router } from '../src/router.js';
+import { FOCUSABLE_SELECTOR } from '../src/utils.js';
+
+const PROJECTS = {
+  1: {
+    id: 1,
+    title: 'Data Dashboard',
+    description: 'Charts that bounce.',
+    images: ['one.png', 'two.png'],
+    liveUrl: 'https://example.com/live',
+    codeUrl: 'https://example.com/code'
+  }
+};
+
+describe('ProjectModal', () => {
+  let window;
+  let modal;
+  let events;
+  let trigger;
+  
+  const overlay = () => document.getElementById('projectModal');
+  const press = (key, options = {}) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    document.activeElement.dispatchEvent(event);
+    return event;
+  };
+  const focusables = () => [...overlay().querySelectorAll(FOCUSABLE_SELECTOR)]
+    .filter(element => !element.disabled && !element.closest('[hidden]'));
+  
+  beforeEach(() => {
+    window = loadPage();
+    events = createEvents();
+    modal = new ProjectModal(null, null, { events });
+    modal.projects = PROJECTS;
+    
+    trigger = document.createElement('button');
+    document.body.appendChild(trigger);
+    trigger.focus();
+  });
+  
+  afterEach(() => {
+    modal.destroy();
+    window.close();
+  });
+  
+  it('opens with the project filled in and focus inside', () => {
+    assert.equal(modal.openModal(1), true);
+    
+    assert.ok(overlay().classList.contains('active'));
+    assert.equal(overlay().getAttribute('aria-hidden'), 'false');
+    assert.equal(document.getElementById('modal-title').textContent, 'Data Dashboard');
+    assert.ok(overlay().contains(document.activeElement));
+    assert.equal(document.body.style.overflow, 'hidden');
+    assert.equal(events.emitted[0].type, 'modal:open');
+  });
+  
+  it('refuses unknown projects', () => {
+    assert.equal(modal.openModal(99), false);
+    assert.equal(modal.isOpen(), false);
+  });
+  
+  it('closes on Escape and hands focus back to the trigger', () => {
+    modal.openModal(1);
+    press('Escape');
+    
+    assert.equal(modal.isOpen(), false);
+    assert.equal(overlay().getAttribute('aria-hidden'), 'true');
+    assert.equal(document.activeElement, trigger);
+    assert.equal(document.body.style.overflow, '');
+    assert.equal(events.emitted.at(-1).type, 'modal:close');
+  });
+  
+  it('closes from the close button and from a click on the backdrop', () => {
+    modal.openModal(1);
+    overlay().querySelector('.modal-close').click();
+    assert.equal(modal.isOpen(), false);
+    
+    modal.openModal(1);
+    overlay().dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    assert.equal(modal.isOpen(), false);
+  });
+  
+  it('traps Tab and Shift+Tab inside the modal', () => {
+    modal.openModal(1);
+    const elements = focusables();
+    const first = elements[0];
+    const last = elements.at(-1);
+    
+    last.focus();
+    assert.equal(press('Tab').defaultPrevented, true);
+    assert.equal(document.activeElement, first);
+    
+    assert.equal(press('Tab', { shiftKey: true }).defaultPrevented, true);
+    assert.equal(document.activeElement, last);
+    
+    // In between, the browser moves focus as usual
+    elements[1].focus();
+    assert.equal(press('Tab').defaultPrevented, false);
+  });
+  
+  it('does not trap focus once closed', () => {
+    modal.openModal(1);
+    modal.closeModal();
+    
+    assert.equal(press('Tab').defaultPrevented, false);
+  });
+});
+
+describe('ProjectModal deep links', () => {
+  let window;
+  let router;
+  let modal;
+  
+  beforeEach(() => {
+    window = loadPage({ url: 'http://localhost/#work' });
+    router = new Router();
+    router.setFallback(() => {});
+    modal = new ProjectModal(null, router);
+    modal.projects = PROJECTS;
+    router.start();
+  });
+  
+  afterEach(() => {
+    modal.destroy();
+    router.destroy();
+    window.close();
+  });
+  
+  it('opens from the hash and closes back to #work', () => {
+    modal.requestOpen(1);
+    assert.equal(location.hash, '#/work/1');
+    assert.equal(modal.isOpen(), true);
+    
+    modal.requestClose();
+    assert.equal(location.hash, '#work');
+    assert.equal(modal.isOpen(), false);
+  });
+  
+  it('redirects a stale id to #work without a modal left open', () => {
+    modal.requestOpen(1);
+    router.navigate('#/work/999');
+    
+    assert.equal(location.hash, '#work');
+    assert.equal(modal.isOpen(), false);
+    assert.equal(router.activeRoute, null);
+  });
+  
+  it('closes the gallery lightbox along with it on Back', async () => {
+    modal.requestOpen(1);
+    modal.carousel.openLightbox();
+    assert.equal(modal.carousel.lightbox.isOpen(), true);
+    
+    history.back();
+    await new Promise(resolve => window.addEventListener('popstate', resolve, { once: true }));
+    
+    assert.equal(modal.isOpen(), false);
+    assert.equal(modal.carousel.lightbox.isOpen(), false);
+  });
+  
+  it('can still be closed after a stale id was redirected', () => {
+    modal.requestOpen(1);
+    router.navigate('#/work/999');
+    modal.requestOpen(1);
+    document.querySelector('.modal-close').click();
+    
+    assert.equal(modal.isOpen(), false);
+  });
+});
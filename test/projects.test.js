@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateProject, localizeProject } from '../src/projects.js';
+
+const MANIFEST = JSON.parse(readFileSync(new URL('../projects.json', import.meta.url), 'utf8'));
+
+const project = (fields = {}) => ({
+  id: 1,
+  title: 'Portfolio',
+  summary: 'A site',
+  description: 'A longer description',
+  images: ['a.png'],
+  ...fields
+});
+const withSvg = (svg) => project({ thumbnail: { label: 'Preview', svg } });
+
+describe('validateProject', () => {
+  it('accepts every project in projects.json', () => {
+    MANIFEST.projects.forEach(entry => assert.deepEqual(validateProject(entry), [], entry.title));
+  });
+  
+  it('reports missing and mistyped fields', () => {
+    assert.deepEqual(validateProject(null), ['entry is not an object']);
+    assert.deepEqual(validateProject(project({ title: '', tags: [1], images: [] })), [
+      '"title" must not be empty',
+      '"tags" should only contain string values',
+      '"images" must not be empty'
+    ]);
+  });
+  
+  it('accepts thumbnails that only draw', () => {
+    assert.deepEqual(validateProject(withSvg('<rect width="400" height="200" fill="#F0F8FF"/><text x="10" y="20">One</text>')), []);
+  });
+  
+  it('requires the thumbnail SVG to be a string', () => {
+    assert.deepEqual(validateProject(withSvg(['<rect/>'])), ['"thumbnail.svg" should be string']);
+  });
+  
+  it('rejects scripts, event handlers and javascript: links in the thumbnail', () => {
+    [
+      '<script>alert(1)</script>',
+      '< SCRIPT src="x.js"></SCRIPT>',
+      '<rect onclick="alert(1)"/>',
+      '<image href="x.png" ONERROR = "alert(1)"/>',
+      '<svg/onload=alert(1)>',
+      '<a href="javascript:alert(1)"><rect/></a>',
+      '<foreignObject><iframe src="x"></iframe></foreignObject>'
+    ].forEach(svg => {
+      assert.deepEqual(validateProject(withSvg(svg)), ['"thumbnail.svg" may only contain shapes and text'], svg);
+    });
+  });
+  
+  it('checks translated thumbnails too, since they replace the original', () => {
+    const entry = project({ translations: { es: { title: 'Portafolio', thumbnail: { svg: '<rect onmouseover="alert(1)"/>' } } } });
+    
+    assert.deepEqual(validateProject(entry), ['"translations.es.thumbnail.svg" may only contain shapes and text']);
+    assert.equal(localizeProject(entry, 'es').thumbnail.svg, '<rect onmouseover="alert(1)"/>');
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, createEvents } from './helpers/dom.js';
+import { QualityManager } from '../src/quality.js';
+
+const STORAGE_KEY = 'portfolio-quality';
+
+describe('QualityManager', () => {
+  let window;
+  let events;
+  let quality;
+  
+  const create = () => {
+    quality = new QualityManager({ events });
+    return quality;
+  };
+  // The frame sampler is the component's only animation frame
+  const sampling = () => quality.lifecycle.frames.size > 0;
+  const setHidden = (hidden) => {
+    Object.defineProperty(document, 'visibilityState', { value: hidden ? 'hidden' : 'visible', configurable: true });
+    document.dispatchEvent(new Event('visibilitychange'));
+  };
+  
+  beforeEach(() => {
+    window = loadPage();
+    localStorage.clear();
+    events = createEvents();
+  });
+  
+  afterEach(() => {
+    quality?.destroy();
+    quality = null;
+    window.close();
+  });
+  
+  it('restores a saved pin', () => {
+    localStorage.setItem(STORAGE_KEY, 'low');
+    create();
+    
+    assert.equal(quality.pinned, 'low');
+    assert.deepEqual(quality.getSettings(), { tier: 'low', pinned: true, particles: 0.2, scrollParallax: false, mouseParallax: false, customCursor: false });
+    assert.equal(document.documentElement.dataset.quality, 'low');
+  });
+  
+  it('ignores saved values that are not tiers, inherited keys included', () => {
+    ['toString', 'constructor', '__proto__', 'ultra'].forEach(saved => {
+      localStorage.setItem(STORAGE_KEY, saved);
+      create();
+      
+      assert.equal(quality.pinned, null, saved);
+      assert.ok(quality.getSettings().particles > 0, saved);
+      quality.destroy();
+    });
+  });
+  
+  it('pins a tier, saves it and announces the change', () => {
+    create();
+    quality.hardwareTier = 'high';
+    quality.pin('auto');
+    quality.pin('low');
+    
+    assert.equal(quality.tier, 'low');
+    assert.equal(localStorage.getItem(STORAGE_KEY), 'low');
+    assert.deepEqual(events.emitted.at(-1).detail, { tier: 'low', previous: 'high', reason: 'pin', pinned: true });
+  });
+  
+  it('treats unknown and inherited tiers as "auto"', () => {
+    create();
+    quality.pin('low');
+    quality.pin('toString');
+    
+    assert.equal(quality.pinned, null);
+    assert.equal(quality.tier, quality.getAutoTier());
+    assert.equal(localStorage.getItem(STORAGE_KEY), null);
+  });
+  
+  it('steps down a tier after sustained slow windows', () => {
+    create();
+    quality.hardwareTier = 'high';
+    quality.pin('auto');
+    
+    quality.judgeWindow(0.5);
+    assert.equal(quality.tier, 'high');
+    quality.judgeWindow(0.5);
+    assert.equal(quality.tier, 'medium');
+  });
+  
+  it('only samples frames while the tier can adapt', () => {
+    create();
+    assert.equal(sampling(), true);
+    
+    quality.pin('medium');
+    assert.equal(sampling(), false);
+    
+    quality.pin('auto');
+    assert.equal(sampling(), true);
+    
+    setHidden(true);
+    assert.equal(sampling(), false);
+    
+    setHidden(false);
+    assert.equal(sampling(), true);
+  });
+  
+  it('does not sample frames when pinned from the start', () => {
+    localStorage.setItem(STORAGE_KEY, 'high');
+    create();
+    
+    assert.equal(sampling(), false);
+  });
+});
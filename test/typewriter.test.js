@@ -0,0 +1,92 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, createEvents } from './helpers/dom.js';
+import { TypewriterEffect } from '../src/typewriter.js';
+
+const TAGLINE = 'I build Interfaces that smile back.';
+
+describe('TypewriterEffect', () => {
+  let window;
+  let events;
+  let typewriter;
+  
+  // Node 20's mock timers don't run timeouts set during a tick in that
+  // tick, so step through one character at a time
+  const advance = (ms) => {
+    for (let elapsed = 0; elapsed < ms; elapsed += 50) mock.timers.tick(50);
+  };
+  const tagline = () => document.querySelector('.title-line[data-i18n="hero.tagline"]');
+  // What I18n#setLocale does: translate the page, then the app emits locale:change
+  const switchLocale = (text) => {
+    tagline().textContent = text;
+    events.emit('locale:change', { locale: 'es' });
+  };
+  
+  beforeEach(() => {
+    window = loadPage();
+    mock.timers.enable({ apis: ['setTimeout'] });
+    events = createEvents();
+    typewriter = new TypewriterEffect({ events });
+    // The tagline is the second line, so it starts after 800 ms
+    mock.timers.tick(800);
+  });
+  
+  afterEach(() => {
+    typewriter.destroy();
+    mock.timers.reset();
+    window.close();
+  });
+  
+  it('types the line one character at a time, then shows a cursor', () => {
+    advance(50 * 5);
+    assert.equal(tagline().textContent, TAGLINE.slice(0, 5));
+    
+    advance(50 * TAGLINE.length);
+    assert.equal(tagline().firstChild.textContent, TAGLINE);
+    assert.equal(tagline().querySelector('.cursor').textContent, '|');
+    
+    advance(2000);
+    assert.equal(tagline().innerHTML, TAGLINE);
+  });
+  
+  it('types text, not markup', () => {
+    const line = document.createElement('span');
+    typewriter.typeText(line, '<b>bold</b>', 50);
+    advance(50 * 12);
+    
+    assert.equal(line.querySelector('b'), null);
+    assert.equal(line.firstChild.textContent, '<b>bold</b>');
+  });
+  
+  it('starts over in the new language when it changes mid-line', () => {
+    advance(50 * 10);
+    switchLocale('Creo interfaces que sonríen.');
+    
+    assert.equal(tagline().textContent, '');
+    advance(50 * 60);
+    assert.equal(tagline().firstChild.textContent, 'Creo interfaces que sonríen.');
+  });
+  
+  it('carries on with the same text when the line has no translation', () => {
+    advance(50 * 10);
+    events.emit('locale:change', { locale: 'es' });
+    advance(50 * 60);
+    
+    assert.equal(tagline().firstChild.textContent, TAGLINE);
+  });
+  
+  it('leaves finished lines in the new language', () => {
+    advance(50 * (TAGLINE.length + 1));
+    switchLocale('Creo interfaces que sonríen.');
+    advance(2000);
+    
+    assert.equal(tagline().textContent, 'Creo interfaces que sonríen.');
+  });
+  
+  it('shows the whole line on destroy', () => {
+    advance(50 * 3);
+    typewriter.destroy();
+    
+    assert.equal(tagline().textContent, TAGLINE);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { throttle, debounce } from '../src/utils.js';
+
+describe('throttle', () => {
+  beforeEach(() => mock.timers.enable({ apis: ['setTimeout'] }));
+  afterEach(() => mock.timers.reset());
+  
+  it('runs the first call right away and drops the rest until the limit passes', () => {
+    const calls = [];
+    const throttled = throttle((value) => calls.push(value), 100);
+    
+    throttled(1);
+    throttled(2);
+    mock.timers.tick(99);
+    throttled(3);
+    assert.deepEqual(calls, [1]);
+    
+    mock.timers.tick(1);
+    throttled(4);
+    assert.deepEqual(calls, [1, 4]);
+  });
+  
+  it('keeps the caller as `this`', () => {
+    const target = { count: 0, bump: throttle(function() { this.count++; }, 50) };
+    target.bump();
+    assert.equal(target.count, 1);
+  });
+});
+
+describe('debounce', () => {
+  beforeEach(() => mock.timers.enable({ apis: ['setTimeout'] }));
+  afterEach(() => mock.timers.reset());
+  
+  it('runs once, with the last arguments, after calls stop for `wait` ms', () => {
+    const calls = [];
+    const debounced = debounce((value) => calls.push(value), 100);
+    
+    debounced('a');
+    mock.timers.tick(60);
+    debounced('b');
+    mock.timers.tick(60);
+    assert.deepEqual(calls, []);
+    
+    mock.timers.tick(40);
+    assert.deepEqual(calls, ['b']);
+  });
+  
+  it('can be cancelled', () => {
+    const calls = [];
+    const debounced = debounce(() => calls.push('run'), 100);
+    
+    debounced();
+    debounced.cancel();
+    mock.timers.tick(200);
+    assert.deepEqual(calls, []);
+  });
+});
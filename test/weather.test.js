@@ -0,0 +1,121 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, createNotifications, createEvents } from './helpers/dom.js';
+import { WeatherManager } from '../src/weather.js';
+import { WeatherLayer } from '../src/weather-layer.js';
+import { EasterEggs } from '../src/easter-eggs.js';
+
+describe('WeatherManager', () => {
+  let window;
+  let weather;
+  let eggs;
+  let notifications;
+  let events;
+  let particles;
+  
+  const root = () => document.documentElement;
+  const accessory = () => document.querySelector('.mascot-main .mascot-weather');
+  
+  beforeEach(() => {
+    window = loadPage();
+    // The console banner and weather()'s usage hint
+    mock.method(console, 'log', () => {});
+    notifications = createNotifications();
+    events = createEvents();
+    particles = { setWeather: mock.fn() };
+    eggs = new EasterEggs(createNotifications());
+    weather = new WeatherManager({ particles, easterEggs: eggs, notifications, events });
+  });
+  
+  afterEach(() => {
+    weather.destroy();
+    eggs.destroy();
+    mock.restoreAll();
+    window.close();
+  });
+  
+  it('sets the palette, dresses the mascot and starts the canvas effect', () => {
+    assert.equal(weather.set('rainy'), true);
+    
+    assert.equal(root().dataset.weather, 'rainy');
+    assert.ok(accessory());
+    assert.deepEqual(particles.setWeather.mock.calls.at(-1).arguments, ['rainy']);
+    assert.equal(notifications.shown.length, 1);
+    assert.deepEqual(events.emitted.at(-1), { type: 'weather:change', detail: { type: 'rainy', previous: null } });
+  });
+  
+  it('clears with null or "clear"', () => {
+    weather.set('snowy');
+    weather.set('clear');
+    
+    assert.equal('weather' in root().dataset, false);
+    assert.equal(accessory(), null);
+    assert.deepEqual(particles.setWeather.mock.calls.at(-1).arguments, [null]);
+  });
+  
+  it('rejects unknown and inherited names', () => {
+    ['stormy', 'toString', 'constructor', '__proto__'].forEach(type => {
+      assert.equal(weather.set(type), false, type);
+    });
+    
+    assert.equal('weather' in root().dataset, false);
+    assert.equal(accessory(), null);
+    assert.equal(notifications.shown.length, 0);
+  });
+  
+  it('does not announce the same weather twice', () => {
+    weather.set('sunny');
+    weather.set('sunny');
+    
+    assert.equal(notifications.shown.length, 1);
+    assert.equal(events.emitted.filter(({ type }) => type === 'weather:change').length, 1);
+  });
+  
+  it('is a console command that reset() undoes', () => {
+    window.weather('snowy');
+    assert.equal(root().dataset.weather, 'snowy');
+    
+    window.reset();
+    assert.equal('weather' in root().dataset, false);
+  });
+  
+  it('drops the console command on destroy', () => {
+    weather.destroy();
+    assert.equal(window.weather, undefined);
+  });
+});
+
+describe('WeatherLayer', () => {
+  it('keeps a steady share of the pool per kind', () => {
+    const layer = new WeatherLayer({ capacity: 100 });
+    layer.resize(800, 600);
+    
+    layer.setWeather('rainy');
+    assert.equal(layer.count, 100);
+    
+    layer.setWeather('snowy');
+    layer.setDensity(0.5);
+    assert.equal(layer.count, 30);
+  });
+  
+  it('treats unknown and inherited kinds as clear skies', () => {
+    const layer = new WeatherLayer({ capacity: 100 });
+    
+    ['toString', 'constructor', 'stormy', null].forEach(kind => {
+      layer.setWeather(kind);
+      assert.equal(layer.active, false);
+      assert.equal(layer.count, 0);
+    });
+  });
+  
+  it('recycles drops instead of letting them fall away', () => {
+    const layer = new WeatherLayer({ capacity: 10 });
+    layer.resize(100, 100);
+    layer.setWeather('rainy');
+    
+    for (let i = 0; i < 120; i++) layer.step();
+    
+    assert.equal(layer.count, 10);
+    assert.ok(layer.drops.slice(0, layer.count).every(drop => drop.y >= -20 && drop.y <= 120));
+  });
+});
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+// ===================================
+// ANALYTICS COLLECTOR (LOCAL TESTING)
+// ===================================
+//
+// Serves the site and accepts the beacons sent by src/analytics.js, so the
+// default endpoint ("/analytics") works same-origin. Each event is appended
+// to an NDJSON file; IP addresses and user agents are not recorded.
+//
+//   node tools/analytics-collector.mjs [port] [output file]
+//   PORT=8080 OUT=/tmp/events.ndjson node tools/analytics-collector.mjs
+//
+// Then open http://localhost:8080/, opt in from the footer, and watch
+// the file: tail -f analytics-events.ndjson
+
+import { createServer } from 'node:http';
+import { appendFile, readFile } from 'node:fs/promises';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(fileURLToPath(import.meta.url), '../..');
+const PORT = Number(process.argv[2] || process.env.PORT || 8080);
+const OUT = resolve(process.argv[3] || process.env.OUT || 'analytics-events.ndjson');
+const MAX_BODY = 64 * 1024;
+const MAX_EVENTS = 100;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml'
+};
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+/**
+ * Read the request body, rejecting anything over MAX_BODY
+ * @returns {Promise<string>}
+ */
+function readBody(req) {
+  return new Promise((resolveBody, reject) => {
+    let size = 0;
+    const chunks = [];
+    
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(new Error('Payload too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolveBody(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Check a beacon payload: { v: 1, session, events: [{ type, time, ... }] }
+ * @returns {Object[]|null} The events, or null when malformed
+ */
+function parseBatch(body) {
+  let batch;
+  try {
+    batch = JSON.parse(body);
+  } catch (error) {
+    return null;
+  }
+  
+  if (!batch || batch.v !== 1 || typeof batch.session !== 'string' || !Array.isArray(batch.events)) return null;
+  if (batch.events.length > MAX_EVENTS) return null;
+  
+  const valid = batch.events.every(event => event && typeof event.type === 'string' && Number.isFinite(event.time));
+  return valid ? batch.events.map(event => ({ ...event, session: batch.session })) : null;
+}
+
+async function collect(req, res) {
+  let events;
+  try {
+    events = parseBatch(await readBody(req));
+  } catch (error) {
+    res.writeHead(413, CORS_HEADERS).end();
+    return;
+  }
+  
+  if (!events) {
+    res.writeHead(400, CORS_HEADERS).end();
+    return;
+  }
+  
+  const receivedAt = new Date().toISOString();
+  await appendFile(OUT, events.map(event => JSON.stringify({ receivedAt, ...event }) + '\n').join(''));
+  console.log(`${receivedAt}  ${events.length} event(s): ${events.map(event => event.type).join(', ')}`);
+  
+  res.writeHead(204, CORS_HEADERS).end();
+}
+
+async function serveStatic(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const path = normalize(join(ROOT, decodeURIComponent(pathname === '/' ? '/index.html' : pathname)));
+  
+  // Never serve files outside the repo, or dotfiles such as .git
+  if (!path.startsWith(ROOT + sep) || path.slice(ROOT.length).split(sep).some(part => part.startsWith('.'))) {
+    res.writeHead(403).end();
+    return;
+  }
+  
+  try {
+    const file = await readFile(path);
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(path)] || 'application/octet-stream' }).end(file);
+  } catch (error) {
+    res.writeHead(404).end('Not found');
+  }
+}
+
+const server = createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  
+  if (pathname === '/analytics') {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS).end();
+    } else if (req.method === 'POST') {
+      collect(req, res).catch(error => {
+        console.error('Could not store events:', error);
+        res.writeHead(500, CORS_HEADERS).end();
+      });
+    } else {
+      res.writeHead(405, { Allow: 'POST, OPTIONS' }).end();
+    }
+    return;
+  }
+  
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    // decodeURIComponent throws on malformed escapes
+    serveStatic(req, res).catch(() => res.writeHead(400).end());
+  } else {
+    res.writeHead(405).end();
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`📊 Serving ${ROOT} on http://localhost:${PORT}/`);
+  console.log(`   Writing analytics events to ${OUT}`);
+});
@@ -0,0 +1,227 @@
+// ===================================
+// PARTICLE BENCHMARK
+// ===================================
+//
+// Replays the same spawn pattern through the old particle loop and through
+// ParticleEngine, and reports the time per frame. Open the page through
+// any static server (the analytics collector works):
+//
+//   node tools/analytics-collector.mjs
+//   open http://localhost:8080/tools/particles-benchmark.html
+//
+// Or run it in Node against a stub context, which compares the bookkeeping
+// without drawing and also reports the bytes allocated per frame:
+//
+//   node --expose-gc tools/particles-benchmark.mjs [frames] [spawnPerFrame]
+
+import { ParticleEngine, PARTICLE_COLORS } from '../src/particle-engine.js';
+
+/**
+ * frames: frames to simulate per run. spawnPerFrame: particles requested
+ * every frame (a fast mouse plus a few clicks is about 4). budget: cap for
+ * the capped run, the same as PARTICLE_DEFAULTS.maxParticles.
+ */
+export const BENCHMARK_DEFAULTS = {
+  frames: 600,
+  spawnPerFrame: 4,
+  width: 1280,
+  height: 720,
+  budget: 150
+};
+
+/**
+ * Just enough of CanvasRenderingContext2D for both loops; every call is a
+ * no-op, so a run measures the particle bookkeeping alone
+ */
+export function createStubContext() {
+  const noop = () => {};
+  
+  return {
+    globalAlpha: 1,
+    fillStyle: '#000',
+    clearRect: noop,
+    save: noop,
+    restore: noop,
+    beginPath: noop,
+    arc: noop,
+    fill: noop
+  };
+}
+
+/**
+ * The loop ParticleSystem used before the pool: a new object per particle,
+ * splice() to remove, save()/restore() per draw and no upper limit
+ */
+class LegacyParticles {
+  constructor() {
+    this.particles = [];
+  }
+  
+  get count() {
+    return this.particles.length;
+  }
+  
+  spawn(x, y, kind) {
+    const particle = {
+      x: x,
+      y: y,
+      vx: (Math.random() - 0.5) * 4,
+      vy: (Math.random() - 0.5) * 4,
+      life: 1,
+      decay: Math.random() * 0.02 + 0.01,
+      size: Math.random() * 4 + 2,
+      color: PARTICLE_COLORS[Math.floor(Math.random() * PARTICLE_COLORS.length)],
+      type: kind
+    };
+    
+    if (kind === 'burst') {
+      particle.vx *= 3;
+      particle.vy *= 3;
+      particle.size *= 1.5;
+    }
+    
+    this.particles.push(particle);
+    return true;
+  }
+  
+  frame(ctx, width, height) {
+    ctx.clearRect(0, 0, width, height);
+    
+    for (let i = this.particles.length - 1; i >= 0; i--) {
+      const particle = this.particles[i];
+      
+      particle.x += particle.vx;
+      particle.y += particle.vy;
+      particle.life -= particle.decay;
+      particle.vy += 0.1;
+      
+      ctx.save();
+      ctx.globalAlpha = particle.life;
+      ctx.fillStyle = particle.color;
+      ctx.beginPath();
+      ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+      
+      if (particle.life <= 0) {
+        this.particles.splice(i, 1);
+      }
+    }
+  }
+}
+
+class PooledParticles {
+  constructor(capacity) {
+    this.engine = new ParticleEngine({ capacity });
+  }
+  
+  get count() {
+    return this.engine.count;
+  }
+  
+  spawn(x, y, kind) {
+    return this.engine.spawn(x, y, kind);
+  }
+  
+  frame(ctx, width, height) {
+    this.engine.step();
+    this.engine.render(ctx, width, height);
+  }
+}
+
+// Spawns nothing and draws nothing: the measuring overhead on its own
+const IDLE_PARTICLES = { count: 0, spawn: () => false, frame: () => {} };
+
+// Seeded, so every run gets the same spawn positions
+function createRandom(seed) {
+  return () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+  };
+}
+
+function measure(name, system, ctx, options) {
+  const { frames, spawnPerFrame, width, height, heapUsed } = options;
+  const random = createRandom(1);
+  let peak = 0;
+  let spawned = 0;
+  let total = 0;
+  let allocated = 0;
+  
+  // Start each run from a collected heap when gc() is exposed
+  globalThis.gc?.();
+  
+  for (let frame = 0; frame < frames; frame++) {
+    const heapBefore = heapUsed?.();
+    const start = performance.now();
+    
+    for (let i = 0; i < spawnPerFrame; i++) {
+      if (system.spawn(random() * width, random() * height, i % 2 ? 'burst' : 'trail')) spawned++;
+    }
+    
+    system.frame(ctx, width, height);
+    
+    total += performance.now() - start;
+    
+    // Growth within a frame; a frame with a collection in it counts as 0,
+    // so this slightly undercounts
+    if (heapUsed) allocated += Math.max(0, heapUsed() - heapBefore);
+    peak = Math.max(peak, system.count);
+  }
+  
+  return {
+    name,
+    msPerFrame: total / frames,
+    totalMs: total,
+    bytesPerFrame: heapUsed ? allocated / frames : null,
+    peak,
+    spawned
+  };
+}
+
+/**
+ * Run the three variants one after another on the same context
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} options - Overrides for BENCHMARK_DEFAULTS, plus
+ *   { heapUsed() } returning the heap size in bytes, to count allocations
+ * @returns {Object[]} { name, msPerFrame, totalMs, bytesPerFrame, peak,
+ *   spawned } per run; bytesPerFrame is null without heapUsed
+ */
+export function runBenchmark(ctx, options = {}) {
+  const settings = { ...BENCHMARK_DEFAULTS, ...options };
+  const uncapped = settings.frames * settings.spawnPerFrame;
+  
+  const results = [
+    measure('Legacy (unbounded, splice)', new LegacyParticles(), ctx, settings),
+    // Same load as legacy, so this isolates the pool and the drawing changes
+    measure('Pooled, uncapped', new PooledParticles(uncapped), ctx, settings),
+    measure(`Pooled, budget ${settings.budget}`, new PooledParticles(settings.budget), ctx, settings)
+  ];
+  
+  if (!settings.heapUsed) return results;
+  
+  // Reading the heap and the spawn positions allocate too; take off what a
+  // run without particles allocates so only the particle code is counted
+  const { bytesPerFrame: overhead } = measure('Idle', IDLE_PARTICLES, ctx, settings);
+  
+  return results.map(result => ({ ...result, bytesPerFrame: Math.max(0, result.bytesPerFrame - overhead) }));
+}
+
+// node tools/particles-benchmark.mjs: print a table instead of being imported
+if (globalThis.process?.argv?.[1] && import.meta.url === new URL(process.argv[1], 'file://').href) {
+  const [frames, spawnPerFrame] = process.argv.slice(2).map(Number);
+  const results = runBenchmark(createStubContext(), {
+    ...(frames && { frames }),
+    ...(spawnPerFrame && { spawnPerFrame }),
+    heapUsed: () => process.memoryUsage().heapUsed
+  });
+  
+  if (!globalThis.gc) console.log('(run with --expose-gc for steadier allocation numbers)');
+  console.table(results.map(({ name, msPerFrame, bytesPerFrame, peak, spawned }) => ({
+    run: name,
+    'ms / frame': Number(msPerFrame.toFixed(4)),
+    'KB allocated / frame': Number((bytesPerFrame / 1024).toFixed(2)),
+    'peak particles': peak,
+    spawned
+  })));
+}